@@ -0,0 +1,73 @@
+// src/a11y/safetySettings.js
+// Viewer safety preferences (HUD toggle, main.js applies them to the scene)
+// - safeFlashes: lightning flashes become a slow, dim glow with a minimum gap between them
+//   (RainManager.setSafeFlashes, limits in rain_config lightning.safe); thunder still plays
+//   and room fx clips marked "flashing" in roomfx_config (neon_blink) hold a steady frame
+// - First visit: follows prefers-reduced-motion (live, while the viewer has not picked);
+//   the pick is kept in localStorage ("lbtw:safeFlashes" = "on" | "off")
+// Private mode / disabled storage: the toggle still works, it just is not remembered
+
+const STORAGE_KEY = "lbtw:safeFlashes";
+const REDUCED_MOTION = "(prefers-reduced-motion: reduce)";
+
+function storage(){
+  try{
+    return window.localStorage || null;
+  }catch(_){
+    return null;
+  }
+}
+
+export class SafetySettings {
+  constructor(){
+    this._listeners = new Set();
+
+    this._media = typeof window !== "undefined" && window.matchMedia ? window.matchMedia(REDUCED_MOTION) : null;
+
+    const stored = this._stored();
+    this.safeFlashes = stored ?? !!this._media?.matches;
+
+    // OS setting changes apply until the viewer picks on the HUD
+    this._media?.addEventListener?.("change", (e) => {
+      if(this._stored() !== null || this.safeFlashes === e.matches) return;
+      this.safeFlashes = e.matches;
+      this._emit();
+    });
+  }
+
+  // true / false when the viewer picked, null = follow prefers-reduced-motion
+  _stored(){
+    try{
+      const v = storage()?.getItem(STORAGE_KEY);
+      return v === "on" ? true : (v === "off" ? false : null);
+    }catch(_){
+      return null;
+    }
+  }
+
+  setSafeFlashes(on){
+    const next = !!on;
+    try{ storage()?.setItem(STORAGE_KEY, next ? "on" : "off"); }catch(_){}
+
+    if(next === this.safeFlashes) return;
+    this.safeFlashes = next;
+    this._emit();
+  }
+
+  toggleSafeFlashes(){
+    this.setSafeFlashes(!this.safeFlashes);
+    return this.safeFlashes;
+  }
+
+  // fn(settings) after every change; returns an unsubscribe function
+  on(fn){
+    this._listeners.add(fn);
+    return () => this._listeners.delete(fn);
+  }
+
+  _emit(){
+    for(const fn of [...this._listeners]){
+      try{ fn(this); }catch(err){ console.warn("[safety] listener failed:", err); }
+    }
+  }
+}
@@ -6,9 +6,25 @@
 // - Ensure we RESUME context whenever SFX is enabled (not only first unlock).
 // - Recreate AudioContext if it became "closed".
 // - Track "needsResume" flag on pageshow/visibilitychange; resume on next user toggle.
+// Thunder (config "thunder"): playThunder(distance) for each lightning strike, distance 0 (overhead) .. 1 (far)
+// - delaySec / volume: [overhead, far], lerped by distance (light arrives first, far thunder is quieter)
+// - variants: [{ maxDistance, keys: [sfx keys] }], first entry covering the distance, random key (no repeat);
+//   a key whose file does not load falls back to "thunder" at the same start time; no variants = "thunder" only
+// A file that fails to load is not fetched again until the config reloads
+
+import { clock } from "../time/clock.js";
 
 function clamp01(x){ return Math.max(0, Math.min(1, x)); }
 
+// [atDistance0, atDistance1] config pair -> value at t
+function lerpPair(pair, fallback, t){
+  const [a, b] = Array.isArray(pair) && pair.length === 2 ? pair.map(Number) : fallback;
+  return Number.isFinite(a) && Number.isFinite(b) ? a + (b - a) * t : fallback[0] + (fallback[1] - fallback[0]) * t;
+}
+
+// rain loop volume at weather intensity 0 (drizzle) .. 1 (storm)
+const RAIN_MIN_VOLUME = 0.35;
+
 function once(el, evt, timeoutMs = 2000){
   return new Promise((resolve) => {
     let done = false;
@@ -96,14 +112,21 @@ export class AudioManager {
     // Track which slot is currently active (by start time string)
     this._activeSlotId = null;
 
+    // sorted slot cache for _getActiveSlot
+    this._sortedSlotsSrc = null;
+    this._sortedSlots = [];
+
     // Remember last played track per slot (to avoid repeats)
     this._lastTrackBySlot = new Map(); // slotId -> key
 
     // Story override
     this._storyMusicOverride = undefined;
 
-    // rain follow cloudProfile overcast
+    // rain loop follows the WeatherManager (applyWeather)
     this._rainActive = false;
+    this._rainVolume = 1.0;
+
+    this._lastThunderKey = null;
 
     // bind ended handler
     this._onMusicEnded = this._onMusicEnded.bind(this);
@@ -113,6 +136,32 @@ export class AudioManager {
     this._bindLifecycleHandlers();
   }
 
+  // dev hot reload: new paths / volumes / auto-music slots without stopping what is playing
+  reloadConfig(config){
+    this.cfg = config || {};
+    this.paths = {
+      sfxBase:  this.cfg.sfxBasePath  || "assets/audio/sfx/",
+      musicBase:this.cfg.musicBasePath|| "assets/audio/music/"
+    };
+
+    this._musicVol = clamp01(this.cfg.defaults?.musicVolume ?? 0.55);
+    this._sfxVol   = clamp01(this.cfg.defaults?.sfxVolume ?? 1.0);
+    this._musicFadeSec = Math.max(0.01, Number(this.cfg.defaults?.musicFadeSec ?? 1.0));
+
+    if(this._sfxGain){
+      this._sfxGain.gain.value = this._sfxEnabled ? this._sfxVol : 0;
+    }
+    if(this._musicEnabled && this._musicKey){
+      this._fadeMusicTo(this._musicVol, 0.30);
+    }
+
+    // sfx files may have changed; loops already playing keep their buffers
+    this._buffers.clear();
+
+    // new object -> _getActiveSlot re-sorts; update() switches track only if the active slot changed
+    if(this.cfg.autoMusic) this._auto = this.cfg.autoMusic;
+  }
+
   isSfxEnabled(){ return this._sfxEnabled; }
   isMusicEnabled(){ return this._musicEnabled; }
 
@@ -227,7 +276,7 @@ export class AudioManager {
     } else {
       // if rain is active, restart after resume
       if(this._rainActive) {
-        await this.playLoop("rain_loop", { fadeSec: 0.6 });
+        await this.playLoop("rain_loop", { volume: this._rainVolume, fadeSec: 0.6 });
       }
     }
 
@@ -270,7 +319,7 @@ export class AudioManager {
       if(!this._musicEnabled) return;
       if(myId !== this._musicStartWorkerId) return;
 
-      const ok = await this._applyDesiredMusic(new Date(), { forcePlay: !!forcePlay });
+      const ok = await this._applyDesiredMusic(clock.now(), { forcePlay: !!forcePlay });
       if(!ok){
         if(myId !== this._musicStartWorkerId) return;
         this._musicEnabled = false;
@@ -307,15 +356,12 @@ export class AudioManager {
   }
 
   _getActiveSlot(now){
-    const slots = (this._auto?.slots || []).slice().map(s => {
-      const start = s.start ?? "00:00";
-      return {
-        start,
-        startMin: this._timeToMin(start),
-        key: s.key,
-        keys: Array.isArray(s.keys) ? s.keys.slice() : null
-      };
-    }).sort((a,b)=>a.startMin-b.startMin);
+    // sorted once per autoMusic config (update() asks every tick)
+    if(this._sortedSlotsSrc !== this._auto){
+      this._sortedSlotsSrc = this._auto;
+      this._sortedSlots = this._sortSlots(this._auto?.slots);
+    }
+    const slots = this._sortedSlots;
 
     if(!slots.length) return null;
 
@@ -327,6 +373,18 @@ export class AudioManager {
     return pick;
   }
 
+  _sortSlots(list){
+    return (list || []).slice().map(s => {
+      const start = s.start ?? "00:00";
+      return {
+        start,
+        startMin: this._timeToMin(start),
+        key: s.key,
+        keys: Array.isArray(s.keys) ? s.keys.slice() : null
+      };
+    }).sort((a,b)=>a.startMin-b.startMin);
+  }
+
   _pickRandomNoRepeat(list, last){
     if(!Array.isArray(list) || list.length === 0) return null;
     if(list.length === 1) return list[0];
@@ -342,31 +400,37 @@ export class AudioManager {
 
   /* ---------------- SFX ---------------- */
 
+  // null (also cached) when the file is missing or does not decode
   async _loadBuffer(cacheKey, url){
     if(this._buffers.has(cacheKey)) return this._buffers.get(cacheKey);
 
+    let buf = null;
     try{
       const res = await fetch(url, { cache: "force-cache" });
-      if(!res.ok) return null;
-      const arr = await res.arrayBuffer();
-      const buf = await this._ctx.decodeAudioData(arr);
-      this._buffers.set(cacheKey, buf);
-      return buf;
+      if(res.ok) buf = await this._ctx.decodeAudioData(await res.arrayBuffer());
     }catch(_){
-      return null;
+      buf = null;
     }
+    if(!buf) console.warn(`[audio] sfx "${cacheKey}" not loaded: ${url}`);
+    this._buffers.set(cacheKey, buf);
+    return buf;
   }
 
-  async playSfx(key, { volume=1.0 } = {}){
-    if(!this._sfxEnabled) return;
+  // true when the sound was started (or scheduled, delaySec later)
+  // startAt: AudioContext time to start at instead of delaySec (a fallback keeps the first try's timing)
+  async playSfx(key, { volume=1.0, delaySec=0, startAt=null } = {}){
+    if(!this._sfxEnabled) return false;
     await this._ensureSfxUnlocked();
-    if(!this._ctx || !this._sfxGain) return;
+    if(!this._ctx || !this._sfxGain) return false;
 
     const url = this._sfxUrl(key);
-    if(!url) return;
+    if(!url) return false;
+
+    // counted from the call, not from when the buffer finished loading
+    if(startAt === null) startAt = this._ctx.currentTime + Math.max(0, Number(delaySec) || 0);
 
     const buf = await this._loadBuffer(key, url);
-    if(!buf) return;
+    if(!buf) return false;
 
     const src = this._ctx.createBufferSource();
     src.buffer = buf;
@@ -376,7 +440,30 @@ export class AudioManager {
 
     src.connect(g);
     g.connect(this._sfxGain);
-    try { src.start(0); } catch(_){}
+    try { src.start(Math.max(startAt, this._ctx.currentTime)); } catch(_){ return false; }
+    return true;
+  }
+
+  // lbtw:lightning -> thunder after the flash, later / quieter / another variant the farther the strike
+  async playThunder(distance = 0.5){
+    if(!this._sfxEnabled) return;
+
+    const T = this.cfg.thunder || {};
+    const d = clamp01(Number(distance ?? 0.5) || 0);
+    const delaySec = Math.max(0, lerpPair(T.delaySec, [0.2, 6], d));
+    const volume = clamp01(lerpPair(T.volume, [1.0, 0.35], d));
+
+    const band = (Array.isArray(T.variants) ? T.variants : []).find(v => d <= Number(v?.maxDistance ?? 1));
+    const keys = Array.isArray(band?.keys) && band.keys.length ? band.keys : ["thunder"];
+    const key = this._pickRandomNoRepeat(keys, this._lastThunderKey) || "thunder";
+    this._lastThunderKey = key;
+
+    await this._ensureSfxUnlocked();
+    if(!this._ctx) return;
+    const startAt = this._ctx.currentTime + delaySec;
+
+    const played = await this.playSfx(key, { volume, startAt });
+    if(!played && key !== "thunder") await this.playSfx("thunder", { volume, startAt });
   }
 
   async playLoop(key, { volume=1.0, fadeSec=0.6 } = {}){
@@ -533,7 +620,7 @@ export class AudioManager {
 
     if(this._auto?.enabled === false) return;
 
-    const now = new Date();
+    const now = clock.now();
     const slot = this._getActiveSlot(now);
     if(!slot) return;
 
@@ -556,18 +643,50 @@ export class AudioManager {
 
   /* ---------------- STORY + AUTO ---------------- */
 
-  async applyStoryState(now, state){
-    const profile = state?.cloudProfile || "none";
-    const shouldRain = (profile === "overcast");
+  // per tick: only acts when the active auto-music slot changes
+  update(now){
+    if(!this._musicEnabled) return;
+    if(typeof this._storyMusicOverride === "string") return;
+    if(this._auto?.enabled === false) return;
+
+    const slot = this._getActiveSlot(now);
+    const slotId = slot ? slot.start : null;
+    if(slotId !== this._activeSlotId){
+      this._kickMusicStartWorker({ forcePlay: false });
+    }
+  }
+
+  // called on weather changes (WeatherManager), not every frame: rain loop on/off, louder with intensity
+  async applyWeather(weather){
+    const shouldRain = !!weather?.rain;
+    this._rainVolume = RAIN_MIN_VOLUME + (1 - RAIN_MIN_VOLUME) * clamp01(Number(weather?.intensity ?? 1));
 
     if(shouldRain !== this._rainActive){
       this._rainActive = shouldRain;
       if(this._sfxEnabled){
-        if(shouldRain) await this.playLoop("rain_loop", { fadeSec: 1.0 });
+        if(shouldRain) await this.playLoop("rain_loop", { volume: this._rainVolume, fadeSec: 1.0 });
         else this.stopLoop("rain_loop", { fadeSec: 1.0 });
       }
+      return;
     }
 
+    if(shouldRain) this._rampLoop("rain_loop", this._rainVolume, 1.0);
+  }
+
+  // running loop -> new volume (no restart)
+  _rampLoop(key, volume, fadeSec){
+    const node = this._loopNodes.get(key);
+    if(!node || !this._ctx) return;
+
+    const now = this._ctx.currentTime;
+    const g = node.gain;
+    g.gain.cancelScheduledValues(now);
+    g.gain.setValueAtTime(g.gain.value, now);
+    g.gain.linearRampToValueAtTime(clamp01(volume), now + Math.max(0.01, fadeSec));
+  }
+
+  // called on story state changes (story.on("state")), not every frame
+  async applyStoryState(now, state){
     const musicTrack = state?.audio?.musicTrack;
     if(typeof musicTrack !== "undefined"){
       this._storyMusicOverride = musicTrack;
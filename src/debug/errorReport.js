@@ -0,0 +1,70 @@
+// src/debug/errorReport.js
+// Readable in-page error panel (boot failures, story validation).
+// Self-contained: inline styles only, safe to call before the HUD exists.
+
+const PANEL_ID = "lbtw-error-report";
+
+export function showErrorReport({ title = "Error", lines = [] } = {}){
+  let panel = document.getElementById(PANEL_ID);
+
+  if(!panel){
+    panel = document.createElement("div");
+    panel.id = PANEL_ID;
+    Object.assign(panel.style, {
+      position: "fixed",
+      left: "8px",
+      right: "8px",
+      bottom: "8px",
+      maxHeight: "45vh",
+      overflow: "auto",
+      padding: "10px 12px",
+      borderRadius: "10px",
+      background: "rgba(20,20,20,0.92)",
+      color: "#f3f3f3",
+      font: "12px/1.45 ui-monospace, Menlo, Monaco, 'Courier New', monospace",
+      zIndex: "1000000",
+      pointerEvents: "auto",
+      whiteSpace: "pre-wrap",
+      wordBreak: "break-word"
+    });
+
+    const close = document.createElement("button");
+    close.type = "button";
+    close.textContent = "✕";
+    Object.assign(close.style, {
+      position: "sticky",
+      float: "right",
+      top: "0",
+      border: "none",
+      borderRadius: "999px",
+      width: "24px",
+      height: "24px",
+      cursor: "pointer",
+      background: "rgba(255,255,255,0.15)",
+      color: "#fff"
+    });
+    close.addEventListener("click", () => panel.remove());
+    panel.appendChild(close);
+
+    document.body.appendChild(panel);
+  }
+
+  const section = document.createElement("div");
+  section.style.marginBottom = "8px";
+
+  const h = document.createElement("div");
+  h.textContent = title;
+  h.style.fontWeight = "700";
+  h.style.color = "#ffb4a8";
+  section.appendChild(h);
+
+  for(const line of lines){
+    const row = document.createElement("div");
+    row.textContent = String(line);
+    if(/^WARN/.test(row.textContent)) row.style.color = "#ffe08a";
+    section.appendChild(row);
+  }
+
+  panel.appendChild(section);
+  return panel;
+}
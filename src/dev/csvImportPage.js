@@ -0,0 +1,113 @@
+// src/dev/csvImportPage.js
+// dev/csv_import.html: CSV -> story JSON in the browser (same importer as tools/import_story_csv.mjs)
+// Character ids can't be listed from a static server, so they are checked afterwards with HEAD requests
+// (validateStoryAssets) and mapped back to CSV lines.
+
+import { importStoryCsv, issuesToCsvLines, formatCsvIssue } from "../story/csvImport.js";
+import { storyRefsFromConfigs, validateStoryAssets } from "../story/storyValidator.js";
+
+const ROOT = "../";
+
+const $ = (id) => document.getElementById(id);
+
+async function loadJSON(url){
+  const res = await fetch(url, { cache: "no-store" });
+  if(!res.ok) throw new Error(`Failed to load ${url}`);
+  return await res.json();
+}
+
+async function assetExists(path){
+  try{
+    const res = await fetch(ROOT + path, { method: "HEAD", cache: "no-store" });
+    return res.ok;
+  }catch(_){
+    return false;
+  }
+}
+
+async function loadRefs(){
+  const manifest = await loadJSON(`${ROOT}data/story/manifest.json`);
+  const sharedPresets = manifest.presets
+    ? (await loadJSON(`${ROOT}data/story/${manifest.presets}`)).presets || {}
+    : {};
+
+  const refs = storyRefsFromConfigs({
+    roomFxCfg: await loadJSON(`${ROOT}data/roomfx_config.json`),
+    cloudCfg: await loadJSON(`${ROOT}data/cloud_config.json`),
+    sharedPresets
+  });
+  return { refs, timezone: manifest.timezone ?? null };
+}
+
+function showIssues(issues, file){
+  const box = $("issues");
+  box.innerHTML = "";
+
+  if(!issues.length){
+    const ok = document.createElement("div");
+    ok.className = "ok";
+    ok.textContent = "No issues.";
+    box.appendChild(ok);
+    return;
+  }
+
+  for(const i of issues){
+    const line = document.createElement("div");
+    line.className = i.level === "warn" ? "warn" : "error";
+    line.textContent = formatCsvIssue(i, file);
+    box.appendChild(line);
+  }
+}
+
+async function boot(){
+  const { refs, timezone } = await loadRefs();
+  let fileName = "csv";
+  let result = null;
+
+  $("file").addEventListener("change", async () => {
+    const f = $("file").files?.[0];
+    if(!f) return;
+    fileName = f.name;
+    $("csv").value = await f.text();
+
+    const date = /\d{4}-\d{2}-\d{2}/.exec(f.name)?.[0];
+    if(date && !$("date").value) $("date").value = date;
+  });
+
+  $("convert").addEventListener("click", async () => {
+    const date = $("date").value || null;
+    const { story, issues, eventLines } = importStoryCsv($("csv").value, refs, {
+      date,
+      timezone,
+      preset: $("preset").value.trim() || null
+    });
+
+    // character / portrait / icon files (only a server round-trip can tell)
+    const assetIssues = issuesToCsvLines(await validateStoryAssets(story, { exists: assetExists }), eventLines);
+    const all = [...issues, ...assetIssues];
+
+    showIssues(all, fileName);
+
+    const ok = date && !all.some(i => i.level !== "warn");
+    result = ok ? { story, name: `${date}.json` } : null;
+
+    $("output").textContent = JSON.stringify(story, null, 2);
+    $("download").disabled = !ok;
+    if(!date) showIssues([...all, { line: null, column: "date", message: "pick the story date", level: "error" }], fileName);
+  });
+
+  $("download").addEventListener("click", () => {
+    if(!result) return;
+    const blob = new Blob([JSON.stringify(result.story, null, 2) + "\n"], { type: "application/json" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = result.name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  });
+}
+
+boot().catch(err => {
+  console.error(err);
+  $("issues").textContent = String(err?.message || err);
+});
@@ -0,0 +1,101 @@
+// src/dev/hotReload.js
+// Dev-only config watcher (?dev=1): calls onChange(path, json) when one of the watched JSON files changes
+// - Served by tools/dev_server.mjs: file change notifications over SSE (/__dev/events), no polling
+// - Any other static server: polls each file (no-store GET, compares the text) every intervalMs
+// - A file that fails to parse is reported through onError and the last good version stays applied
+
+const EVENTS_URL = "/__dev/events";
+const POLL_MS = 1000;
+
+export function startHotReload({ files, onChange, onError = null, intervalMs = POLL_MS }){
+  // "./data/x.json" and "data/x.json" are the same file
+  const norm = (p) => String(p).replace(/^\.?\//, "");
+  const byPath = new Map(files.map(f => [norm(f), f]));
+  const lastText = new Map();
+
+  let stopped = false;
+  let pollTimer = null;
+  let es = null;
+
+  const fail = (path, err) => {
+    console.warn(`[dev] ${path}:`, err);
+    try{ onError?.(path, err); }catch(_){}
+  };
+
+  // -> true when the file changed and was applied
+  const check = async (url) => {
+    let text;
+    try{
+      const res = await fetch(url, { cache: "no-store" });
+      if(!res.ok) return false;
+      text = await res.text();
+    }catch(_){
+      return false;
+    }
+
+    const prev = lastText.get(url);
+    lastText.set(url, text);
+    if(prev === undefined || prev === text) return false;
+
+    let json;
+    try{
+      json = JSON.parse(text);
+    }catch(err){
+      fail(norm(url), err);
+      return false;
+    }
+
+    try{
+      await onChange(url, json);
+      console.info(`[dev] reloaded ${norm(url)}`);
+    }catch(err){
+      fail(norm(url), err);
+    }
+    return true;
+  };
+
+  const poll = async () => {
+    for(const url of byPath.values()){
+      if(stopped) return;
+      await check(url);
+    }
+    if(!stopped) pollTimer = setTimeout(poll, intervalMs);
+  };
+
+  // baseline first, so the boot-time version does not count as a change
+  const baseline = Promise.all([...byPath.values()].map(check));
+
+  baseline.then(() => {
+    if(stopped) return;
+    if(typeof EventSource === "undefined"){
+      poll();
+      return;
+    }
+
+    let opened = false;
+    es = new EventSource(EVENTS_URL);
+    es.onopen = () => {
+      opened = true;
+      console.info("[dev] watching configs (dev server)");
+    };
+    es.onmessage = (e) => {
+      let path = null;
+      try{ path = JSON.parse(e.data)?.file; }catch(_){}
+      const url = byPath.get(norm(path || ""));
+      if(url) check(url);
+    };
+    es.onerror = () => {
+      if(opened) return; // dev server restarting: EventSource reconnects by itself
+      es.close();
+      es = null;
+      console.info("[dev] no dev server, polling configs");
+      poll();
+    };
+  });
+
+  return function stop(){
+    stopped = true;
+    clearTimeout(pollTimer);
+    es?.close();
+  };
+}
@@ -0,0 +1,713 @@
+// src/dev/storyEditor.js
+// dev/story_editor.html: edit one day's story on a 24h timeline, previewed in the real SceneEngine / HudEngine
+// - Opens the day the manifest resolves for the clock (?at=2026-02-14T19:00 works), a path (?file= or the File box)
+//   or a local .json / .story file (.story is converted to the JSON model on load)
+// - Timeline: drag an event to move it (1 min steps, Shift = 1 s), click / drag on the track to set the preview time
+// - Inspector edits the selected event's own (delta) state: time, status, mood, dialogue per language,
+//   roomFx layers (keep / off / clip) and inRoom; anything else through the event JSON box
+// - Preview: StoryEngine.setStory + paused clock at the preview time; taps and reply buttons work as on the page
+// - Download only when validateStory + the asset checks report no errors (warnings are listed, not blocking)
+
+import { SceneEngine } from "../scene/sceneEngine.js";
+import { HudEngine } from "../hud/hudEngine.js";
+import { StoryEngine } from "../story/storyEngine.js";
+import { clock } from "../time/clock.js";
+import { Localizer } from "../i18n/localizer.js";
+import { SafetySettings } from "../a11y/safetySettings.js";
+import { WeatherManager } from "../weather/weatherManager.js";
+import { WeatherGenerator } from "../weather/weatherGenerator.js";
+import { memoryChoiceStore } from "../story/choiceStore.js";
+import { normalizeTime } from "../story/authoring.js";
+import { isStoryTextUrl, parseStoryText } from "../story/storyText.js";
+import { formatCsvIssue } from "../story/csvImport.js";
+import {
+  validateStory,
+  validateStoryAssets,
+  storyRefsFromConfigs,
+  formatIssue
+} from "../story/storyValidator.js";
+
+const DAY_SEC = 86400;
+const DEFAULT_LANGS = ["th", "en"];
+
+const $ = (id) => document.getElementById(id);
+
+async function loadJSON(url){
+  const res = await fetch(url, { cache: "no-store" });
+  if(!res.ok) throw new Error(`Failed to load ${url}`);
+  return await res.json();
+}
+
+async function assetExists(url){
+  try{
+    const res = await fetch(url, { method: "HEAD", cache: "no-store" });
+    return res.ok;
+  }catch(_){
+    return false;
+  }
+}
+
+function isPlainObject(v){
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function secOf(time){
+  const m = /^(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(time ?? ""));
+  return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3] ?? 0) : 0;
+}
+
+// seconds only when needed: "19:00", "19:00:30"
+function timeOf(sec){
+  const s = Math.max(0, Math.min(DAY_SEC - 1, Math.round(sec)));
+  const pad = (n) => String(n).padStart(2, "0");
+  const hms = [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60].map(pad);
+  return s % 60 ? hms.join(":") : hms.slice(0, 2).join(":");
+}
+
+function isTransient(ev){
+  return ev.durationSec !== undefined || ev.until !== undefined;
+}
+
+function endSecOf(ev){
+  if(ev.until !== undefined) return secOf(ev.until);
+  return Math.min(DAY_SEC, secOf(ev.time) + (Number(ev.durationSec) || 0));
+}
+
+function make(tag, props = {}, children = []){
+  const node = document.createElement(tag);
+  Object.assign(node, props);
+  for(const c of [].concat(children)) node.append(c);
+  return node;
+}
+
+function download(name, text){
+  const blob = new Blob([text], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+class StoryEditor {
+  constructor({ scene, hud, story, weather, refs, clips }){
+    this.scene = scene;
+    this.hud = hud;
+    this.story = story;
+    this.weather = weather;
+    this.refs = refs;
+    this.clips = clips;
+
+    this.draft = null;          // story object being edited (exactly what gets downloaded)
+    this.name = "story.json";
+    this.selected = null;       // event object in draft.events
+    this.cursorSec = 12 * 3600; // preview time of day
+    this.loadIssues = [];       // .story parse issues (formatted lines)
+    this.extraChars = new Set();
+    this.extraLangs = new Set();
+
+    this._shown = null;
+  }
+
+  /* ---------- loading ---------- */
+
+  open(json, src, dateKey = null){
+    json.events = Array.isArray(json.events) ? json.events : [];
+
+    this.draft = json;
+    this.name = String(src).split(/[?#]/)[0].split("/").pop().replace(/\.story$/i, ".json") || "story.json";
+    this.selected = json.events[0] || null;
+    if(this.selected) this.cursorSec = secOf(this.selected.time);
+
+    $("source").textContent = src;
+    $("date").value = json.date || dateKey || "";
+    this.changed();
+  }
+
+  openText(text, src){
+    this.loadIssues = [];
+    const body = String(text).replace(/^\uFEFF/, "");
+
+    if(isStoryTextUrl(src)){
+      const { story, issues } = parseStoryText(body, this.refs);
+      this.loadIssues = issues.map(i => ({ level: i.level, text: formatCsvIssue(i, src) }));
+      this.open(story, src);
+      return;
+    }
+    this.open(JSON.parse(body), src);
+  }
+
+  async openPath(path){
+    const res = await fetch(path, { cache: "no-store" });
+    if(!res.ok) throw new Error(`Failed to load ${path}`);
+    this.openText(await res.text(), path);
+    $("path").value = path;
+  }
+
+  /* ---------- draft -> engines ---------- */
+
+  // call after every draft change; form: false keeps the inspector (and its focus) as it is
+  changed({ form = true } = {}){
+    const dateKey = $("date").value || this.draft.date || StoryEngine.dateKeyOf(clock.now());
+    this.story.setStory(structuredClone(this.draft), { src: this.name, dateKey });
+
+    this.renderTrack();
+    if(form) this.renderForm();
+    this.renderEventJson();
+    this.renderIssues(validateStory(this.draft, { file: this.name, ...this.refs }));
+    this.preview();
+  }
+
+  // paused clock at the preview time; the scene snaps instead of fading
+  preview(){
+    clock.seek(`${this.story.dateKey}T${timeOf(this.cursorSec)}`);
+    clock.pause();
+
+    const now = clock.now();
+    this._shown = this.story.computeStateAt(now);
+    this.hud.setState(this._shown);
+    this.scene.resyncToTime(now, this._shown, this.weather.update(now, this._shown));
+
+    $("playhead").style.left = `${(this.cursorSec / DAY_SEC) * 100}%`;
+    $("cursor").value = timeOf(this.cursorSec);
+  }
+
+  // every frame: animations keep running at the paused time, taps / replies show up
+  frame(dtSec){
+    const now = clock.now();
+    const state = this.story.computeStateAt(now);
+    if(state !== this._shown){
+      this._shown = state;
+      this.hud.setState(state);
+    }
+    this.scene.update(now, dtSec, state, this.weather.update(now, state));
+    this.hud.setCalendar(now);
+    this.hud.setClockHands(now);
+  }
+
+  sortEvents(){
+    // stable: same-time events keep their file order (later ones win)
+    this.draft.events.sort((a, b) => secOf(a.time) - secOf(b.time));
+  }
+
+  select(ev){
+    this.selected = ev;
+    if(ev) this.cursorSec = secOf(ev.time);
+    for(const node of $("track").querySelectorAll(".ev")){
+      node.classList.toggle("selected", node._event === ev);
+    }
+    this.renderForm();
+    this.renderEventJson();
+    this.preview();
+  }
+
+  // one field of the selected event's own state; undefined = not set here (previous value carries over)
+  setField(key, value){
+    const ev = this.selected;
+    if(!ev.state) ev.state = {};
+    if(value === undefined) delete ev.state[key];
+    else ev.state[key] = value;
+    if(!Object.keys(ev.state).length && ev.preset !== undefined) delete ev.state;
+  }
+
+  /* ---------- timeline ---------- */
+
+  buildRuler(){
+    const track = $("track");
+    for(let h = 0; h < 24; h++){
+      track.appendChild(make("div", {
+        className: "hour",
+        textContent: h % 3 === 0 ? String(h).padStart(2, "0") : ""
+      }));
+      track.lastChild.style.left = `${(h / 24) * 100}%`;
+    }
+
+    // click / drag on the track -> preview time
+    track.addEventListener("pointerdown", (e) => {
+      if(e.target.classList.contains("ev")) return;
+      track.setPointerCapture(e.pointerId);
+      const scrub = (m) => {
+        this.cursorSec = Math.round(this._secAt(m.clientX) / 60) * 60;
+        this.preview();
+      };
+      const end = () => {
+        track.removeEventListener("pointermove", scrub);
+        track.removeEventListener("pointerup", end);
+        track.removeEventListener("pointercancel", end);
+      };
+      track.addEventListener("pointermove", scrub);
+      track.addEventListener("pointerup", end);
+      track.addEventListener("pointercancel", end);
+      scrub(e);
+    });
+  }
+
+  _secAt(clientX){
+    const r = $("track").getBoundingClientRect();
+    return Math.max(0, Math.min(DAY_SEC - 1, ((clientX - r.left) / r.width) * DAY_SEC));
+  }
+
+  _placeMarker(node, ev){
+    const start = secOf(ev.time);
+    node.style.left = `${(start / DAY_SEC) * 100}%`;
+    if(isTransient(ev)) node.style.width = `${((endSecOf(ev) - start) / DAY_SEC) * 100}%`;
+
+    const st = ev.state || {};
+    node.title = [
+      ev.time + (ev.until ? `–${ev.until}` : ev.durationSec ? ` (${ev.durationSec}s)` : ""),
+      st.status,
+      ev.preset ? `preset: ${[].concat(ev.preset).join(", ")}` : null,
+      ev.if ? `if ${JSON.stringify(ev.if)}` : null
+    ].filter(Boolean).join("\n");
+  }
+
+  renderTrack(){
+    const track = $("track");
+    track.querySelectorAll(".ev").forEach(n => n.remove());
+
+    for(const ev of this.draft.events){
+      const node = make("div", {
+        className: ["ev",
+          isTransient(ev) ? "transient" : "",
+          ev.if ? "branch" : "",
+          ev === this.selected ? "selected" : ""
+        ].filter(Boolean).join(" ")
+      });
+      node._event = ev;
+      this._placeMarker(node, ev);
+      node.addEventListener("pointerdown", (e) => this._drag(e, ev, node));
+      track.appendChild(node);
+    }
+  }
+
+  _drag(e, ev, node){
+    e.preventDefault();
+    if(ev !== this.selected) this.select(ev);
+
+    const start = secOf(ev.time);
+    const len = isTransient(ev) ? endSecOf(ev) - start : 0;
+    const grab = this._secAt(e.clientX) - start;
+    let moved = false;
+
+    node.setPointerCapture(e.pointerId);
+    node.classList.add("dragging");
+
+    const move = (m) => {
+      const step = m.shiftKey ? 1 : 60;
+      const max = DAY_SEC - 1 - (ev.until !== undefined ? len : 0);
+      const sec = Math.max(0, Math.min(max, Math.round((this._secAt(m.clientX) - grab) / step) * step));
+      const time = timeOf(sec);
+      if(time === ev.time) return;
+
+      moved = true;
+      ev.time = time;
+      if(ev.until !== undefined) ev.until = timeOf(sec + len);
+      this._placeMarker(node, ev);
+      const input = $("f-time");
+      if(input) input.value = time;
+    };
+    const end = () => {
+      node.removeEventListener("pointermove", move);
+      node.removeEventListener("pointerup", end);
+      node.removeEventListener("pointercancel", end);
+      node.classList.remove("dragging");
+      if(!moved) return;
+
+      this.sortEvents();
+      this.cursorSec = secOf(ev.time);
+      this.changed();
+    };
+    node.addEventListener("pointermove", move);
+    node.addEventListener("pointerup", end);
+    node.addEventListener("pointercancel", end);
+  }
+
+  /* ---------- inspector ---------- */
+
+  // languages used anywhere in the draft (dialogue can carry any number of them)
+  _langs(){
+    const langs = new Set();
+    const scan = (st) => {
+      if(isPlainObject(st?.dialogue)) Object.keys(st.dialogue).forEach(l => langs.add(l));
+    };
+    this.draft.events.forEach(ev => scan(ev.state));
+    if(isPlainObject(this.draft.presets)) Object.values(this.draft.presets).forEach(scan);
+    if(!langs.size) DEFAULT_LANGS.forEach(l => langs.add(l));
+    this.extraLangs.forEach(l => langs.add(l));
+    return [...langs];
+  }
+
+  // character ids: every inRoom list in the draft and the presets, plus ids added in the inspector
+  _roster(){
+    const ids = new Set();
+    const scan = (st) => {
+      if(Array.isArray(st?.inRoom)) st.inRoom.forEach(id => ids.add(id));
+    };
+    this.draft.events.forEach(ev => scan(ev.state));
+    if(isPlainObject(this.draft.presets)) Object.values(this.draft.presets).forEach(scan);
+    Object.values(this.story.sharedPresets || {}).forEach(scan);
+    this.extraChars.forEach(id => ids.add(id));
+    return [...ids];
+  }
+
+  renderForm(){
+    const form = $("form");
+    form.innerHTML = "";
+    const ev = this.selected;
+    $("dupEvent").disabled = !ev;
+    $("delEvent").disabled = !ev;
+
+    if(!ev){
+      form.appendChild(make("p", { className: "muted", textContent: "Select an event on the timeline." }));
+      return;
+    }
+
+    const st = ev.state || {};
+    const field = (label, ...controls) => {
+      form.appendChild(make("div", { className: "field" }, [make("span", { textContent: label }), make("div", {}, controls)]));
+    };
+
+    // time (drag on the track does the same)
+    const time = make("input", { id: "f-time", type: "text", size: 8, value: ev.time ?? "" });
+    time.addEventListener("change", () => {
+      const t = normalizeTime(time.value);
+      time.style.outline = t ? "" : "2px solid #b00020";
+      if(!t) return;
+      const len = ev.until !== undefined ? endSecOf(ev) - secOf(ev.time) : 0;
+      ev.time = t;
+      if(ev.until !== undefined) ev.until = timeOf(Math.min(DAY_SEC - 1, secOf(t) + len));
+      this.sortEvents();
+      this.cursorSec = secOf(t);
+      this.changed({ form: false });
+    });
+    field("Time", time);
+
+    // base event vs. transient moment
+    const dur = make("input", { type: "number", min: 1, step: 1, value: ev.durationSec ?? "", placeholder: "base event" });
+    dur.disabled = ev.until !== undefined;
+    dur.title = ev.until !== undefined ? `until ${ev.until} (edit in the event JSON)` : "seconds; empty = new base state";
+    dur.addEventListener("change", () => {
+      const n = Number(dur.value);
+      if(n > 0) ev.durationSec = n;
+      else delete ev.durationSec;
+      this.changed({ form: false });
+    });
+    field("For (s)", dur);
+
+    // status / mood: empty = keep the previous value; per-language objects are edited in the event JSON
+    for(const [key, label] of [["status", "Status"], ["mood", "Mood"]]){
+      const localized = isPlainObject(st[key]);
+      const input = make("input", {
+        type: "text",
+        value: localized ? "" : (st[key] ?? ""),
+        placeholder: localized ? "(per language, see event JSON)" : "(keep previous)",
+        disabled: localized
+      });
+      input.addEventListener("input", () => {
+        this.setField(key, input.value === "" ? undefined : input.value);
+        this.changed({ form: false });
+      });
+      field(label, input);
+    }
+
+    // dialogue: one box per language, languages merge key by key like any delta
+    for(const lang of this._langs()){
+      const box = make("textarea", { rows: 2, value: st.dialogue?.[lang] ?? "", placeholder: "(keep previous)" });
+      box.addEventListener("input", () => {
+        const d = { ...(isPlainObject(this.selected.state?.dialogue) ? this.selected.state.dialogue : {}) };
+        if(box.value === "") delete d[lang];
+        else d[lang] = box.value;
+        this.setField("dialogue", Object.keys(d).length ? d : undefined);
+        this.changed({ form: false });
+      });
+      field(`Dialogue ${lang}`, box);
+    }
+    const addLang = make("input", { type: "text", size: 6, placeholder: "+ lang" });
+    addLang.addEventListener("change", () => {
+      const l = addLang.value.trim();
+      if(/^[a-z]{2,3}(-[A-Za-z]{2})?$/.test(l)) this.extraLangs.add(l);
+      this.renderForm();
+    });
+    field("", addLang);
+
+    // roomFx layers: keep / off (null) / clip
+    for(const layer of this.refs.fxLayers || []){
+      const cur = isPlainObject(st.roomFx) ? st.roomFx[layer] : undefined;
+      const value = cur === undefined ? "" : cur === null ? "-" : String(cur.clip ?? "");
+      const names = [...new Set([...this.clips, ...(value && value !== "-" ? [value] : [])])];
+
+      const sel = make("select", {}, [
+        make("option", { value: "", textContent: "(keep)" }),
+        make("option", { value: "-", textContent: "off" }),
+        ...names.map(n => make("option", { value: n, textContent: n }))
+      ]);
+      sel.value = value;
+      sel.addEventListener("change", () => {
+        const own = this.selected.state?.roomFx;
+        const fx = { ...(isPlainObject(own) ? own : {}) };
+        const prev = fx[layer];
+        if(sel.value === "") delete fx[layer];
+        else if(sel.value === "-") fx[layer] = null;
+        else fx[layer] = { ...(isPlainObject(prev) ? prev : { play: true }), clip: sel.value };
+        this.setField("roomFx", Object.keys(fx).length ? fx : undefined);
+        this.changed({ form: false });
+      });
+      field(`roomFx ${layer}`, sel);
+    }
+
+    // inRoom: list order = card slot order
+    const setHere = make("input", { type: "checkbox", checked: Array.isArray(st.inRoom) });
+    setHere.addEventListener("change", () => {
+      this.setField("inRoom", setHere.checked ? [] : undefined);
+      this.changed();
+    });
+    const chars = this._roster().map(id => {
+      const box = make("input", { type: "checkbox", checked: !!st.inRoom?.includes(id), disabled: !Array.isArray(st.inRoom) });
+      box.addEventListener("change", () => {
+        const list = (this.selected.state?.inRoom || []).filter(x => x !== id);
+        this.setField("inRoom", box.checked ? [...list, id] : list);
+        this.changed({ form: false });
+      });
+      return make("label", {}, [box, ` ${id}`]);
+    });
+    const addChar = make("input", { type: "text", size: 8, placeholder: "+ id" });
+    addChar.addEventListener("change", () => {
+      const id = addChar.value.trim();
+      if(/^[\w-]+$/.test(id)) this.extraChars.add(id);
+      this.renderForm();
+    });
+    field("In room", make("label", {}, [setHere, " set here"]), make("br"), ...chars, addChar);
+  }
+
+  renderEventJson(){
+    const box = $("eventJson");
+    if(document.activeElement === box) return;
+    box.classList.remove("bad");
+    box.value = this.selected ? JSON.stringify(this.selected, null, 2) : "";
+    box.disabled = !this.selected;
+  }
+
+  // the selected event as raw JSON (presets, "if", cloudProfile, ...); the object keeps its identity
+  applyEventJson(){
+    const box = $("eventJson");
+    const ev = this.selected;
+    if(!ev) return;
+
+    let next;
+    try{
+      next = JSON.parse(box.value);
+    }catch(_){
+      box.classList.add("bad");
+      return;
+    }
+    if(!isPlainObject(next)){
+      box.classList.add("bad");
+      return;
+    }
+
+    box.classList.remove("bad");
+    Object.keys(ev).forEach(k => delete ev[k]);
+    Object.assign(ev, next);
+    this.sortEvents();
+    this.changed();
+  }
+
+  /* ---------- issues / export ---------- */
+
+  renderIssues(issues){
+    const box = $("issues");
+    box.innerHTML = "";
+
+    for(const i of this.loadIssues){
+      box.appendChild(make("div", { className: i.level === "warn" ? "warn" : "error", textContent: i.text }));
+    }
+
+    if(!issues.length && !this.loadIssues.length){
+      box.appendChild(make("div", { className: "ok", textContent: "No issues." }));
+      return;
+    }
+
+    for(const i of issues){
+      const line = make("div", { className: i.level === "warn" ? "warn" : "error", textContent: formatIssue(i) });
+      const ev = i.eventIndex != null ? this.draft.events[i.eventIndex] : null;
+      if(ev){
+        line.dataset.event = String(i.eventIndex);
+        line.addEventListener("click", () => this.select(ev));
+      }
+      box.appendChild(line);
+    }
+  }
+
+  async exportJson(){
+    const issues = [
+      ...validateStory(this.draft, { file: this.name, ...this.refs }),
+      ...await validateStoryAssets(this.draft, { file: this.name, exists: assetExists })
+    ];
+    this.renderIssues(issues);
+    if(issues.some(i => i.level !== "warn")) return;
+
+    const name = this.draft.date ? `${this.draft.date}.json` : this.name;
+    download(name, JSON.stringify(this.draft, null, 2) + "\n");
+  }
+
+  /* ---------- wiring ---------- */
+
+  bind(){
+    this.buildRuler();
+
+    $("loadPath").addEventListener("click", () => {
+      const path = $("path").value.trim();
+      if(path) this.openPath(path).catch(err => this.fail(err));
+    });
+
+    $("file").addEventListener("change", async () => {
+      const f = $("file").files?.[0];
+      if(!f) return;
+      try{
+        this.openText(await f.text(), f.name);
+      }catch(err){
+        this.fail(err);
+      }
+    });
+
+    $("date").addEventListener("change", () => {
+      if(this.draft.date !== undefined && $("date").value) this.draft.date = $("date").value;
+      this.changed({ form: false });
+    });
+
+    $("cursor").addEventListener("change", () => {
+      const t = normalizeTime($("cursor").value);
+      if(t) this.cursorSec = secOf(t);
+      this.preview();
+    });
+
+    $("resetPicks").addEventListener("click", () => {
+      this.story.choiceStore = memoryChoiceStore();
+      this.changed({ form: false });
+    });
+
+    $("addEvent").addEventListener("click", () => {
+      const ev = { time: timeOf(this.cursorSec), state: {} };
+      this.draft.events.push(ev);
+      this.sortEvents();
+      this.selected = ev;
+      this.changed();
+    });
+
+    $("dupEvent").addEventListener("click", () => {
+      if(!this.selected) return;
+      const ev = structuredClone(this.selected);
+      const shift = Math.min(60, DAY_SEC - 1 - endSecOf(this.selected));
+      ev.time = timeOf(secOf(ev.time) + Math.max(0, shift));
+      if(ev.until !== undefined) ev.until = timeOf(secOf(ev.until) + Math.max(0, shift));
+      this.draft.events.push(ev);
+      this.sortEvents();
+      this.selected = ev;
+      this.cursorSec = secOf(ev.time);
+      this.changed();
+    });
+
+    $("delEvent").addEventListener("click", () => {
+      const i = this.draft.events.indexOf(this.selected);
+      if(i < 0) return;
+      this.draft.events.splice(i, 1);
+      this.selected = this.draft.events[Math.min(i, this.draft.events.length - 1)] || null;
+      this.changed();
+    });
+
+    $("eventJson").addEventListener("change", () => this.applyEventJson());
+    $("export").addEventListener("click", () => this.exportJson().catch(err => this.fail(err)));
+  }
+
+  fail(err){
+    console.error(err);
+    $("issues").innerHTML = "";
+    $("issues").appendChild(make("div", { className: "error", textContent: String(err?.message || err) }));
+  }
+}
+
+async function boot(){
+  const [sceneLayout, hudLayout, i18nCfg, skyCfg, cloudCfg, atmosphereCfg, glassCfg, roomCfg, roomFxCfg, actorsCfg, rainCfg,
+    audioCfg] = await Promise.all([
+    "scene_layout", "hud_layout", "i18n", "sky_config", "cloud_config", "atmosphere_config", "glass_config", "room_config",
+    "roomfx_config", "actors_config", "rain_config", "audio_config"
+  ].map(name => loadJSON(`data/${name}.json`)));
+
+  const scene = new SceneEngine({ hostEl: $("scene-host"), sceneLayout });
+  const hud = new HudEngine({ overlayEl: $("overlay"), hudLayout, i18n: new Localizer(i18nCfg) });
+
+  const story = new StoryEngine({ manifestUrl: "data/story/manifest.json", choiceStore: memoryChoiceStore() });
+  await story.loadManifest();
+  clock.applyUrlParams();
+
+  await scene.initSky({
+    urls: [...new Set(skyCfg.keyframes.map(k => k.src))],
+    keyframes: skyCfg.keyframes,
+    mode: "keyframes"
+  });
+  await scene.initClouds(cloudCfg);
+  await scene.initAtmosphere(atmosphereCfg);
+  await scene.initGlass(glassCfg);
+  await scene.initRoom(roomCfg);
+  await scene.initRoomFx(roomFxCfg);
+  await scene.initActors(actorsCfg);
+  await scene.initRain(rainCfg);
+  scene.setSafeFlashes(new SafetySettings().safeFlashes);
+
+  const refs = storyRefsFromConfigs({
+    roomFxCfg, audioCfg, cloudCfg,
+    sharedPresets: story.sharedPresets,
+    manifest: story.manifest
+  });
+
+  // generated weather too, so the preview shows the rain viewers will see on unset hours
+  const weatherCfg = await loadJSON("data/weather_config.json").catch(() => ({ enabled: false }));
+  const weather = new WeatherManager({ generator: new WeatherGenerator(weatherCfg) });
+
+  const editor = new StoryEditor({ scene, hud, story, weather, refs, clips: refs.clips || [] });
+  window.lbtwEditor = editor;
+
+  hud.enableDialogueToggle(() => hud.cycleLang());
+  loadJSON("data/holidays.json").then(cfg => hud.setHolidays(cfg.holidays)).catch(() => {});
+  hud.setStoryHandlers({
+    tap: (target) => story.trigger(target, clock.now()),
+    choose: (choiceId, optionId) => story.choose(choiceId, optionId, clock.now())
+  });
+
+  const reflow = () => {
+    scene.resize();
+    hud.resize();
+  };
+  window.addEventListener("resize", reflow);
+  reflow();
+
+  editor.bind();
+
+  const file = new URLSearchParams(window.location.search).get("file");
+  if(file){
+    await editor.openPath(file);
+  }else{
+    try{
+      await story.init();
+      editor.open(structuredClone(story.story), story.storySrc, story.dateKey);
+    }catch(err){
+      console.warn(err);
+      const dateKey = StoryEngine.dateKeyOf(clock.now());
+      editor.open({ version: 1, date: dateKey, events: [{ time: "00:00", state: {} }] }, `${dateKey}.json`, dateKey);
+    }
+  }
+
+  let lastTs = performance.now();
+  const tick = () => {
+    const ts = performance.now();
+    editor.frame(Math.min(0.05, (ts - lastTs) / 1000));
+    lastTs = ts;
+    requestAnimationFrame(tick);
+  };
+  tick();
+}
+
+boot().catch(err => {
+  console.error(err);
+  $("issues").textContent = String(err?.message || err);
+});
@@ -0,0 +1,76 @@
+// src/hud/calendarFormat.js
+// Calendar box text (hud_layout.json calendar.format) and holiday lookup (data/holidays.json)
+// format:
+// - locale: "auto" (viewer language, i18n) or a fixed language ("th" = always Thai)
+// - month: "short" ("ก.พ." / "FEB") | "long" | "numeric"
+// - year: "none" | "numeric" (2569) | "2-digit" (69); era: "auto" (BE for Thai, CE otherwise) | "be" | "ce";
+//   eraLabel: true -> "พ.ศ. 2569" (i18n strings eraBE / eraCE)
+// - weekday: "none" | "short" | "long"
+// - holidayBadge: false hides the badge
+// Holidays: { id, date, until?, name, badge? }; date / until are "MM-DD" (every year) or "YYYY-MM-DD",
+// date may also be a list (lunar holidays such as Loy Krathong move every year); until makes a range (inclusive)
+
+export const BE_OFFSET = 543;
+
+export const DEFAULT_CALENDAR_FORMAT = {
+  locale: "auto",
+  month: "short",
+  year: "none",
+  era: "auto",
+  eraLabel: false,
+  weekday: "none",
+  holidayBadge: true
+};
+
+const MD_RE = /^\d{2}-\d{2}$/;
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad2(n){
+  return String(n).padStart(2, "0");
+}
+
+// now: wall date (clock.now()) -> { lang, month, day, year, weekday } strings ("" = not shown)
+export function formatCalendar(now, format = {}, i18n){
+  const f = { ...DEFAULT_CALENDAR_FORMAT, ...format };
+  const lang = (!f.locale || f.locale === "auto") ? i18n.lang : String(f.locale);
+
+  const m = now.getMonth();
+  const month = f.month === "numeric" ? String(m + 1)
+    : i18n.monthName(m, f.month === "long" ? "long" : "short", lang);
+
+  let year = "";
+  if(f.year === "numeric" || f.year === "2-digit"){
+    const be = f.era === "be" || (f.era === "auto" && String(lang).split("-")[0] === "th");
+    const y = now.getFullYear() + (be ? BE_OFFSET : 0);
+    year = f.year === "2-digit" ? pad2(y % 100) : String(y);
+    if(f.eraLabel) year = `${i18n.t(be ? "eraBE" : "eraCE", null, lang)} ${year}`;
+  }
+
+  const weekday = (f.weekday === "short" || f.weekday === "long")
+    ? i18n.weekdayName(now.getDay(), f.weekday, lang)
+    : "";
+
+  return { lang, month, day: String(now.getDate()), year, weekday };
+}
+
+function matches(date, until, ymd, md){
+  if(YMD_RE.test(date)){
+    return until && YMD_RE.test(until) ? (date <= ymd && ymd <= until) : date === ymd;
+  }
+  if(MD_RE.test(date)){
+    if(!until || !MD_RE.test(until)) return date === md;
+    // "12-30" .. "01-02" wraps the new year
+    return date <= until ? (date <= md && md <= until) : (md >= date || md <= until);
+  }
+  return false;
+}
+
+// first holiday covering the wall date, or null
+export function holidayOn(holidays, now){
+  if(!Array.isArray(holidays) || !holidays.length) return null;
+
+  const md = `${pad2(now.getMonth() + 1)}-${pad2(now.getDate())}`;
+  const ymd = `${now.getFullYear()}-${md}`;
+
+  return holidays.find(h => h && [].concat(h.date ?? []).some(d => matches(String(d), h.until && String(h.until), ymd, md))) || null;
+}
@@ -1,4 +1,7 @@
 import { calcHandAngles } from "./clockHands.js";
+import { offsetMinutes } from "../time/timeZone.js";
+import { Localizer } from "../i18n/localizer.js";
+import { formatCalendar, holidayOn } from "./calendarFormat.js";
 
 function el(tag){
   return document.createElement(tag);
@@ -18,21 +21,42 @@ function onTap(target, fn){
 }
 
 export class HudEngine {
-  constructor({ overlayEl, hudLayout }){
+  constructor({ overlayEl, hudLayout, i18n = null }){
     this.root = overlayEl;
     this.layout = hudLayout;
     this.state = {};
-    this.dialogueLang = "th";
+
+    // viewer language (dialogue / status / mood / calendar / cards); re-render on change
+    this.i18n = i18n || new Localizer();
+    this.i18n.on(() => this._onLangChange());
 
     this.stageEl = document.getElementById("stage");
 
     this.monthEl = el("div");
     this.dayEl = el("div");
+
+    // optional calendar parts (hud_layout calendar.year / weekday / badge rects) + holidays.json
+    this.yearEl = el("div");
+    this.weekdayEl = el("div");
+    this.badgeEl = el("div");
+    this.holidays = [];
+    this._calendarSig = null;
     this.statusEl = el("div");
     this.moodEl = el("div");
     this.dialogueEl = el("div");
     this.inRoomWrap = el("div");
 
+    // story dialogue choices (reply buttons)
+    this.choicesEl = el("div");
+    this._choicesSig = null;
+
+    // story hooks (set by main): tap(target) -> handled?, choose(choiceId, optionId)
+    this._storyHandlers = { tap: null, choose: null };
+
+    // viewer's own local time (only shown when it differs from the story time zone)
+    this.viewerTimeEl = el("div");
+    this._viewerTimeText = null;
+
     this.hourHand = el("div");
     this.minHand = el("div");
 
@@ -105,17 +129,56 @@ export class HudEngine {
     this.sfxBtnEl.appendChild(this.sfxSlashEl);
     this.musicBtnEl.appendChild(this.musicSlashEl);
 
+    /* ---------- lightning flash safety toggle (hud_layout.safetyButton, SafetySettings) ---------- */
+    // no template art for it: a small drawn pill over the sky, slashed while flashes are reduced
+    this.safety = null;
+    this.safetyBtnEl = el("div");
+    this.safetySlashEl = el("div");
+    this.safetyBtnEl.textContent = "\u26A1";
+    this.safetyBtnEl.setAttribute("role", "switch");
+    this.safetyBtnEl.tabIndex = 0;
+    Object.assign(this.safetyBtnEl.style, {
+      position: "absolute",
+      display: "none",
+      alignItems: "center",
+      justifyContent: "center",
+      background: "rgba(255,255,255,0.55)",
+      borderRadius: "999px",
+      color: "#2a2a2a",
+      fontSize: "0.9rem",
+      cursor: "pointer",
+      userSelect: "none",
+      pointerEvents: "auto"
+    });
+    Object.assign(this.safetySlashEl.style, {
+      position: "absolute",
+      left: "30%",
+      top: "50%",
+      width: "40%",
+      height: "8%",
+      background: "rgba(40,40,40,0.92)",
+      transform: "translateY(-50%) rotate(-35deg)",
+      borderRadius: "999px",
+      pointerEvents: "none",
+      display: "none"
+    });
+    this.safetyBtnEl.appendChild(this.safetySlashEl);
+
     this.root.append(
       this.monthEl, this.dayEl,
+      this.yearEl, this.weekdayEl, this.badgeEl,
       this.statusEl, this.moodEl,
       this.dialogueEl,
+      this.choicesEl,
+      this.viewerTimeEl,
       this.inRoomWrap,
       this.hourHand, this.minHand,
       this.portraitEl,
       this.statusIconEl,
       this.logoHotspotEl,
       this.sfxBtnEl,
-      this.musicBtnEl
+      this.musicBtnEl,
+      this.safetyBtnEl
     );
 
     for(const e of [this.monthEl,this.dayEl,this.statusEl,this.moodEl,this.dialogueEl]){
@@ -125,6 +188,37 @@ export class HudEngine {
       e.style.userSelect = "none";
     }
 
+    for(const e of [this.yearEl,this.weekdayEl]){
+      Object.assign(e.style, {
+        position: "absolute",
+        display: "none",
+        color: "#2a2a2a",
+        fontSize: "0.7rem",
+        fontWeight: "700",
+        whiteSpace: "nowrap",
+        userSelect: "none",
+        pointerEvents: "none"
+      });
+    }
+
+    Object.assign(this.badgeEl.style, {
+      position: "absolute",
+      display: "none",
+      alignItems: "center",
+      justifyContent: "center",
+      boxSizing: "border-box",
+      padding: "0 0.4em",
+      borderRadius: "999px",
+      background: "#b5533c",
+      color: "#fff",
+      fontSize: "0.6rem",
+      fontWeight: "700",
+      whiteSpace: "nowrap",
+      overflow: "hidden",
+      userSelect: "none",
+      pointerEvents: "none"
+    });
+
     // calendar clickable
     this.monthEl.style.cursor = "pointer";
     this.dayEl.style.cursor = "pointer";
@@ -138,6 +232,17 @@ export class HudEngine {
     this.dialogueEl.style.textAlign = "center";
     this.dialogueEl.style.padding = "0.5rem";
 
+    Object.assign(this.viewerTimeEl.style, {
+      position: "absolute",
+      display: "none",
+      color: "rgba(42,42,42,0.75)",
+      fontSize: "0.7rem",
+      fontWeight: "400",
+      whiteSpace: "nowrap",
+      userSelect: "none",
+      pointerEvents: "none"
+    });
+
     for(const h of [this.hourHand, this.minHand]){
       h.style.position = "absolute";
       h.style.transformOrigin = "50% 90%";
@@ -146,23 +251,33 @@ export class HudEngine {
       h.style.pointerEvents = "none";
     }
 
+    Object.assign(this.choicesEl.style, {
+      position: "absolute",
+      display: "none",
+      gap: "0.5rem",
+      alignItems: "center",
+      justifyContent: "center",
+      pointerEvents: "auto"
+    });
+
     this.inRoomWrap.style.position = "absolute";
     this.inRoomWrap.style.display = "flex";
     this.inRoomWrap.style.gap = "0.5rem";
     this.inRoomWrap.style.pointerEvents = "auto";
+    this._inRoomSig = null;
 
     // modal
     this._initModal();
 
     // interactions
     onTap(this.portraitEl, () => {
-      const src = this.state.profileCardSrc || "assets/cards/profile_card.png";
-      this._openModal(src);
+      if(this._storyTap("portrait")) return;
+      this._openModal(this.i18n.cardCandidates(this.state.profileCardSrc || "assets/cards/profile_card.png"));
     });
 
     const openSchedule = () => {
-      const src = this.state.scheduleCardSrc || "assets/cards/schedule_card.png";
-      this._openModal(src);
+      if(this._storyTap("calendar")) return;
+      this._openModal(this.i18n.cardCandidates(this.state.scheduleCardSrc || "assets/cards/schedule_card.png"));
     };
     onTap(this.monthEl, openSchedule);
     onTap(this.dayEl, openSchedule);
@@ -188,6 +303,18 @@ export class HudEngine {
       this._applyAudioUI();
     });
 
+    const toggleSafety = () => {
+      if(!this.safety) return;
+      this.safety.toggleSafeFlashes();
+      this._applySafetyUI();
+    };
+    onTap(this.safetyBtnEl, toggleSafety);
+    this.safetyBtnEl.addEventListener("keydown", (e) => {
+      if(e.key !== "Enter" && e.key !== " ") return;
+      e.preventDefault();
+      toggleSafety();
+    });
+
     this.setPortrait("normal");
     this._applyAudioUI();
   }
@@ -200,6 +327,32 @@ export class HudEngine {
     this._applyAudioUI();
   }
 
+  // called by main after creating SafetySettings (the OS reduced-motion setting may also change it)
+  setSafetySettings(safety){
+    this.safety = safety;
+    safety?.on(() => this._applySafetyUI());
+    this._applySafetyUI();
+  }
+
+  _applySafetyUI(){
+    const on = !!this.safety?.safeFlashes;
+    const label = this.i18n.t(on ? "safeFlashesOn" : "safeFlashesOff");
+    this.safetySlashEl.style.display = on ? "block" : "none";
+    this.safetyBtnEl.setAttribute("aria-checked", String(on));
+    this.safetyBtnEl.setAttribute("aria-label", label);
+    this.safetyBtnEl.title = label;
+  }
+
+  // called by main after creating StoryEngine
+  setStoryHandlers({ tap = null, choose = null } = {}){
+    this._storyHandlers = { tap, choose };
+  }
+
+  // true when a story interaction took the tap (default action skipped)
+  _storyTap(target){
+    return !!this._storyHandlers.tap?.(target);
+  }
+
   _applyAudioUI(){
     // slash visible when OFF
     this.sfxSlashEl.style.display = this._sfxEnabledUI ? "none" : "block";
@@ -310,14 +463,22 @@ export class HudEngine {
     this._modalIsOpen = false;
   }
 
+  // src: one path or candidates tried in order (localized card first, see Localizer.cardCandidates)
   _openModal(src){
+    const list = [].concat(src).filter(Boolean);
+    if(!list.length) return;
+
     // cancel pending close timer
     if(this._modalClosingTimer){
       clearTimeout(this._modalClosingTimer);
       this._modalClosingTimer = null;
     }
 
-    this.modalImg.src = src;
+    let i = 0;
+    this.modalImg.onerror = () => {
+      if(++i < list.length) this.modalImg.src = list[i];
+    };
+    this.modalImg.src = list[0];
     this.modalBackdrop.style.display = "flex";
 
     // force initial state (hidden) then animate in next frame
@@ -350,7 +511,19 @@ export class HudEngine {
 
   /* ---------- LAYOUT ---------- */
 
-  resize(){ this._applyLayout(); }
+  // dev hot reload of hud_layout.json
+  setLayout(layout){
+    this.layout = layout;
+    this._inRoomSig = null; // slot count may have changed
+    this.resize();
+    this._updateInRoom();
+  }
+
+  resize(){
+    this._applyLayout();
+    // card sizes depend on the stage rect
+    this._sizeInRoomCards();
+  }
 
   _stageRect(){ return this.stageEl.getBoundingClientRect(); }
 
@@ -367,13 +540,26 @@ export class HudEngine {
 
     this._applyRectPx(this.monthEl,L.calendar.month);
     this._applyRectPx(this.dayEl,L.calendar.day);
+    for(const [elm,rect] of [[this.yearEl,L.calendar.year],[this.weekdayEl,L.calendar.weekday],[this.badgeEl,L.calendar.badge]]){
+      if(!rect) continue;
+      this._applyRectPx(elm,rect);
+      elm.style.textAlign=rect.align||"center";
+      elm.style.lineHeight=elm.style.height;
+    }
+    this._calendarSig=null;
     this._applyRectPx(this.statusEl,L.statusText);
     this._applyRectPx(this.moodEl,L.moodText);
     this._applyRectPx(this.dialogueEl,L.dialogue);
+    this._applyRectPx(this.choicesEl,L.choices||{ ...L.dialogue, y:L.dialogue.y+L.dialogue.h*0.7, h:L.dialogue.h*0.28 });
 
     if(L.portrait) this._applyRectPx(this.portraitEl,L.portrait);
     if(L.statusIcon) this._applyRectPx(this.statusIconEl,L.statusIcon);
 
+    if(L.viewerTimeHint){
+      this._applyRectPx(this.viewerTimeEl, L.viewerTimeHint);
+      this.viewerTimeEl.style.textAlign = L.viewerTimeHint.align || "center";
+    }
+
     if(L.logoHotspot){
       this.logoHotspotEl.style.display="block";
       this._applyRectPx(this.logoHotspotEl,L.logoHotspot);
@@ -393,6 +579,13 @@ export class HudEngine {
       this.musicBtnEl.style.display = "none";
     }
 
+    if(L.safetyButton && this.safety){
+      this.safetyBtnEl.style.display = "flex";
+      this._applyRectPx(this.safetyBtnEl, L.safetyButton);
+    }else{
+      this.safetyBtnEl.style.display = "none";
+    }
+
     const slots=L.inRoom.slots;
     if(slots?.length){
       const r=this._stageRect();
@@ -405,8 +598,9 @@ export class HudEngine {
     const cx=(c.x/100)*r.width;
     const cy=(c.y/100)*r.height;
 
-    const hourLen=(L.clock.hourLenPctOfScreenW/100)*window.innerWidth;
-    const minLen=(L.clock.minLenPctOfScreenW/100)*window.innerWidth;
+    // stage width == screen width on the page (stage is 100vw); the editor preview stage is smaller
+    const hourLen=(L.clock.hourLenPctOfScreenW/100)*r.width;
+    const minLen=(L.clock.minLenPctOfScreenW/100)*r.width;
     const t=L.clock.thicknessPx;
 
     this.hourHand.style.width=`${t}px`;
@@ -423,9 +617,40 @@ export class HudEngine {
   /* ---------- TIME / TEXT ---------- */
 
   setCalendar(now){
-    const m=["JAN","FEB","MAR","APR","MAY","JUN","JUL","AUG","SEP","OCT","NOV","DEC"];
-    this.monthEl.textContent=m[now.getMonth()];
-    this.dayEl.textContent=now.getDate();
+    const fmt=this.layout.calendar?.format||{};
+    const holiday=fmt.holidayBadge===false?null:holidayOn(this.holidays,now);
+
+    // text only changes with the day / language
+    const sig=`${now.getFullYear()}-${now.getMonth()}-${now.getDate()}|${this.i18n.lang}|${holiday?.id??""}`;
+    if(sig===this._calendarSig) return;
+    this._calendarSig=sig;
+
+    const L=this.layout.calendar||{};
+    const c=formatCalendar(now,fmt,this.i18n);
+
+    // year / weekday without their own rect ride along on the month line
+    this.monthEl.textContent=[
+      L.weekday?"":c.weekday,
+      c.month,
+      L.year?"":c.year
+    ].filter(Boolean).join(" ");
+    this.dayEl.textContent=c.day;
+
+    this.yearEl.textContent=c.year;
+    this.yearEl.style.display=(L.year&&c.year)?"block":"none";
+    this.weekdayEl.textContent=c.weekday;
+    this.weekdayEl.style.display=(L.weekday&&c.weekday)?"block":"none";
+
+    const badge=holiday&&L.badge?this.i18n.pick(holiday.badge??holiday.name):"";
+    this.badgeEl.textContent=badge;
+    this.badgeEl.title=holiday?this.i18n.pick(holiday.name):"";
+    this.badgeEl.style.display=badge?"flex":"none";
+  }
+
+  // data/holidays.json "holidays" (calendar badge)
+  setHolidays(list){
+    this.holidays=Array.isArray(list)?list:[];
+    this._calendarSig=null;
   }
 
   setClockHands(now){
@@ -434,6 +659,29 @@ export class HudEngine {
     this.minHand.style.transform=`rotate(${minDeg}deg)`;
   }
 
+  // realNow = true instant; timeZone = story zone (null = viewer zone, hint hidden)
+  setViewerTimeHint(realNow, timeZone){
+    const cfg = this.layout.viewerTimeHint;
+    let text = "";
+
+    if(cfg && cfg.enabled !== false && timeZone){
+      const storyOffset = offsetMinutes(realNow.getTime(), timeZone);
+      const viewerOffset = -realNow.getTimezoneOffset();
+
+      if(storyOffset !== viewerOffset){
+        const hh = String(realNow.getHours()).padStart(2,"0");
+        const mm = String(realNow.getMinutes()).padStart(2,"0");
+        text = `${this.i18n.t("yourTime")} ${hh}:${mm}`;
+      }
+    }
+
+    if(text === this._viewerTimeText) return;
+    this._viewerTimeText = text;
+
+    this.viewerTimeEl.textContent = text;
+    this.viewerTimeEl.style.display = text ? "block" : "none";
+  }
+
   /* ---------- PORTRAIT ANIM ---------- */
 
   _stopPortraitAnim(){
@@ -517,11 +765,9 @@ export class HudEngine {
 
   setState(state){
     this.state=state||{};
-    this.statusEl.textContent=this.state.status||"";
-    this.moodEl.textContent=this.state.mood||"";
-
-    const dlg=this.state.dialogue||{};
-    this.dialogueEl.textContent=dlg[this.dialogueLang]||"";
+    this.statusEl.textContent=this.i18n.pick(this.state.status);
+    this.moodEl.textContent=this.i18n.pick(this.state.mood);
+    this.dialogueEl.textContent=this.i18n.pick(this.state.dialogue);
 
     if(this.state.portraitAnim){
       const sig=this._makeAnimSig(this.state.portraitAnim);
@@ -549,38 +795,102 @@ export class HudEngine {
       }
     }
 
-    this._renderInRoom(this.state.inRoom||[]);
+    this._renderChoices(this.state.choices);
+    this._updateInRoom();
   }
 
   enableDialogueToggle(cb){
-    this.dialogueEl.onclick=cb;
+    this.dialogueEl.onclick=()=>{
+      if(this._storyTap("dialogue")) return;
+      cb();
+    };
   }
 
-  toggleDialogueLang(){
-    this.dialogueLang=this.dialogueLang==="th"?"en":"th";
+  /* ---------- CHOICES ---------- */
+
+  _choiceLabel(label){
+    return this.i18n.pick(label);
+  }
+
+  _renderChoices(choices){
+    const options=Array.isArray(choices?.options)?choices.options:[];
+    const sig=options.length?`${choices.id}::${this.i18n.lang}::${JSON.stringify(options.map(o=>o?.label))}`:"";
+    if(sig===this._choicesSig) return;
+    this._choicesSig=sig;
+
+    this.choicesEl.innerHTML="";
+    this.choicesEl.style.display=options.length?"flex":"none";
+
+    for(const opt of options){
+      const btn=el("button");
+      btn.type="button";
+      btn.textContent=this._choiceLabel(opt?.label);
+      Object.assign(btn.style,{
+        flex:"1 1 0",
+        height:"100%",
+        borderRadius:"999px",
+        border:"2px solid rgba(40,40,40,0.85)",
+        background:"rgba(255,255,255,0.85)",
+        color:"#2a2a2a",
+        fontWeight:"700",
+        cursor:"pointer",
+        pointerEvents:"auto"
+      });
+      onTap(btn,()=>this._storyHandlers.choose?.(choices.id,opt?.id));
+      this.choicesEl.appendChild(btn);
+    }
+  }
+
+  // dialogue tap: next language (persisted by the Localizer)
+  cycleLang(){
+    this.i18n.next();
+  }
+
+  _onLangChange(){
+    this._applySafetyUI();
+    this._viewerTimeText=null;
+    this._calendarSig=null;
     this.setState(this.state);
   }
 
+  // setState runs every frame: rebuild the cards only when the list changes
+  _updateInRoom(){
+    const inRoom=this.state.inRoom||[];
+    const inRoomSig=inRoom.join("|");
+    if(inRoomSig===this._inRoomSig) return;
+    this._inRoomSig=inRoomSig;
+    this._renderInRoom(inRoom);
+  }
+
   _renderInRoom(list){
     this.inRoomWrap.innerHTML="";
     const slots=this.layout.inRoom.slots;
-    const r=this._stageRect();
-    list.slice(0,slots.length).forEach((id,i)=>{
-      const s=slots[i];
+    list.slice(0,slots.length).forEach((id)=>{
       const card=el("img");
       card.src=`assets/characters/${id}.png`;
-      card.style.width=(s.w/100)*r.width+"px";
-      card.style.height=(s.h/100)*r.height+"px";
       card.style.objectFit="contain";
       card.style.borderRadius="8px";
       card.style.cursor="pointer";
       card.style.pointerEvents="auto";
 
       onTap(card, ()=>{
-        this._openModal(`assets/cards/characters/${id}.png`);
+        if(this._storyTap(`inRoom:${id}`)) return;
+        this._openModal(this.i18n.cardCandidates(`assets/cards/characters/${id}.png`));
       });
 
       this.inRoomWrap.appendChild(card);
     });
+    this._sizeInRoomCards();
+  }
+
+  _sizeInRoomCards(){
+    const slots=this.layout.inRoom.slots;
+    const r=this._stageRect();
+    [...this.inRoomWrap.children].forEach((card,i)=>{
+      const s=slots[i];
+      if(!s) return;
+      card.style.width=(s.w/100)*r.width+"px";
+      card.style.height=(s.h/100)*r.height+"px";
+    });
   }
 }
@@ -0,0 +1,182 @@
+// src/i18n/localizer.js
+// Viewer language for every text the HUD shows (data/i18n.json)
+// - Any number of languages: config.languages, in the order the dialogue tap cycles through them
+// - First visit: navigator.languages ("th-TH" -> "th"), else config.default; the pick is kept in localStorage ("lbtw:lang")
+// - Fallback chain: lang -> its base ("pt-BR" -> "pt") -> config.fallback -> every other language
+// - pick(value): story text is a plain string (same for everyone) or { th, en, ... } -> first match along the chain
+// - t(key): UI strings (config.strings[lang]); monthName / weekdayName from strings.months* / weekdays*, else Intl
+// - cardCandidates(path): localized card images ("assets/cards/en/profile_card.png") for config.cards.languages,
+//   then the path itself; callers try them in order
+// Private mode / disabled storage: the language still switches, it just is not remembered
+
+const STORAGE_KEY = "lbtw:lang";
+const BUILTIN_LANGS = ["th", "en"];
+
+function storage(){
+  try{
+    return window.localStorage || null;
+  }catch(_){
+    return null;
+  }
+}
+
+function isPlainObject(v){
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function baseOf(lang){
+  return String(lang).split("-")[0];
+}
+
+export class Localizer {
+  constructor(config = {}){
+    this._listeners = new Set();
+    this.lang = null;
+    this.load(config);
+  }
+
+  // (re)apply a config; the current language is kept when it is still offered (dev hot reload)
+  load(config = {}){
+    this.config = isPlainObject(config) ? config : {};
+    this.languages = Array.isArray(this.config.languages) && this.config.languages.length
+      ? this.config.languages.map(String)
+      : BUILTIN_LANGS;
+    this.strings = isPlainObject(this.config.strings) ? this.config.strings : {};
+
+    const prev = this.lang;
+    this.lang = this._match(prev) || this._match(this._stored()) || this._detect() ||
+      this._match(this.config.default) || this.languages[0];
+
+    if(prev !== null && prev !== this.lang) this._emit();
+  }
+
+  // offered language for a tag ("en-GB" -> "en"), or null
+  _match(tag){
+    if(!tag) return null;
+    const t = String(tag);
+    if(this.languages.includes(t)) return t;
+    const base = baseOf(t);
+    return this.languages.find(l => l === base || baseOf(l) === base) || null;
+  }
+
+  _stored(){
+    try{
+      return storage()?.getItem(STORAGE_KEY) || null;
+    }catch(_){
+      return null;
+    }
+  }
+
+  _detect(){
+    const nav = typeof navigator !== "undefined" ? navigator : null;
+    const tags = nav?.languages?.length ? nav.languages : [nav?.language].filter(Boolean);
+    for(const tag of tags){
+      const hit = this._match(tag);
+      if(hit) return hit;
+    }
+    return null;
+  }
+
+  chain(lang = this.lang){
+    const fallback = Array.isArray(this.config.fallback) ? this.config.fallback : [];
+    return [...new Set([lang, baseOf(lang), ...fallback, ...this.languages].filter(Boolean))];
+  }
+
+  setLang(lang){
+    const next = this._match(lang);
+    if(!next) return false;
+
+    try{ storage()?.setItem(STORAGE_KEY, next); }catch(_){}
+
+    if(next === this.lang) return true;
+    this.lang = next;
+    this._emit();
+    return true;
+  }
+
+  // dialogue tap: next language in config order
+  next(){
+    const i = this.languages.indexOf(this.lang);
+    this.setLang(this.languages[(i + 1) % this.languages.length]);
+    return this.lang;
+  }
+
+  // fn(lang) after every change; returns an unsubscribe function
+  on(fn){
+    this._listeners.add(fn);
+    return () => this._listeners.delete(fn);
+  }
+
+  _emit(){
+    for(const fn of [...this._listeners]){
+      try{ fn(this.lang); }catch(err){ console.warn("[i18n] listener failed:", err); }
+    }
+  }
+
+  // string | { lang: string } | null -> display text
+  pick(value){
+    if(value === null || value === undefined) return "";
+    if(!isPlainObject(value)) return String(value);
+
+    for(const l of this.chain()){
+      const v = value[l];
+      if(typeof v === "string" && v !== "") return v;
+    }
+    const any = Object.values(value).find(v => typeof v === "string" && v !== "");
+    return any ?? "";
+  }
+
+  // UI string; "{name}" placeholders come from vars
+  t(key, vars = null, lang = this.lang){
+    for(const l of this.chain(lang)){
+      const v = this.strings[l]?.[key];
+      if(typeof v === "string"){
+        return vars ? v.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m)) : v;
+      }
+    }
+    return key;
+  }
+
+  // style: "short" | "long" (strings.monthsShort / monthsLong, else Intl); lang defaults to the viewer's
+  monthName(monthIndex, style = "short", lang = this.lang){
+    return this._calendarName(style === "long" ? "monthsLong" : "monthsShort", 12, monthIndex, lang,
+      { month: style === "long" ? "long" : "short" }, new Date(Date.UTC(2000, monthIndex, 1)));
+  }
+
+  // weekday 0 = Sunday (Date#getDay); strings.weekdaysShort / weekdaysLong, else Intl
+  weekdayName(weekday, style = "short", lang = this.lang){
+    return this._calendarName(style === "long" ? "weekdaysLong" : "weekdaysShort", 7, weekday, lang,
+      { weekday: style === "long" ? "long" : "short" }, new Date(Date.UTC(2000, 0, 2 + weekday)));
+  }
+
+  _calendarName(key, count, index, lang, intlOpts, sample){
+    for(const l of this.chain(lang)){
+      const list = this.strings[l]?.[key];
+      if(Array.isArray(list) && list.length === count) return String(list[index]);
+    }
+    try{
+      return new Intl.DateTimeFormat(lang, { ...intlOpts, timeZone: "UTC" }).format(sample);
+    }catch(_){
+      return String(index + 1);
+    }
+  }
+
+  // card image path (string or { lang: path }) -> paths to try in order
+  cardCandidates(value){
+    const path = this.pick(value);
+    if(!path) return [];
+
+    const cards = isPlainObject(this.config.cards) ? this.config.cards : {};
+    const localized = new Set(Array.isArray(cards.languages) ? cards.languages : []);
+    const pattern = typeof cards.pattern === "string" ? cards.pattern : "{dir}/{lang}/{file}";
+
+    const cut = path.lastIndexOf("/");
+    const dir = cut >= 0 ? path.slice(0, cut) : ".";
+    const file = path.slice(cut + 1);
+
+    const out = this.chain()
+      .filter(l => localized.has(l))
+      .map(l => pattern.replace("{dir}", dir).replace("{lang}", l).replace("{file}", file));
+    return [...new Set([...out, path])];
+  }
+}
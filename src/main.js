@@ -3,6 +3,23 @@ import { SceneEngine } from "./scene/sceneEngine.js";
 import { HudEngine } from "./hud/hudEngine.js";
 import { StoryEngine } from "./story/storyEngine.js";
 import { AudioManager } from "./audio/audioManager.js";
+import { clock } from "./time/clock.js";
+import { localChoiceStore } from "./story/choiceStore.js";
+import { LiveSource } from "./story/liveSource.js";
+import { Localizer } from "./i18n/localizer.js";
+import { SafetySettings } from "./a11y/safetySettings.js";
+import { WeatherManager } from "./weather/weatherManager.js";
+import { WeatherGenerator } from "./weather/weatherGenerator.js";
+import { createWeatherFeed } from "./weather/weatherFeed.js";
+import {
+  validateStory,
+  validateStoryAssets,
+  validateManifest,
+  storyRefsFromConfigs,
+  formatIssue
+} from "./story/storyValidator.js";
+import { showErrorReport } from "./debug/errorReport.js";
+import { startHotReload } from "./dev/hotReload.js";
 
 const TEMPLATE_W = 1595;
 const TEMPLATE_H = 3457;
@@ -10,12 +27,68 @@ const RATIO = TEMPLATE_H / TEMPLATE_W;
 
 const STAGE_Y_OFFSET_PX = 20;
 
+const PARAMS = new URLSearchParams(window.location.search);
+
+// ?debug=1 -> validate the loaded story at boot and show issues in-page
+const DEBUG = PARAMS.get("debug") === "1";
+
+// ?dev=1 -> re-apply data/*.json configs when they change (tools/dev_server.mjs, or polling)
+const DEV = PARAMS.get("dev") === "1";
+
+// ?live=http://127.0.0.1:8787/events (SSE) or ws://... -> live story layer (tools/live_server.mjs)
+const LIVE_URL = PARAMS.get("live");
+
+// ?weatherFeed=data/weather_fixture.json -> offline fixture instead of weather_config.json's feed, "off" -> no feed
+const WEATHER_FEED = PARAMS.get("weatherFeed");
+
 async function loadJSON(url){
   const res = await fetch(url, { cache: "no-store" });
   if(!res.ok) throw new Error(`Failed to load ${url}`);
   return await res.json();
 }
 
+function skyArgs(skyCfg){
+  return {
+    urls: [...new Set(skyCfg.keyframes.map(k => k.src))],
+    keyframes: skyCfg.keyframes,
+    mode: "keyframes"
+  };
+}
+
+async function assetExists(url){
+  try{
+    const res = await fetch(url, { method: "HEAD", cache: "no-store" });
+    return res.ok;
+  }catch(_){
+    return false;
+  }
+}
+
+async function reportStoryIssues(story, configs){
+  if(!story.story) return;
+
+  const file = story.storySrc || "story";
+  const issues = [
+    ...validateManifest(story.manifest),
+    ...validateStory(story.story, {
+      file,
+      ...storyRefsFromConfigs({ ...configs, sharedPresets: story.sharedPresets, manifest: story.manifest })
+    }),
+    ...await validateStoryAssets(story.story, { file, exists: assetExists })
+  ];
+
+  if(!issues.length){
+    console.info(`[story] ${file}: no issues`);
+    return;
+  }
+
+  issues.forEach(i => console.warn(formatIssue(i)));
+  showErrorReport({
+    title: `Story check: ${issues.length} issue(s)`,
+    lines: issues.map(formatIssue)
+  });
+}
+
 function setVisualViewportHeight(){
   const vv = window.visualViewport;
   const h = vv ? vv.height : window.innerHeight;
@@ -45,6 +118,11 @@ async function boot(){
   const sceneLayout = await loadJSON("./data/scene_layout.json");
   const hudLayout = await loadJSON("./data/hud_layout.json");
 
+  // viewer language: saved pick -> browser language -> i18n.json default
+  const i18n = new Localizer(await loadJSON("./data/i18n.json"));
+  document.documentElement.lang = i18n.lang;
+  i18n.on((lang) => { document.documentElement.lang = lang; });
+
   const scene = new SceneEngine({
     hostEl: document.getElementById("scene-host"),
     sceneLayout
@@ -52,17 +130,73 @@ async function boot(){
 
   const hud = new HudEngine({
     overlayEl: document.getElementById("overlay"),
-    hudLayout
+    hudLayout,
+    i18n
   });
 
+  // photosensitivity: saved pick -> prefers-reduced-motion; lightning becomes a soft glow, thunder stays
+  const safety = new SafetySettings();
+  scene.setSafeFlashes(safety.safeFlashes);
+  safety.on((s) => scene.setSafeFlashes(s.safeFlashes));
+  hud.setSafetySettings(safety);
+
+  // one weather state for clouds, rain, lightning, actors, random fx and audio:
+  // the story's, else the real weather feed, else seeded per date (optional file; without it unset days stay clear)
+  const weatherCfg = await loadJSON("./data/weather_config.json").catch(err => {
+    console.warn("[weather] config:", err);
+    return { enabled: false };
+  });
+  const weatherGen = new WeatherGenerator(weatherCfg);
+  const weather = new WeatherManager({ generator: weatherGen });
+
+  const startWeatherFeed = (cfg) => {
+    weather.feed?.stop();
+    const feedCfg = WEATHER_FEED === "off" ? null
+      : WEATHER_FEED ? { provider: "file", url: WEATHER_FEED, refreshSec: 60 }
+      : cfg?.feed;
+    weather.feed = createWeatherFeed(feedCfg, {
+      onStatus: (s, detail) => {
+        if(s === "error") console.warn("[weather] feed:", detail);
+      }
+    });
+    weather.feed?.start();
+  };
+
+  const live = LIVE_URL
+    ? new LiveSource({ url: LIVE_URL, onStatus: (s) => console.info(`[live] ${s}`) })
+    : null;
+
   const story = new StoryEngine({
-    storyUrl: "./data/story/2026-02-14.json"
+    manifestUrl: "./data/story/manifest.json",
+    choiceStore: localChoiceStore(),
+    live
   });
 
+  // manifest first: it anchors the clock's time zone, so ?at= is read as the story's wall time
+  await story.loadManifest();
+
+  // virtual clock: ?at=2026-02-14T19:00&speed=60 (+ runtime API for previewing a day)
+  clock.applyUrlParams();
+  window.lbtwClock = clock;
+
   await story.init();
 
+  // after the clock: fixture files are read at the story's wall time
+  startWeatherFeed(weatherCfg);
+
+  // calendar holiday badge (optional file)
+  loadJSON("./data/holidays.json")
+    .then(cfg => hud.setHolidays(cfg.holidays))
+    .catch(err => console.warn("[hud] holidays:", err));
+
   hud.setState(story.getCurrentState());
-  hud.enableDialogueToggle(() => hud.toggleDialogueLang());
+  hud.enableDialogueToggle(() => hud.cycleLang());
+
+  // taps / reply buttons -> story overlays (the HUD picks up the new state on the next tick)
+  hud.setStoryHandlers({
+    tap: (target) => story.trigger(target, clock.now()),
+    choose: (choiceId, optionId) => story.choose(choiceId, optionId, clock.now())
+  });
 
   const reflow = () => {
     setVisualViewportHeight();
@@ -79,18 +213,20 @@ async function boot(){
 
   // --- SKY ---
   const skyCfg = await loadJSON("./data/sky_config.json");
-  const urls = [...new Set(skyCfg.keyframes.map(k => k.src))];
-
-  await scene.initSky({
-    urls,
-    keyframes: skyCfg.keyframes,
-    mode: "keyframes"
-  });
+  await scene.initSky(skyArgs(skyCfg));
 
   // --- CLOUDS ---
   const cloudCfg = await loadJSON("./data/cloud_config.json");
   await scene.initClouds(cloudCfg);
 
+  // --- ATMOSPHERE (snow / fog / haze) ---
+  const atmosphereCfg = await loadJSON("./data/atmosphere_config.json");
+  await scene.initAtmosphere(atmosphereCfg);
+
+  // --- WINDOW GLASS (wet after rain) ---
+  const glassCfg = await loadJSON("./data/glass_config.json");
+  await scene.initGlass(glassCfg);
+
   // --- ROOM ---
   const roomCfg = await loadJSON("./data/room_config.json");
   await scene.initRoom(roomCfg);
@@ -112,9 +248,28 @@ async function boot(){
   const audio = new AudioManager(audioCfg);
   hud.setAudioManager(audio);
 
-  // thunder sync with lightning flashes (from RainManager)
-  window.addEventListener("lbtw:lightning", () => {
-    audio.playSfx("thunder", { volume: 1.0 });
+  // thunder after each lightning flash (RainManager): delay, volume and variant follow the strike distance
+  window.addEventListener("lbtw:lightning", (e) => {
+    audio.playThunder(e?.detail?.distance);
+  });
+
+  if(DEBUG){
+    reportStoryIssues(story, { roomFxCfg, audioCfg, cloudCfg }).catch(err => console.warn(err));
+  }
+
+  // live patches are checked against the same clip / profile / music names as story files
+  if(live){
+    live.refs = storyRefsFromConfigs({ roomFxCfg, audioCfg, cloudCfg, sharedPresets: story.sharedPresets });
+  }
+
+  // rain loop follows the weather (changes only)
+  weather.on((w) => audio.applyWeather(w));
+  audio.applyWeather(weather.current);
+
+  // HUD + audio react to story transitions (emitted by story.update in tick) instead of per-frame polling
+  story.on("state", ({ state, now }) => {
+    hud.setState(state);
+    audio.applyStoryState(now, state);
   });
 
   // NEW: actor sfx (e.g., cat meow)
@@ -131,36 +286,99 @@ async function boot(){
   hud.resize();
 
   // set initial clouds instantly (no fade-in on refresh)
-  const now0 = new Date();
+  const now0 = clock.now();
   const initialState = story.computeStateAt(now0);
 
-  const initialProfile =
-    initialState?.cloudProfile ??
-    initialState?.state?.cloudProfile ??
-    "none";
-  scene.setInitialCloudProfile(initialProfile);
+  scene.setInitialCloudProfile(weather.update(now0, initialState).cloudProfile);
 
   // set initial roomFX instantly (must reflect current story immediately)
   scene.setInitialRoomFxState(initialState);
 
+  // dev: config edits re-apply to the running managers (fades, cat session and story keep going)
+  if(DEV){
+    const current = () => story.computeStateAt(clock.now());
+    const reloaders = {
+      "./data/scene_layout.json": (cfg) => scene.setLayout(cfg),
+      "./data/hud_layout.json": (cfg) => hud.setLayout(cfg),
+      "./data/i18n.json": (cfg) => i18n.load(cfg),
+      "./data/holidays.json": (cfg) => hud.setHolidays(cfg.holidays),
+      "./data/sky_config.json": (cfg) => scene.reloadSky(skyArgs(cfg)),
+      "./data/cloud_config.json": (cfg) => scene.reloadClouds(cfg),
+      "./data/atmosphere_config.json": (cfg) => scene.reloadAtmosphere(cfg, weather.current),
+      "./data/glass_config.json": (cfg) => scene.reloadGlass(cfg, weather.current),
+      "./data/room_config.json": (cfg) => scene.reloadRoom(cfg),
+      "./data/roomfx_config.json": (cfg) => scene.reloadRoomFx(cfg, current()),
+      "./data/actors_config.json": (cfg) => scene.reloadActors(cfg),
+      "./data/rain_config.json": (cfg) => scene.reloadRain(cfg, weather.current),
+      "./data/weather_config.json": (cfg) => {
+        weatherGen.load(cfg);
+        startWeatherFeed(cfg);
+      },
+      "./data/audio_config.json": (cfg) => audio.reloadConfig(cfg)
+    };
+
+    startHotReload({
+      files: Object.keys(reloaders),
+      onChange: async (file, cfg) => {
+        await reloaders[file](cfg);
+        reflow();
+      },
+      onError: (file, err) => showErrorReport({
+        title: `Config reload failed: ${file}`,
+        lines: [String(err?.message || err)]
+      })
+    });
+  }
+
   let lastTs = performance.now();
+  let storyDateKey = story.dateKey;
+
+  // seek / reset -> snap scene to the new time once the story for that day is loaded
+  let clockJumped = false;
+  window.addEventListener("lbtw:clock", (e) => {
+    const type = e?.detail?.type;
+    if(type === "seek" || type === "reset" || type === "timezone") clockJumped = true;
+  });
+
+  // story "lightningStrike": one strike when its event is entered live (not on the first frame or a clock seek)
+  let strikesLive = false;
+  story.on("event", ({ patch }) => {
+    const strike = patch?.lightningStrike;
+    if(!strike || !strikesLive || clockJumped) return;
+    scene.strikeLightning(strike === true ? {} : strike);
+  });
 
   function tick(){
-    const now = new Date();
+    const now = clock.now();
     const ts = performance.now();
     const dtSec = Math.min(0.05, (ts - lastTs) / 1000);
     lastTs = ts;
 
-    const nextState = story.computeStateAt(now);
+    // midnight rollover + "state"/"change"/"event" emits for subscribers
+    const nextState = story.update(now);
+    strikesLive = true;
+
+    // new day's story arrived -> roomFX must reflect it immediately (no stale layers)
+    if(story.dateKey !== storyDateKey){
+      storyDateKey = story.dateKey;
+      scene.setInitialRoomFxState(nextState);
+    }
 
-    scene.update(now, dtSec, nextState);
+    const nextWeather = weather.update(now, nextState);
+
+    if(clockJumped && !story.isLoading()){
+      clockJumped = false;
+      scene.resyncToTime(now, nextState, nextWeather);
+    }
+
+    scene.update(now, dtSec, nextState, nextWeather);
 
-    hud.setState(nextState);
     hud.setCalendar(now);
     hud.setClockHands(now);
+    hud.setViewerTimeHint(clock.realNow(), clock.getTimeZone());
 
-    // Audio follows state (starts silent; user must tap buttons)
-    audio.applyStoryState(now, nextState);
+    // auto-music slot boundaries (story changes arrive through story.on("state"))
+    audio.update(now);
 
     requestAnimationFrame(tick);
   }
@@ -171,4 +389,8 @@ async function boot(){
 boot().catch(err => {
   console.error(err);
   document.body.style.background = "#111";
+  showErrorReport({
+    title: "Boot failed",
+    lines: [String(err?.message || err), ...(DEBUG && err?.stack ? [err.stack] : [])]
+  });
 });
\ No newline at end of file
@@ -35,9 +35,16 @@ export class ActorManager {
     }
   }
 
-  update(now, dtSec, storyState){
+  update(now, dtSec, storyState, weather){
     for(const a of this.actors){
-      a.update(now, dtSec, storyState);
+      a.update(now, dtSec, storyState, weather);
+    }
+  }
+
+  // clock jumped: actors rebuild their schedule for the new time
+  resync(){
+    for(const a of this.actors){
+      if(typeof a.resync === "function") a.resync();
     }
   }
 
@@ -9,6 +9,8 @@
 // - Hitbox is percent inside sceneRect
 // - Safe load: missing PNG frames won't crash, cat just won't show.
 
+import { mulberry32, hashStringToSeed } from "../../util/random.js";
+
 function clamp(v, a, b){ return Math.max(a, Math.min(b, v)); }
 
 function parseHHMM(s){
@@ -19,26 +21,6 @@ function parseHHMM(s){
   return hh*60 + mm;
 }
 
-function mulberry32(seed){
-  let t = seed >>> 0;
-  return function(){
-    t += 0x6D2B79F5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-function hashStringToSeed(str){
-  // FNV-1a 32-bit
-  let h = 2166136261;
-  for(let i=0;i<str.length;i++){
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return h >>> 0;
-}
-
 class Clip {
   constructor({ name, frames, durationsMs, loop }){
     this.name = name;
@@ -267,8 +249,9 @@ export class CatActor {
     this._cover(this.sprite);
   }
 
-  update(now, dtSec, storyState){
-    const rainOn = this._resolveRainEnabled(storyState);
+  // weather: WeatherManager state (the single source for "is it raining")
+  update(now, dtSec, storyState, weather){
+    const rainOn = !!weather?.rain;
 
     // ---------- RAIN GATING (cinematic) ----------
     if(this._skipWhenRain && rainOn){
@@ -430,6 +413,20 @@ export class CatActor {
     }
   }
 
+  // clock jumped (seek): forget the current session, next update() rebuilds the day's schedule
+  resync(){
+    this._currentDateKey = null;
+    this._todaySessions = [];
+    this._activeSession = null;
+
+    this._rainTriggered = false;
+    this._rainPhase = "none";
+    this._rainExitTimer = 0;
+    this._rainMeowPlayed = false;
+
+    this._forceHidden();
+  }
+
   onPointerTap(globalX, globalY){
     if(this._state !== "idle") return false;
     if(!this.container.visible) return false;
@@ -535,24 +532,6 @@ export class CatActor {
     return sessions;
   }
 
-  _resolveRainEnabled(storyState){
-    const profile =
-      storyState?.cloudProfile ??
-      storyState?.state?.cloudProfile ??
-      "none";
-
-    const override =
-      (storyState?.rain !== undefined) ? storyState.rain :
-      (storyState?.state?.rain !== undefined) ? storyState.state.rain :
-      undefined;
-
-    if(override === true) return true;
-    if(override === false) return false;
-
-    const p = String(profile).trim().toLowerCase();
-    return (p === "overcast");
-  }
-
   _resolveUrl(frame){
     const f = String(frame || "");
     if(!f) return "";
@@ -0,0 +1,242 @@
+// src/scene/atmosphereManager.js
+// Snow, fog and haze outside the window (data/atmosphere_config.json); sits above the clouds, below the glass
+// - apply({ snow, fog, haze }, wind): target amounts 0..1 (WeatherManager "atmosphere"); each layer fades
+//   to its target over fadeSec like RainManager's rain, immediate on clock seeks
+// - snow: particle flakes (count, size and speed from config, x device budget), swaying, pushed by the wind
+// - fog: two drifting soft bands (generated texture, no asset) inside fog.bandRectPct, density = alpha
+// - haze: flat tint over the whole view (morning haze), haze.color at haze.maxAlpha x amount
+// Everything is drawn inside the scene rect (the stage mask clips the rest).
+
+import { deviceBudget } from "../util/device.js";
+
+const LAYERS = ["snow", "fog", "haze"];
+const SNOW_DEPTHS = 3; // far / mid / near, one fill each
+
+function num(v, fallback){
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function range(v, fallback){
+  return Array.isArray(v) && v.length === 2 ? [num(v[0], fallback[0]), num(v[1], fallback[1])] : fallback;
+}
+
+function lerp(a, b, t){ return a + (b - a) * t; }
+
+// soft cloudy strip, tiles horizontally (blobs wrap around the left / right edge)
+function fogTexture(){
+  const w = 512;
+  const h = 128;
+  const c = document.createElement("canvas");
+  c.width = w;
+  c.height = h;
+  const ctx = c.getContext("2d");
+
+  for(let i=0; i<28; i++){
+    const x = Math.random() * w;
+    const y = h * (0.35 + Math.random() * 0.3);
+    const r = h * (0.25 + Math.random() * 0.3);
+    for(const dx of [-w, 0, w]){
+      const g = ctx.createRadialGradient(x + dx, y, 0, x + dx, y, r);
+      g.addColorStop(0, "rgba(255,255,255,0.35)");
+      g.addColorStop(1, "rgba(255,255,255,0)");
+      ctx.fillStyle = g;
+      ctx.fillRect(x + dx - r, y - r, r * 2, r * 2);
+    }
+  }
+  return PIXI.Texture.from(c);
+}
+
+export class AtmosphereManager {
+  constructor(container){
+    this.container = container;
+    this.rect = { x:0, y:0, w:100, h:100 };
+    this.cfg = null;
+
+    this._amount = { snow: 0, fog: 0, haze: 0 };
+    this._target = { snow: 0, fog: 0, haze: 0 };
+    this._wind = 0;
+
+    // back to front: fog, snow, haze
+    this.fogLayer = new PIXI.Container();
+    this.snowG = new PIXI.Graphics();
+    this.hazeG = new PIXI.Graphics();
+    this.container.addChild(this.fogLayer, this.snowG, this.hazeG);
+
+    this._fogBands = [];   // [{ sprite, speed }]
+    this._fogTex = null;
+
+    this._flakes = [];     // [{ x, y, size, speed, phase, depth }] px in the rect
+    this._snowDrawn = false;
+    this._budget = 1;
+  }
+
+  async load(config = {}){
+    const C = config || {};
+    const S = C.snow || {};
+    const F = C.fog || {};
+    const H = C.haze || {};
+
+    this.cfg = {
+      fadeSec: Math.max(0.01, num(C.fadeSec, 4)),
+      snow: {
+        maxFlakes: Math.max(0, Math.round(num(S.maxFlakes, 400))),
+        sizePx: range(S.sizePx, [1.5, 4]),
+        fallPct: range(S.fallPct, [6, 14]),
+        swayPx: Math.max(0, num(S.swayPx, 12)),
+        windPct: num(S.windPct, 20),
+        color: S.color ?? "#ffffff",
+        alpha: range(S.alpha, [0.5, 0.95])
+      },
+      fog: {
+        bandRectPct: F.bandRectPct || { x: 0, y: 40, w: 100, h: 45 },
+        color: F.color ?? "#e8ecef",
+        maxAlpha: Math.max(0, Math.min(1, num(F.maxAlpha, 0.75))),
+        speedPxPerSec: num(F.speedPxPerSec, 6)
+      },
+      haze: {
+        color: H.color ?? "#f4e3c8",
+        maxAlpha: Math.max(0, Math.min(1, num(H.maxAlpha, 0.35)))
+      }
+    };
+    this._budget = deviceBudget(S.budget);
+
+    this._fogTex ??= fogTexture();
+    if(!this._fogBands.length){
+      // far band slow and large, near band faster
+      for(const [speed, scale] of [[0.6, 1.4], [1, 1]]){
+        const sprite = new PIXI.TilingSprite({ texture: this._fogTex, width: 1, height: 1 });
+        this.fogLayer.addChild(sprite);
+        this._fogBands.push({ sprite, speed, scale });
+      }
+    }
+    for(const b of this._fogBands) b.sprite.tint = this.cfg.fog.color;
+
+    this._flakes = Array.from({ length: Math.round(this.cfg.snow.maxFlakes * this._budget) }, () => ({}));
+    this.resizeToRect(this.rect);
+  }
+
+  // amounts: { snow, fog, haze } 0..1 (missing = 0); wind -1..1
+  apply(amounts, wind = 0, { immediate = false } = {}){
+    for(const k of LAYERS){
+      this._target[k] = Math.max(0, Math.min(1, num(amounts?.[k], 0)));
+      if(immediate) this._amount[k] = this._target[k];
+    }
+    this._wind = Math.max(-1, Math.min(1, num(wind, 0)));
+  }
+
+  resizeToRect(sceneRectPx){
+    this.rect = sceneRectPx;
+    if(!this.cfg) return;
+
+    const r = this.rect;
+    const band = this.cfg.fog.bandRectPct;
+    for(const b of this._fogBands){
+      const s = b.sprite;
+      s.x = r.x + r.w * num(band.x, 0) / 100;
+      s.y = r.y + r.h * num(band.y, 40) / 100;
+      s.width = r.w * num(band.w, 100) / 100;
+      s.height = r.h * num(band.h, 45) / 100;
+      // texture height fills the band; the far band is a bit larger
+      const k = (s.height / this._fogTex.height) * b.scale;
+      s.tileScale.set(k, k);
+    }
+
+    this.hazeG.clear();
+    this.hazeG.rect(r.x, r.y, r.w, r.h);
+    this.hazeG.fill({ color: this.cfg.haze.color });
+
+    for(const f of this._flakes) this._spawnFlake(f, true);
+  }
+
+  update(dtSec){
+    if(!this.cfg) return;
+
+    const step = dtSec / this.cfg.fadeSec;
+    for(const k of LAYERS){
+      const a = this._amount[k];
+      const t = this._target[k];
+      this._amount[k] = a < t ? Math.min(t, a + step) : Math.max(t, a - step);
+    }
+
+    this._updateFog(dtSec);
+    this._updateSnow(dtSec);
+
+    const haze = this._amount.haze;
+    this.hazeG.visible = haze > 0.001;
+    this.hazeG.alpha = this.cfg.haze.maxAlpha * haze;
+  }
+
+  /* ---------------- fog ---------------- */
+
+  _updateFog(dtSec){
+    const fog = this._amount.fog;
+    this.fogLayer.visible = fog > 0.001;
+    if(!this.fogLayer.visible) return;
+
+    this.fogLayer.alpha = this.cfg.fog.maxAlpha * fog;
+
+    // drifts with the wind (always a little, so a still fog still breathes)
+    const dir = this._wind < 0 ? -1 : 1;
+    const speed = this.cfg.fog.speedPxPerSec * (1 + Math.abs(this._wind) * 4) * dir;
+    for(const b of this._fogBands){
+      b.sprite.tilePosition.x += speed * b.speed * dtSec;
+    }
+  }
+
+  /* ---------------- snow ---------------- */
+
+  _spawnFlake(f, scatter = false){
+    const S = this.cfg.snow;
+    const r = this.rect;
+    // depth 0 far .. 2 near: bigger, faster (and brighter, see _updateSnow)
+    f.depth = Math.floor(Math.random() * SNOW_DEPTHS);
+    const t = (f.depth + Math.random()) / SNOW_DEPTHS;
+
+    f.size = lerp(S.sizePx[0], S.sizePx[1], t);
+    f.speed = r.h * lerp(S.fallPct[0], S.fallPct[1], t) / 100;
+    f.phase = Math.random() * Math.PI * 2;
+    f.x = Math.random() * r.w;
+    f.y = scatter ? Math.random() * r.h : -f.size * 2;
+  }
+
+  _updateSnow(dtSec){
+    const snow = this._amount.snow;
+    const g = this.snowG;
+    if(snow <= 0.001){
+      if(this._snowDrawn) g.clear();
+      this._snowDrawn = false;
+      return;
+    }
+    g.clear();
+    this._snowDrawn = true;
+
+    const S = this.cfg.snow;
+    const r = this.rect;
+    const active = Math.round(this._flakes.length * snow);
+    const drift = r.w * S.windPct / 100 * this._wind;
+
+    for(let i=0; i<active; i++){
+      const f = this._flakes[i];
+      f.phase += dtSec * 1.5;
+      f.y += f.speed * dtSec;
+      f.x += drift * (f.speed / r.h) * 5 * dtSec;
+
+      if(f.y > r.h + f.size) this._spawnFlake(f);
+      // wrap sideways so wind never empties one edge
+      if(f.x < -S.swayPx) f.x += r.w + S.swayPx * 2;
+      else if(f.x > r.w + S.swayPx) f.x -= r.w + S.swayPx * 2;
+    }
+
+    for(let depth=0; depth<SNOW_DEPTHS; depth++){
+      let any = false;
+      for(let i=0; i<active; i++){
+        const f = this._flakes[i];
+        if(f.depth !== depth) continue;
+        g.circle(r.x + f.x + Math.sin(f.phase) * S.swayPx, r.y + f.y, f.size / 2);
+        any = true;
+      }
+      if(any) g.fill({ color: S.color, alpha: lerp(S.alpha[0], S.alpha[1], depth / (SNOW_DEPTHS - 1)) });
+    }
+  }
+}
@@ -1,3 +1,5 @@
+import { clock } from "../time/clock.js";
+
 class CloudLayer {
   constructor(container){
     this.container = container;
@@ -93,7 +95,7 @@ class CloudLayer {
       .sort((a,b)=>a.minute-b.minute);
 
     this._applyBandRect();
-    this._applyBlend(new Date(), true);
+    this._applyBlend(clock.now(), true);
     this._resetScroll();
   }
 
@@ -301,9 +303,10 @@ export class CloudManager {
     this.rect = { x:0, y:0, w:100, h:100 };
   }
 
-  async loadConfig(cloudConfig){
+  // keepProfile: reload (dev) keeps showing the current profile instead of defaultProfile
+  async loadConfig(cloudConfig, { keepProfile = false } = {}){
     this._profiles = cloudConfig.profiles || {};
-    this._profileName = cloudConfig.defaultProfile || "none";
+    if(!keepProfile) this._profileName = cloudConfig.defaultProfile || "none";
 
     const allUrls = new Set();
     for(const p of Object.values(this._profiles)){
@@ -0,0 +1,342 @@
+// src/scene/glassManager.js
+// Wet window glass (data/glass_config.json): between the outside (sky + clouds) and the room
+// - Follows the same weather as RainManager: beads land while it rains (more with intensity),
+//   merge when they touch, and run down once they are heavy enough, leaving a thin trail of small beads
+// - Refraction: every drop is also drawn as a lens into a small displacement map (RenderTexture),
+//   a DisplacementFilter on the outside layer bends the sky / clouds behind it
+// - Rain stops -> no new beads, the glass dries over dryingSec (drops shrink, filter fades, then is removed)
+// - Drop sizes / speeds are % of the scene rect height, so they look the same on every screen
+
+const TEX_SIZE = 64;
+
+function num(v, fallback){
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function range(v, fallback){
+  return Array.isArray(v) && v.length === 2 ? [num(v[0], fallback[0]), num(v[1], fallback[1])] : fallback;
+}
+
+function lerp(a, b, t){ return a + (b - a) * t; }
+
+function canvasTexture(draw){
+  const c = document.createElement("canvas");
+  c.width = c.height = TEX_SIZE;
+  draw(c.getContext("2d"), TEX_SIZE);
+  return PIXI.Texture.from(c);
+}
+
+// lens: red / green = where to sample behind the drop (128 = straight through); flips and shrinks the view
+function lensTexture(){
+  return canvasTexture((ctx, n) => {
+    const img = ctx.createImageData(n, n);
+    const c = (n - 1) / 2;
+    for(let y=0; y<n; y++){
+      for(let x=0; x<n; x++){
+        const nx = (x - c) / c;
+        const ny = (y - c) / c;
+        const d = Math.hypot(nx, ny);
+        const i = (y * n + x) * 4;
+        if(d > 1) continue;
+        const k = 0.9 * Math.sqrt(d);
+        img.data[i] = 128 - 127 * (d ? nx / d : 0) * k;
+        img.data[i + 1] = 128 - 127 * (d ? ny / d : 0) * k;
+        img.data[i + 2] = 128;
+        img.data[i + 3] = Math.round(255 * Math.min(1, (1 - d) * 6));
+      }
+    }
+    ctx.putImageData(img, 0, 0);
+  });
+}
+
+// what the eye sees of a drop: dark rim, bright catch-light top left, clear middle
+function dropTexture(){
+  return canvasTexture((ctx, n) => {
+    const r = n / 2;
+    const rim = ctx.createRadialGradient(r, r, r * 0.55, r, r, r);
+    rim.addColorStop(0, "rgba(20,30,40,0)");
+    rim.addColorStop(0.8, "rgba(20,30,40,0.35)");
+    rim.addColorStop(1, "rgba(20,30,40,0)");
+    ctx.fillStyle = rim;
+    ctx.fillRect(0, 0, n, n);
+
+    const hi = ctx.createRadialGradient(r * 0.7, r * 0.6, 0, r * 0.7, r * 0.6, r * 0.35);
+    hi.addColorStop(0, "rgba(255,255,255,0.9)");
+    hi.addColorStop(1, "rgba(255,255,255,0)");
+    ctx.fillStyle = hi;
+    ctx.fillRect(0, 0, n, n);
+  });
+}
+
+export class GlassManager {
+  // refractTarget: container whose content is seen through the glass (gets the DisplacementFilter)
+  constructor(container, { renderer, refractTarget = null } = {}){
+    this.container = container;
+    this.renderer = renderer;
+    this.refractTarget = refractTarget;
+
+    this.rect = { x:0, y:0, w:100, h:100 };
+    this.cfg = null;
+
+    // drops in px relative to the rect: { x, y, r, sliding, trail, wobble }
+    this._drops = [];
+    this._spawnAcc = 0;
+
+    this._raining = false;
+    this._intensity = 1;
+    this._wet = 0;          // 0 = dry glass .. 1 = fully wet (fades the look + refraction)
+
+    // visible drops
+    this._viewLayer = new PIXI.Container();
+    this.container.addChild(this._viewLayer);
+    this._viewSprites = [];
+
+    // displacement map: rendered off-stage into _mapRT, read by the filter through _mapSprite
+    this._mapLayer = new PIXI.Container();
+    this._mapBg = new PIXI.Graphics();
+    this._mapLayer.addChild(this._mapBg);
+    this._mapSprites = [];
+    this._mapRT = null;
+    this._mapSprite = null;
+    this._filter = null;
+
+    this._dropTex = null;
+    this._lensTex = null;
+  }
+
+  async load(config = {}){
+    const C = config || {};
+    this.cfg = {
+      enabled: C.enabled !== false,
+      maxDrops: Math.max(0, Math.round(num(C.maxDrops, 160))),
+      spawnPerSec: range(C.spawnPerSec, [4, 30]),
+      radiusPct: range(C.radiusPct, [0.25, 0.7]),
+      slideRadiusPct: Math.max(0.1, num(C.slideRadiusPct, 0.9)),
+      slideSpeedPct: Math.max(1, num(C.slideSpeedPct, 14)),
+      trailGap: Math.max(0.5, num(C.trailGap, 2.5)),
+      wetInSec: Math.max(0.1, num(C.wetInSec, 20)),
+      dryingSec: Math.max(0.1, num(C.dryingSec, 120)),
+      refraction: Math.max(0, num(C.refraction, 24)),
+      mapResolution: Math.max(0.1, Math.min(1, num(C.mapResolution, 0.5))),
+      dropAlpha: Math.max(0, Math.min(1, num(C.dropAlpha, 0.8)))
+    };
+
+    this._dropTex ??= dropTexture();
+    this._lensTex ??= lensTexture();
+
+    if(!this.cfg.enabled) this.clear();
+    this.resizeToRect(this.rect);
+  }
+
+  // RainManager's state: on/off + 0..1 (immediate = clock seek: glass already as wet / dry as it would be)
+  setRain(on, intensity = 1, { immediate = false } = {}){
+    this._raining = !!on && !!this.cfg?.enabled;
+    this._intensity = Math.max(0, Math.min(1, num(intensity, 1)));
+
+    if(immediate){
+      this.clear();
+      if(this._raining){
+        this._wet = 1;
+        this._scatter(Math.round(this.cfg.maxDrops * lerp(0.4, 1, this._intensity)));
+      }
+    }
+  }
+
+  clear(){
+    this._drops.length = 0;
+    this._wet = 0;
+    this._spawnAcc = 0;
+    this._sync();
+  }
+
+  resizeToRect(sceneRectPx){
+    const prev = this.rect;
+    this.rect = sceneRectPx;
+
+    // keep drops where they were on the glass
+    const sx = prev.w ? this.rect.w / prev.w : 1;
+    const sy = prev.h ? this.rect.h / prev.h : 1;
+    for(const d of this._drops){
+      d.x *= sx;
+      d.y *= sy;
+      d.r *= sy;
+    }
+
+    if(!this.renderer || !this.cfg) return;
+
+    const res = this.cfg.mapResolution;
+    const w = Math.max(1, Math.round(this.rect.w * res));
+    const h = Math.max(1, Math.round(this.rect.h * res));
+
+    this._mapRT?.destroy(true);
+    this._mapRT = PIXI.RenderTexture.create({ width: w, height: h });
+
+    this._mapBg.clear();
+    this._mapBg.rect(0, 0, w, h);
+    this._mapBg.fill({ color: 0x808080 });
+
+    if(!this._mapSprite){
+      this._mapSprite = new PIXI.Sprite(this._mapRT);
+      this._mapSprite.renderable = false; // only the filter reads it
+      this.container.addChild(this._mapSprite);
+      this._filter = new PIXI.DisplacementFilter({ sprite: this._mapSprite, scale: 0 });
+    }else{
+      this._mapSprite.texture = this._mapRT;
+    }
+    this._mapSprite.x = this.rect.x;
+    this._mapSprite.y = this.rect.y;
+    this._mapSprite.scale.set(1 / res);
+
+    this._sync();
+  }
+
+  update(dtSec){
+    if(!this.cfg?.enabled) return;
+
+    const C = this.cfg;
+    const h = this.rect.h;
+
+    // wet in quickly, dry slowly
+    if(this._raining) this._wet = Math.min(1, this._wet + dtSec / C.wetInSec);
+    else this._wet = Math.max(0, this._wet - dtSec / C.dryingSec);
+
+    if(this._raining){
+      // capped: a fast-forwarded frame can't land more drops than the glass holds
+      this._spawnAcc = Math.min(C.maxDrops, this._spawnAcc + lerp(C.spawnPerSec[0], C.spawnPerSec[1], this._intensity) * dtSec);
+      while(this._spawnAcc >= 1){
+        this._spawnAcc -= 1;
+        this._land(Math.random() * this.rect.w, Math.random() * h, h * lerp(C.radiusPct[0], C.radiusPct[1], Math.random()) / 100);
+      }
+    }
+
+    const slideR = h * C.slideRadiusPct / 100;
+    const evap = this._raining ? 0 : (h * C.radiusPct[1] / 100) / C.dryingSec;
+
+    for(const d of this._drops){
+      if(d.r <= 0) continue;
+      if(evap) d.r -= evap * dtSec;
+      if(d.r < 0.4){
+        d.r = 0;
+        continue;
+      }
+      d.sliding = d.r >= slideR;
+      if(!d.sliding) continue;
+
+      // heavy enough: run down, faster when bigger, with a little sideways wander
+      const v = (h * C.slideSpeedPct / 100) * Math.min(3, d.r / slideR);
+      d.wobble += dtSec * 3;
+      d.x += Math.sin(d.wobble) * v * 0.08 * dtSec;
+      d.y += v * dtSec;
+
+      d.trail += v * dtSec;
+      if(d.trail > d.r * C.trailGap){
+        d.trail = 0;
+        const tr = d.r * 0.3;
+        d.r = Math.sqrt(Math.max(0, d.r * d.r - tr * tr));
+        this._push(d.x, d.y - d.r * 1.3, tr);
+      }
+
+      this._absorb(d);
+      if(d.y - d.r > h) d.r = 0;
+    }
+
+    // drop the dead ones (merged, dried or run off the bottom)
+    let n = 0;
+    for(const d of this._drops){
+      if(d.r > 0) this._drops[n++] = d;
+    }
+    this._drops.length = n;
+
+    this._sync();
+  }
+
+  /* ---------------- drops ---------------- */
+
+  // a new bead: merges into one it touches, else stays on its own (full glass: feeds a random drop)
+  _land(x, y, r){
+    let target = this._drops.find(o => o.r > 0 && Math.hypot(o.x - x, o.y - y) < o.r + r);
+    if(!target && this._drops.length >= this.cfg.maxDrops){
+      target = this._drops[Math.floor(Math.random() * this._drops.length)];
+    }
+    if(target){
+      target.r = Math.sqrt(target.r * target.r + r * r);
+      return;
+    }
+    this._push(x, y, r);
+  }
+
+  _push(x, y, r){
+    if(this._drops.length >= this.cfg.maxDrops) return;
+    this._drops.push({ x, y, r, sliding: false, trail: 0, wobble: Math.random() * Math.PI * 2 });
+  }
+
+  // running drop swallows beads beside / below it (not its own trail above)
+  _absorb(d){
+    for(const o of this._drops){
+      if(o === d || o.r <= 0 || o.y < d.y - d.r * 0.5) continue;
+      if(Math.hypot(o.x - d.x, o.y - d.y) < d.r + o.r * 0.8){
+        d.r = Math.sqrt(d.r * d.r + o.r * o.r);
+        o.r = 0;
+      }
+    }
+  }
+
+  _scatter(count){
+    const C = this.cfg;
+    const h = this.rect.h;
+    for(let i=0; i<count; i++){
+      this._land(Math.random() * this.rect.w, Math.random() * h, h * lerp(C.radiusPct[0], C.radiusPct[1], Math.random()) / 100);
+    }
+  }
+
+  /* ---------------- render ---------------- */
+
+  _sprite(list, layer, tex){
+    const s = new PIXI.Sprite(tex);
+    s.anchor.set(0.5);
+    layer.addChild(s);
+    list.push(s);
+    return s;
+  }
+
+  _sync(){
+    const wet = this._wet;
+    const drops = this._drops;
+    const active = wet > 0.001 && drops.length > 0;
+
+    // filter only while there is something to bend (it costs a full pass over the sky)
+    if(this.refractTarget && this._filter){
+      const filters = this.refractTarget.filters || [];
+      const has = filters.includes(this._filter);
+      if(active && !has) this.refractTarget.filters = [...filters, this._filter];
+      if(!active && has) this.refractTarget.filters = filters.filter(f => f !== this._filter);
+      this._filter.scale.x = this._filter.scale.y = this.cfg.refraction * wet;
+    }
+
+    this._viewLayer.alpha = this.cfg ? this.cfg.dropAlpha * wet : 0;
+
+    const res = this.cfg?.mapResolution ?? 1;
+    for(let i=0; i<Math.max(drops.length, this._viewSprites.length); i++){
+      const d = drops[i];
+      const view = this._viewSprites[i] || (d && this._dropTex && this._sprite(this._viewSprites, this._viewLayer, this._dropTex));
+      const lens = this._mapSprites[i] || (d && this._lensTex && this._sprite(this._mapSprites, this._mapLayer, this._lensTex));
+      if(!view || !lens) continue;
+
+      view.visible = lens.visible = !!d && active;
+      if(!view.visible) continue;
+
+      // running drops stretch a little
+      const sy = d.sliding ? 1.15 : 1;
+      const scale = (2 * d.r) / TEX_SIZE;
+      view.position.set(this.rect.x + d.x, this.rect.y + d.y);
+      view.scale.set(scale, scale * sy);
+      lens.position.set(d.x * res, d.y * res);
+      lens.scale.set(scale * res, scale * sy * res);
+    }
+
+    if(active && this.renderer && this._mapRT){
+      this.renderer.render({ container: this._mapLayer, target: this._mapRT, clear: true });
+    }
+  }
+}
@@ -1,9 +1,124 @@
 // src/scene/rainManager.js
+// Rain + lightning flash layer (top of the scene)
+// - mode "particles" (default): procedural streaks in depth layers; intensity (0..1) sets drop count,
+//   fall speed and streak length, wind (degrees from vertical, + = blowing to the right) slants them;
+//   the nearest layer lands on the balcony line (particles.splash.lineYPct, % of the scene rect) and splashes
+// - mode "frames": the old full-scene PNG loop (frames + durationsMs); drizzle only shows fainter.
+//   Also used when the device budget works out to 0 (e.g. "budget": { "low": 0 })
+// - Device budget: particles.budget { low, medium, high } scales drop + splash counts by a rough device tier
+// - setEnabled fades the whole layer (fadeSec); intensity changes ease over the same time
+// Lightning (config.lightning):
+// - Each strike gets a distance 0 (overhead) .. 1 (horizon), random inside lightning.distance; farther = dimmer flash
+// - patterns: { name: [{ a, d }] } flash alpha steps (d in seconds), one picked at random per strike
+// - bolts: strikes closer than bolts.maxDistance show a bolt inside bolts.bandRectPct (sky band), drawn on the
+//   boltContainer passed in (behind the room); bolts.frames = optional PNGs, none = a drawn jagged bolt
+// - Every strike dispatches "lbtw:lightning" { distance, pattern, bolt }: thunder delay / volume follow the distance
+// - strike({ distance?, pattern?, bolt? }) forces one now (story "lightningStrike"), rain or not
+// - setSafeFlashes(true) (viewer safety setting): no patterns or bolts, one slow glow (lightning.safe.glowSec) in
+//   safe.color up to safe.maxAlpha, at most one per safe.minIntervalSec; strikes in between only send the event
+
+import { deviceBudget } from "../util/device.js";
+
+const DEFAULT_LAYERS = [
+  { share: 0.5, speed: 0.6, alpha: 0.18, width: 1 },
+  { share: 0.3, speed: 0.8, alpha: 0.28, width: 1.3 },
+  { share: 0.2, speed: 1.0, alpha: 0.42, width: 1.8 }
+];
+
+function num(v, fallback){
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// [atIntensity0, atIntensity1] (or one number for both)
+function range(v, fallback){
+  if(Array.isArray(v) && v.length === 2) return [num(v[0], fallback[0]), num(v[1], fallback[1])];
+  if(typeof v === "number") return [v, v];
+  return fallback;
+}
+
+function lerp(a, b, t){ return a + (b - a) * t; }
+
+function clamp01(v){ return Math.max(0, Math.min(1, v)); }
+
+const DEFAULT_PATTERNS = {
+  double: [
+    { a: 0.00, d: 0.02 },
+    { a: 0.95, d: 0.05 },
+    { a: 0.00, d: 0.06 },
+    { a: 0.75, d: 0.04 },
+    { a: 0.00, d: 0.10 }
+  ],
+  triple: [
+    { a: 0.00, d: 0.02 },
+    { a: 0.95, d: 0.05 },
+    { a: 0.00, d: 0.05 },
+    { a: 0.65, d: 0.04 },
+    { a: 0.00, d: 0.05 },
+    { a: 0.85, d: 0.03 },
+    { a: 0.00, d: 0.12 }
+  ]
+};
+
+// config.lightning -> { distance, farFlashScale, patterns, bolts, safe } with defaults filled in
+export function normalizeLightning(L = {}){
+  const patterns = {};
+  const src = (L.patterns && typeof L.patterns === "object" && !Array.isArray(L.patterns)) ? L.patterns : DEFAULT_PATTERNS;
+  for(const [name, steps] of Object.entries(src)){
+    if(!Array.isArray(steps)) continue;
+    const seq = steps.map(st => ({ a: clamp01(num(st?.a, 0)), d: Math.max(0.005, num(st?.d, 0.05)) }));
+    if(seq.length) patterns[name] = seq;
+  }
+  if(!Object.keys(patterns).length) Object.assign(patterns, DEFAULT_PATTERNS);
+
+  const B = L.bolts || {};
+  const S = L.safe || {};
+  const [near, far] = range(L.distance, [0.1, 1]);
+  return {
+    distance: [clamp01(Math.min(near, far)), clamp01(Math.max(near, far))],
+    farFlashScale: clamp01(num(L.farFlashScale, 0.35)),
+    patterns,
+    bolts: {
+      enabled: B.enabled !== false,
+      maxDistance: clamp01(num(B.maxDistance, 0.5)),
+      frames: Array.isArray(B.frames) ? B.frames : [],
+      bandRectPct: B.bandRectPct || { x: 5, y: 0, w: 90, h: 45 },
+      color: B.color ?? "#f2f5ff",
+      widthPx: range(B.widthPx, [3, 1.5])
+    },
+    safe: {
+      maxAlpha: clamp01(num(S.maxAlpha, 0.2)),
+      glowSec: Math.max(0.5, num(S.glowSec, 1.6)),
+      minIntervalSec: Math.max(0, num(S.minIntervalSec, 30)),
+      color: S.color ?? "#cfd8ff"
+    }
+  };
+}
+
+// the requested pattern when the config has it, otherwise a random one (rand: () => 0..1)
+export function pickPattern(patterns, name, rand = Math.random){
+  if(Object.hasOwn(patterns, name)) return name;
+  const names = Object.keys(patterns);
+  return names[Math.floor(rand() * names.length)];
+}
+
+// safe mode (lightning.safe): glow peak for a strike sinceFlashSec after the last glow, null = too soon (no glow)
+export function safeGlowPeak(safe, sinceFlashSec, flashScale = 1){
+  return sinceFlashSec >= safe.minIntervalSec ? safe.maxAlpha * clamp01(flashScale) : null;
+}
+
+// flash alpha t seconds into a glow: one sine rise and fall over safe.glowSec, null once it is over
+export function safeGlowAlpha(safe, peak, t){
+  const k = t / safe.glowSec;
+  return k >= 1 ? null : peak * Math.sin(Math.PI * k);
+}
+
 export class RainManager {
-  constructor(container){
+  // boltContainer: where bolts are drawn (sky side of the scene); defaults to behind the rain
+  constructor(container, { boltContainer = null } = {}){
     this.container = container;
 
-    // rain frames (sprites)
+    // rain frames (sprites), "frames" mode
     this.frames = [];
     this.frameUrls = [];
     this.frameDurationsSec = [];
@@ -11,6 +126,19 @@ export class RainManager {
     this._frameIndex = 0;
     this._frameT = 0;
 
+    // particles, "particles" mode: one Graphics per depth layer + one for splashes
+    this.mode = "particles";
+    this.particleLayer = new PIXI.Container();
+    this.container.addChild(this.particleLayer);
+    this._p = null;          // normalized particle config
+    this._layers = [];       // [{ cfg, g, drops: [{ x, y, endY, r }] }]
+    this._splashG = null;
+    this._splashes = [];     // [{ x, y, vx, vy, t, life }]
+    this._splashCap = 0;
+    this._particlesDrawn = false;
+    this._budget = 1;
+    this.maxWindDeg = 25;
+
     // fade in/out
     this._targetAlpha = 0;
     this._alpha = 0;
@@ -18,6 +146,10 @@ export class RainManager {
 
     // state
     this._enabled = false;
+    this._intensity = 1;
+    this._targetIntensity = 1;
+    this._windDeg = 0;
+    this._targetWindDeg = 0;
 
     // scene rect (px)
     this.rect = { x:0, y:0, w:100, h:100 };
@@ -36,10 +168,30 @@ export class RainManager {
     this._flashSeq = null; // [{a,d}] queue
     this._flashT = 0;
     this._flashStep = 0;
+    this._flashScale = 1;  // by strike distance
+
+    // photosensitivity-safe mode: glow instead of flashes
+    this._safe = false;
+    this._glowT = null;        // seconds into the current glow, null = none
+    this._glowPeak = 0;
+    this._sinceFlashSec = Infinity;
+
+    this._lightning = normalizeLightning({});
+    this._boltTextures = [];
+
+    // bolt: one sprite (bolts.frames) or one drawn Graphics, shown with the flash
+    this.boltLayer = new PIXI.Container();
+    this.boltLayer.visible = false;
+    this._boltSprite = new PIXI.Sprite();
+    this._boltSprite.anchor.set(0.5, 0);
+    this._boltG = new PIXI.Graphics();
+    this.boltLayer.addChild(this._boltSprite, this._boltG);
+    if(boltContainer) boltContainer.addChild(this.boltLayer);
+    else this.container.addChildAt(this.boltLayer, 0);
   }
 
   async load(config){
-    // config: { frames:[...], durationsMs:[...], fadeSec, lightning:{...} }
+    // config: { mode, frames:[...], durationsMs:[...], fadeSec, particles:{...}, lightning:{...} }
     this.frameUrls = config.frames || [];
     const dms = config.durationsMs || [];
     this.frameDurationsSec = this.frameUrls.map((_, i) => ((dms[i] ?? 120) / 1000));
@@ -50,22 +202,40 @@ export class RainManager {
     this._lightningEnabled = L.enabled !== false;
     this._lightningMinSec = Math.max(0.1, Number(L.minIntervalSec ?? 10) || 10);
     this._lightningMaxSec = Math.max(this._lightningMinSec, Number(L.maxIntervalSec ?? 35) || 35);
+    this._lightning = normalizeLightning(L);
+
+    // bolt PNGs are optional: a missing one is skipped (drawn bolt when none load)
+    const boltTextures = await Promise.all(this._lightning.bolts.frames.map(u => PIXI.Assets.load(u).catch(() => {
+      console.warn(`[rain] bolt frame not found: ${u}`);
+      return null;
+    })));
+    this._boltTextures = boltTextures.filter(Boolean);
+    this.flash.tint = this._safe ? this._lightning.safe.color : 0xffffff;
+
+    this._p = this._normalizeParticles(config.particles || {});
+    this.maxWindDeg = this._p.maxWindDeg;
+    this._budget = deviceBudget(this._p.budget);
 
-    // preload textures
-    const textures = await Promise.all(this.frameUrls.map(u => PIXI.Assets.load(u)));
+    const wantsParticles = config.mode !== "frames" && this._budget > 0;
+    this.mode = (wantsParticles || !this.frameUrls.length) ? "particles" : "frames";
 
     // clear old sprites
     this.frames.forEach(s => this.container.removeChild(s));
     this.frames = [];
 
-    // build sprites
-    for(const tex of textures){
-      const s = new PIXI.Sprite(tex);
-      s.alpha = 0;
-      this.frames.push(s);
-      this.container.addChildAt(s, 0); // behind flash overlay
+    // preload textures (frames mode only)
+    if(this.mode === "frames"){
+      const textures = await Promise.all(this.frameUrls.map(u => PIXI.Assets.load(u)));
+      for(const tex of textures){
+        const s = new PIXI.Sprite(tex);
+        s.alpha = 0;
+        this.frames.push(s);
+        this.container.addChildAt(s, 0); // behind particles + flash overlay
+      }
     }
 
+    this._buildParticles();
+
     // reset
     this._frameIndex = 0;
     this._frameT = 0;
@@ -73,23 +243,42 @@ export class RainManager {
     this._targetAlpha = 0;
     this._enabled = false;
 
-    this._nextLightningIn = this._rand(this._lightningMinSec, this._lightningMaxSec);
-    this._flashSeq = null;
-    this.flash.alpha = 0;
+    this._nextLightningIn = this._nextLightningDelay();
+    this._stopFlash();
 
     // apply layout if rect already set
     this.resizeToRect(this.rect);
   }
 
-  setEnabled(on){
+  setEnabled(on, { immediate = false } = {}){
+    const was = this._enabled;
     this._enabled = !!on;
     this._targetAlpha = this._enabled ? 1 : 0;
 
-    // if turning off, also kill any flash sequence immediately (optional but feels clean)
-    if(!this._enabled){
-      this._flashSeq = null;
-      this.flash.alpha = 0;
+    // skip the fade (e.g. virtual clock seek)
+    if(immediate){
+      this._alpha = this._targetAlpha;
+      this._intensity = this._targetIntensity;
+      this._windDeg = this._targetWindDeg;
     }
+
+    // if turning off, also kill any flash sequence immediately (a forced strike in dry weather keeps going)
+    if(was && !this._enabled){
+      this._stopFlash();
+    }
+  }
+
+  // 0 = drizzle .. 1 = downpour (eases over fadeSec unless immediate)
+  setIntensity(value, { immediate = false } = {}){
+    this._targetIntensity = Math.max(0, Math.min(1, num(value, 1)));
+    if(immediate) this._intensity = this._targetIntensity;
+  }
+
+  // degrees from vertical, + = drops move to the right; limited to particles.maxWindDeg
+  setWind(angleDeg, { immediate = false } = {}){
+    const max = this.maxWindDeg;
+    this._targetWindDeg = Math.max(-max, Math.min(max, num(angleDeg, 0)));
+    if(immediate) this._windDeg = this._targetWindDeg;
   }
 
   // ✅ NEW: override lightning on/off (true/false)
@@ -98,14 +287,21 @@ export class RainManager {
 
     if(!this._lightningEnabled){
       // stop any ongoing flashes immediately
-      this._flashSeq = null;
-      this.flash.alpha = 0;
+      this._stopFlash();
     }else{
       // reschedule
-      this._nextLightningIn = this._rand(this._lightningMinSec, this._lightningMaxSec);
+      this._nextLightningIn = this._nextLightningDelay();
     }
   }
 
+  // viewer safety setting (SafetySettings.safeFlashes); thunder events keep coming either way
+  setSafeFlashes(on){
+    this._safe = !!on;
+    this._stopFlash();
+    this.flash.tint = this._safe ? this._lightning.safe.color : 0xffffff;
+    if(this._safe) this._nextLightningIn = Math.max(this._nextLightningIn, this._lightning.safe.minIntervalSec);
+  }
+
   setFadeSec(sec){
     this._fadeSec = Math.max(0.01, Number(sec) || 3.0);
   }
@@ -120,14 +316,23 @@ export class RainManager {
       s.y = this.rect.y + (this.rect.h - s.height) / 2;
     }
 
+    // drops are placed in px: scatter them over the new rect
+    for(const layer of this._layers){
+      for(const d of layer.drops) this._respawnDrop(d, layer, true);
+    }
+    this._splashes.length = 0;
+
     // rebuild flash rect
     this.flash.clear();
     this.flash.rect(this.rect.x, this.rect.y, this.rect.w, this.rect.h);
     this.flash.fill({ color: 0xffffff, alpha: 1 });
+
+    // a bolt placed for the old rect would be off; it only lives for one flash anyway
+    this.boltLayer.visible = false;
   }
 
   update(dtSec){
-    if(!this.frames.length) return;
+    if(this.mode === "frames" && !this.frames.length) return;
 
     // fade alpha
     const speed = dtSec / this._fadeSec;
@@ -137,9 +342,26 @@ export class RainManager {
       this._alpha = Math.max(this._targetAlpha, this._alpha - speed);
     }
 
+    // intensity / wind ease
+    this._intensity = this._approach(this._intensity, this._targetIntensity, speed);
+    this._windDeg = this._approach(this._windDeg, this._targetWindDeg, speed * this.maxWindDeg);
+
+    if(this.mode === "frames") this._updateFrames(dtSec);
+    else this._updateParticles(dtSec);
+
+    // lightning
+    this._updateLightning(dtSec);
+  }
+
+  /* ---------------- frames (PNG) ---------------- */
+
+  _updateFrames(dtSec){
+    // drizzle: fainter sheet (the PNGs have one fixed density)
+    const a = this._alpha * lerp(0.55, 1, this._intensity);
+
     // apply alpha & frame visibility
     for(let i=0; i<this.frames.length; i++){
-      this.frames[i].alpha = (i === this._frameIndex ? this._alpha : 0);
+      this.frames[i].alpha = (i === this._frameIndex ? a : 0);
     }
 
     // animate frames only when visible
@@ -151,29 +373,210 @@ export class RainManager {
         this._frameIndex = (this._frameIndex + 1) % this.frames.length;
       }
     }
+  }
 
-    // lightning
-    this._updateLightning(dtSec);
+  /* ---------------- particles ---------------- */
+
+  _normalizeParticles(P){
+    const S = P.splash || {};
+    const layers = (Array.isArray(P.layers) && P.layers.length ? P.layers : DEFAULT_LAYERS).map((l, i) => ({
+      share: Math.max(0, num(l.share, 1)),
+      speed: Math.max(0.05, num(l.speed, 1)),
+      alpha: Math.max(0, Math.min(1, num(l.alpha, 0.3))),
+      width: Math.max(0.5, num(l.width, 1)),
+      near: i === (P.layers?.length || DEFAULT_LAYERS.length) - 1
+    }));
+
+    return {
+      minDrops: Math.max(0, num(P.minDrops, 80)),
+      maxDrops: Math.max(0, num(P.maxDrops, 700)),
+      speedPct: range(P.speedPct, [140, 240]),
+      streakPct: range(P.streakPct, [1.5, 4.5]),
+      color: P.color ?? "#d6e4f5",
+      maxWindDeg: Math.max(0, Math.min(60, num(P.maxWindDeg, 25))),
+      layers,
+      splash: {
+        enabled: S.enabled !== false,
+        lineYPct: num(S.lineYPct, 94),
+        maxSplashes: Math.max(0, num(S.maxSplashes, 90)),
+        droplets: Math.max(1, Math.round(num(S.dropletsPerSplash, 3))),
+        lifeSec: Math.max(0.05, num(S.lifeSec, 0.28)),
+        sizePx: Math.max(0.5, num(S.sizePx, 2)),
+        alpha: Math.max(0, Math.min(1, num(S.alpha, 0.5)))
+      },
+      budget: P.budget || null
+    };
+  }
+
+  _buildParticles(){
+    for(const layer of this._layers) layer.g.destroy();
+    this._splashG?.destroy();
+    this._layers = [];
+    this._splashes = [];
+    this._splashG = null;
+    if(this.mode !== "particles") return;
+
+    const P = this._p;
+    const cap = Math.round(Math.max(P.minDrops, P.maxDrops) * this._budget);
+    const shareSum = P.layers.reduce((s, l) => s + l.share, 0) || 1;
+
+    for(const cfg of P.layers){
+      const g = new PIXI.Graphics();
+      this.particleLayer.addChild(g);
+      const drops = Array.from({ length: Math.round(cap * cfg.share / shareSum) }, () => ({ x: 0, y: 0, endY: 0, r: 0 }));
+      this._layers.push({ cfg, g, drops, share: cfg.share / shareSum });
+    }
+
+    this._splashG = new PIXI.Graphics();
+    this.particleLayer.addChild(this._splashG);
+    this._splashCap = Math.round(P.splash.maxSplashes * P.splash.droplets * this._budget);
+  }
+
+  _lineY(){
+    return this.rect.y + this.rect.h * (this._p.splash.lineYPct / 100);
+  }
+
+  // new drop above the top edge (scatter = anywhere in the fall, for a full sky right away)
+  _respawnDrop(d, layer, scatter = false){
+    const lineY = this._lineY();
+    const drift = Math.tan(this._windDeg * Math.PI / 180) * (lineY - this.rect.y);
+
+    d.r = Math.random();
+    // far layers end somewhere below the window top (in front of distant buildings), near ones on the balcony
+    d.endY = layer.cfg.near ? lineY : lerp(this.rect.y + this.rect.h * 0.35, lineY, Math.random());
+    d.x = this.rect.x - Math.max(0, drift) + Math.random() * (this.rect.w + Math.abs(drift));
+    d.y = scatter ? lerp(this.rect.y, d.endY, Math.random()) : this.rect.y - Math.random() * this.rect.h * 0.2;
+  }
+
+  _updateParticles(dtSec){
+    this.particleLayer.alpha = this._alpha;
+    if(this._alpha <= 0.001){
+      if(this._particlesDrawn){
+        for(const layer of this._layers) layer.g.clear();
+        this._splashG?.clear();
+        this._splashes.length = 0;
+        this._particlesDrawn = false;
+      }
+      return;
+    }
+    this._particlesDrawn = true;
+
+    const P = this._p;
+    const t = this._intensity;
+    const count = lerp(P.minDrops, P.maxDrops, t) * this._budget;
+    const fall = this.rect.h * lerp(P.speedPct[0], P.speedPct[1], t) / 100;
+    const streak = this.rect.h * lerp(P.streakPct[0], P.streakPct[1], t) / 100;
+
+    const rad = this._windDeg * Math.PI / 180;
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+    const x0 = this.rect.x;
+    const x1 = this.rect.x + this.rect.w;
+
+    for(const layer of this._layers){
+      const { cfg, g, drops } = layer;
+      const active = Math.min(drops.length, Math.round(count * layer.share));
+      const len = streak * cfg.speed;
+
+      g.clear();
+      for(let i=0; i<active; i++){
+        const d = drops[i];
+        const v = fall * cfg.speed * (0.85 + 0.3 * d.r);
+        d.x += sin * v * dtSec;
+        d.y += cos * v * dtSec;
+
+        if(d.y >= d.endY){
+          if(cfg.near) this._splash(d.x, d.endY, v);
+          this._respawnDrop(d, layer);
+          continue;
+        }
+        if(d.x < x0 || d.x > x1) continue;
+
+        const topY = Math.max(this.rect.y, d.y - cos * len);
+        if(topY >= d.y) continue;
+        g.moveTo(d.x - sin * (d.y - topY) / cos, topY).lineTo(d.x, d.y);
+      }
+      g.stroke({ width: cfg.width, color: P.color, alpha: cfg.alpha });
+    }
+
+    this._updateSplashes(dtSec);
+  }
+
+  _splash(x, y, v){
+    const S = this._p.splash;
+    if(!S.enabled || x < this.rect.x || x > this.rect.x + this.rect.w) return;
+    if(this._splashes.length + S.droplets > this._splashCap) return;
+
+    const up = Math.min(v * 0.12, this.rect.h * 0.25);
+    for(let i=0; i<S.droplets; i++){
+      this._splashes.push({
+        x, y,
+        vx: (Math.random() - 0.5) * up * 1.2,
+        vy: -up * (0.5 + Math.random() * 0.5),
+        t: 0,
+        life: S.lifeSec * (0.7 + Math.random() * 0.6)
+      });
+    }
+  }
+
+  _updateSplashes(dtSec){
+    const g = this._splashG;
+    if(!g) return;
+    const S = this._p.splash;
+    const gravity = this.rect.h * 2.5;
+
+    g.clear();
+    let n = 0;
+    for(const s of this._splashes){
+      s.t += dtSec;
+      if(s.t >= s.life) continue;
+      s.vy += gravity * dtSec;
+      s.x += s.vx * dtSec;
+      s.y += s.vy * dtSec;
+      g.rect(s.x, s.y, S.sizePx, S.sizePx);
+      this._splashes[n++] = s;
+    }
+    this._splashes.length = n;
+    if(n) g.fill({ color: this._p.color, alpha: S.alpha });
+  }
+
+  _approach(v, target, step){
+    if(v < target) return Math.min(target, v + step);
+    if(v > target) return Math.max(target, v - step);
+    return v;
   }
 
   /* ---------------- lightning ---------------- */
 
   _updateLightning(dtSec){
+    this._sinceFlashSec += dtSec;
+
+    // safe mode glow: one smooth rise and fall
+    if(this._glowT !== null){
+      this._glowT += dtSec;
+      const a = safeGlowAlpha(this._lightning.safe, this._glowPeak, this._glowT);
+      if(a === null){
+        this._stopFlash();
+        this._nextLightningIn = this._nextLightningDelay();
+        return;
+      }
+      this.flash.alpha = a;
+      return;
+    }
+
     // play flash sequence if active
     if(this._flashSeq){
       this._flashT += dtSec;
       const step = this._flashSeq[this._flashStep];
       if(!step){
         // done
-        this._flashSeq = null;
-        this.flash.alpha = 0;
-        this._flashT = 0;
-        this._flashStep = 0;
-        this._nextLightningIn = this._rand(this._lightningMinSec, this._lightningMaxSec);
+        this._stopFlash();
+        this._nextLightningIn = this._nextLightningDelay();
         return;
       }
 
-      this.flash.alpha = step.a;
+      this.flash.alpha = step.a * this._flashScale;
+      this.boltLayer.alpha = step.a;
 
       if(this._flashT >= step.d){
         this._flashT = 0;
@@ -188,42 +591,125 @@ export class RainManager {
 
     this._nextLightningIn -= dtSec;
     if(this._nextLightningIn <= 0){
-      this._startLightningFlash();
+      this.strike();
     }
   }
 
-  _startLightningFlash(){
-    // 🔔 NEW: emit global event so audio can sync thunder
+  // one strike now; unset fields are rolled like a random strike. Returns the strike that was dispatched.
+  strike({ distance, pattern, bolt } = {}){
+    const L = this._lightning;
+
+    const d = distance !== undefined ? clamp01(num(distance, 0.5)) : this._rand(L.distance[0], L.distance[1]);
+
+    const name = pickPattern(L.patterns, pattern);
+    if(pattern !== undefined && name !== pattern) console.warn(`[rain] unknown lightning pattern "${pattern}"`);
+
+    let showBolt = bolt ?? (L.bolts.enabled && d <= L.bolts.maxDistance);
+    this._flashScale = lerp(1, L.farFlashScale, d);
+
+    if(this._safe){
+      // capped: no bolt, a dim glow at most every safe.minIntervalSec (thunder only in between)
+      showBolt = false;
+      this._flashSeq = null;
+      this.boltLayer.visible = false;
+      const peak = this._glowT === null ? safeGlowPeak(L.safe, this._sinceFlashSec, this._flashScale) : null;
+      if(peak !== null){
+        this._glowT = 0;
+        this._glowPeak = peak;
+        this._sinceFlashSec = 0;
+      }
+    }else{
+      this._flashSeq = L.patterns[name];
+      this._flashT = 0;
+      this._flashStep = 0;
+      this._sinceFlashSec = 0;
+
+      if(showBolt) this._placeBolt(d);
+      else this.boltLayer.visible = false;
+    }
+
+    // thunder sync (main.js -> AudioManager.playThunder)
+    const detail = { distance: d, pattern: name, bolt: !!showBolt };
     try{
-      window.dispatchEvent(new CustomEvent("lbtw:lightning"));
+      window.dispatchEvent(new CustomEvent("lbtw:lightning", { detail }));
     }catch(_){}
+    return detail;
+  }
 
-    // 2–3 quick flashes
-    const patterns = [
-      // 2 flashes
-      [
-        { a: 0.00, d: 0.02 },
-        { a: 0.95, d: 0.05 },
-        { a: 0.00, d: 0.06 },
-        { a: 0.75, d: 0.04 },
-        { a: 0.00, d: 0.10 }
-      ],
-      // 3 flashes
-      [
-        { a: 0.00, d: 0.02 },
-        { a: 0.95, d: 0.05 },
-        { a: 0.00, d: 0.05 },
-        { a: 0.65, d: 0.04 },
-        { a: 0.00, d: 0.05 },
-        { a: 0.85, d: 0.03 },
-        { a: 0.00, d: 0.12 }
-      ]
-    ];
-
-    const pick = (Math.random() < 0.5) ? 0 : 1;
-    this._flashSeq = patterns[pick];
+  // random strikes: next one in minIntervalSec..maxIntervalSec (not sooner than safe.minIntervalSec in safe mode)
+  _nextLightningDelay(){
+    const sec = this._rand(this._lightningMinSec, this._lightningMaxSec);
+    return this._safe ? Math.max(sec, this._lightning.safe.minIntervalSec) : sec;
+  }
+
+  _stopFlash(){
+    this._flashSeq = null;
+    this._glowT = null;
     this._flashT = 0;
     this._flashStep = 0;
+    this.flash.alpha = 0;
+    this.boltLayer.visible = false;
+  }
+
+  // bolt somewhere in the sky band; nearer strikes are taller and thicker
+  _placeBolt(distance){
+    const B = this._lightning.bolts;
+    const p = B.bandRectPct;
+    const band = {
+      x: this.rect.x + this.rect.w * num(p.x, 0) / 100,
+      y: this.rect.y + this.rect.h * num(p.y, 0) / 100,
+      w: this.rect.w * num(p.w, 100) / 100,
+      h: this.rect.h * num(p.h, 45) / 100
+    };
+    const t = B.maxDistance > 0 ? clamp01(distance / B.maxDistance) : 1;
+    const h = band.h * lerp(1, 0.55, t) * (0.85 + Math.random() * 0.15);
+    const x = band.x + band.w * (0.1 + Math.random() * 0.8);
+
+    this.boltLayer.visible = true;
+    this.boltLayer.alpha = 0;
+
+    const tex = this._boltTextures[Math.floor(Math.random() * this._boltTextures.length)];
+    this._boltSprite.visible = !!tex;
+    this._boltG.clear();
+
+    if(tex){
+      this._boltSprite.texture = tex;
+      const k = h / (tex.height || 1);
+      this._boltSprite.scale.set(Math.random() < 0.5 ? -k : k, k);
+      this._boltSprite.x = x;
+      this._boltSprite.y = band.y;
+      return;
+    }
+
+    // drawn bolt: jagged main channel + one short branch, each with a soft wide glow pass
+    const width = lerp(B.widthPx[0], B.widthPx[1], t);
+    const main = this._boltPath(x, band.y, h, 12);
+    const from = main[3 + Math.floor(Math.random() * 4)];
+    const branch = this._boltPath(from[0], from[1], h * 0.35, 5, Math.random() < 0.5 ? -1 : 1);
+
+    const g = this._boltG;
+    for(const [path, w] of [[main, width], [branch, width * 0.6]]){
+      this._tracePath(g, path).stroke({ width: w * 4, color: B.color, alpha: 0.25 });
+      this._tracePath(g, path).stroke({ width: w, color: B.color, alpha: 1 });
+    }
+  }
+
+  // [[x, y]] zigzag going down h px (lean: -1 / 1 drifts sideways, for branches)
+  _boltPath(x, y, h, segments, lean = 0){
+    const step = h / segments;
+    const pts = [[x, y]];
+    for(let i=0; i<segments; i++){
+      x += (Math.random() - 0.5) * step * 1.4 + lean * step * 0.6;
+      y += step * (0.7 + Math.random() * 0.6);
+      pts.push([x, y]);
+    }
+    return pts;
+  }
+
+  _tracePath(g, pts){
+    g.moveTo(pts[0][0], pts[0][1]);
+    for(let i=1; i<pts.length; i++) g.lineTo(pts[i][0], pts[i][1]);
+    return g;
   }
 
   /* ---------------- utils ---------------- */
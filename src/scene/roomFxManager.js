@@ -3,13 +3,17 @@
 // + RANDOM LAYERS: time-window random play (e.g. birds) independent from fx1..fx5.
 // - Preload textures with Promise.allSettled
 // - Any missing frames => clip becomes "unavailable" => layer hides silently
+// - Clips marked "flashing" (e.g. neon_blink) hold their "safeFrame" (default 0) while the viewer's
+//   safe flashes setting is on (setSafeFlashes); timing keeps running so play-once clips still end
 
 class SpriteClip {
-  constructor({ name, frames, durationsMs, loop = true }){
+  constructor({ name, frames, durationsMs, loop = true, flashing = false, safeFrame = 0 }){
     this.name = name;
     this.frames = frames;              // array of texture URLs
     this.durationsMs = durationsMs;    // array of ms per frame
     this.loop = loop;
+    this.flashing = flashing;          // blinks / flashes: held still in safe mode
+    this.safeFrame = safeFrame;        // frame shown while held
 
     // runtime: resolved textures for available frames only
     this._textures = [];
@@ -25,6 +29,21 @@ class SpriteAnimator {
     this._accMs = 0;
     this._playing = false;
     this._textures = [];
+    this.safe = false;
+  }
+
+  // frame on screen: a flashing clip in safe mode stays on its safeFrame
+  _shownTexture(){
+    if(this.safe && this.clip?.flashing){
+      const i = Math.max(0, Math.min(this._textures.length - 1, Number(this.clip.safeFrame) || 0));
+      return this._textures[i];
+    }
+    return this._textures[this._frameIndex];
+  }
+
+  setSafe(on){
+    this.safe = !!on;
+    if(this._textures.length) this.sprite.texture = this._shownTexture();
   }
 
   setTextures(textures){
@@ -42,7 +61,7 @@ class SpriteAnimator {
     }
 
     this.sprite.visible = true;
-    this.sprite.texture = arr[0];
+    this.sprite.texture = this._shownTexture();
   }
 
   play(){
@@ -56,7 +75,7 @@ class SpriteAnimator {
     this._accMs = 0;
 
     if(this._textures && this._textures[0]){
-      this.sprite.texture = this._textures[0];
+      this.sprite.texture = this._shownTexture();
     }
   }
 
@@ -88,7 +107,7 @@ class SpriteAnimator {
         }
       }
 
-      this.sprite.texture = this._textures[this._frameIndex];
+      this.sprite.texture = this._shownTexture();
     }
   }
 
@@ -131,6 +150,15 @@ export class RoomFxManager {
 
     // NEW: random layers (independent from fx1..fx5)
     this.randomLayers = []; // array of { name, container, sprite, animator, cfg, nextTriggerMs, active, visibleWhilePlaying }
+
+    this._safeFlashes = false;
+  }
+
+  // SafetySettings.safeFlashes: flashing clips hold a steady frame
+  setSafeFlashes(on){
+    this._safeFlashes = !!on;
+    for(const layer of Object.values(this.layers)) layer.animator.setSafe(this._safeFlashes);
+    for(const rl of this.randomLayers) rl.animator.setSafe(this._safeFlashes);
   }
 
   async load(cfg){
@@ -186,8 +214,10 @@ export class RoomFxManager {
       const frames = Array.isArray(def?.frames) ? def.frames.map(f => this._resolveUrl(f)) : [];
       const durationsMs = Array.isArray(def?.durationsMs) ? def.durationsMs : [];
       const loop = (def?.loop !== undefined) ? !!def.loop : true;
+      const flashing = !!def?.flashing;
+      const safeFrame = Math.max(0, Math.floor(Number(def?.safeFrame ?? 0)) || 0);
 
-      const clip = new SpriteClip({ name: clipName, frames, durationsMs, loop });
+      const clip = new SpriteClip({ name: clipName, frames, durationsMs, loop, flashing, safeFrame });
       this._clipsByName.set(clipName, clip);
 
       frames.forEach(u => urlsToLoad.add(u));
@@ -256,6 +286,8 @@ export class RoomFxManager {
         active: false
       });
     }
+
+    this.setSafeFlashes(this._safeFlashes);
   }
 
   resizeToRect(sceneRectPx){
@@ -326,8 +358,8 @@ export class RoomFxManager {
     }
   }
 
-  // ✅ NEW signature: update(now, dtSec, storyState)
-  update(now, dtSec, storyState){
+  // weather: WeatherManager state (random layers with skipWhenRain pause while it rains)
+  update(now, dtSec, storyState, weather){
     // update base layers (fx1..fx5)
     for(const layer of Object.values(this.layers)){
       if(!layer.container.visible) continue;
@@ -348,7 +380,7 @@ export class RoomFxManager {
 
     // update random layers (independent)
     if(this.randomLayers.length){
-      const rainOn = this._resolveRainEnabled(storyState);
+      const rainOn = !!weather?.rain;
 
       for(const rl of this.randomLayers){
         this._updateRandomLayer(rl, now, dtSec, rainOn);
@@ -356,6 +388,17 @@ export class RoomFxManager {
     }
   }
 
+  // clock jumped: drop pending triggers (they were scheduled on the old timeline)
+  resetRandomLayers(){
+    for(const rl of this.randomLayers){
+      rl.animator.stop();
+      rl.container.visible = false;
+      rl.sprite.visible = false;
+      rl.nextTriggerMs = null;
+      rl.active = false;
+    }
+  }
+
   _updateRandomLayer(rl, now, dtSec, rainOn){
     const tMs = now.getTime();
     const mins = now.getHours() * 60 + now.getMinutes();
@@ -459,24 +502,6 @@ export class RoomFxManager {
     layer.container.visible = true;
   }
 
-  _resolveRainEnabled(storyState){
-    const profile =
-      storyState?.cloudProfile ??
-      storyState?.state?.cloudProfile ??
-      "none";
-
-    const override =
-      (storyState?.rain !== undefined) ? storyState.rain :
-      (storyState?.state?.rain !== undefined) ? storyState.state.rain :
-      undefined;
-
-    if(override === true) return true;
-    if(override === false) return false;
-
-    const p = String(profile).trim().toLowerCase();
-    return (p === "overcast");
-  }
-
   _resolveUrl(frame){
     const f = String(frame || "");
     if(!f) return "";
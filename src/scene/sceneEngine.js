@@ -1,9 +1,13 @@
 import { SkyManager } from "./skyManager.js";
 import { CloudManager } from "./cloudManager.js";
 import { RainManager } from "./rainManager.js";
+import { GlassManager } from "./glassManager.js";
+import { AtmosphereManager } from "./atmosphereManager.js";
 import { RoomManager } from "./roomManager.js";
 import { RoomFxManager } from "./roomFxManager.js";
 import { ActorManager } from "./actorManager.js"; // NEW
+import { clock } from "../time/clock.js";
+import { resolveWeather } from "../weather/weatherManager.js";
 
 const CLOUD_PROFILE_FADE_SEC = 60.0;
 
@@ -32,8 +36,21 @@ export class SceneEngine {
 
     this._hasSetInitialCloud = false;
 
-    // rain layer (top)
+    // snow / fog / haze - outside, above clouds
+    this.atmosphereContainer = null;
+    this.atmosphere = null;
+    this._atmosphereReady = false;
+
+    // wet window glass - above clouds, below room (bends the outside container behind it)
+    this.outsideContainer = null;
+    this.glassContainer = null;
+    this.glass = null;
+    this._glassReady = false;
+
+    // rain layer (top); lightning bolts go in the sky, above the clouds
     this.rainContainer = null;
+    this.lightningContainer = null;
+    this._safeFlashes = false;    // viewer safety setting, kept for a rain (re)init
     this.rain = null;
     this._rainReady = false;
 
@@ -88,16 +105,24 @@ export class SceneEngine {
     this.hostEl.appendChild(this.app.canvas);
 
     // stage layers
+    this.outsideContainer = new PIXI.Container();
     this.skyContainer = new PIXI.Container();
     this.cloudContainer = new PIXI.Container();
+    this.lightningContainer = new PIXI.Container();
+    this.atmosphereContainer = new PIXI.Container();
+    this.glassContainer = new PIXI.Container();
     this.roomContainer = new PIXI.Container();
     this.roomFxContainer = new PIXI.Container();
     this.actorContainer = new PIXI.Container(); // NEW
     this.rainContainer = new PIXI.Container();
 
-    // order: sky -> clouds -> room -> roomFx -> actors -> rain
-    this.app.stage.addChild(this.skyContainer);
-    this.app.stage.addChild(this.cloudContainer);
+    // order: (sky -> clouds -> lightning bolts -> atmosphere) -> glass -> room -> roomFx -> actors -> rain
+    this.outsideContainer.addChild(this.skyContainer);
+    this.outsideContainer.addChild(this.cloudContainer);
+    this.outsideContainer.addChild(this.lightningContainer);
+    this.outsideContainer.addChild(this.atmosphereContainer);
+    this.app.stage.addChild(this.outsideContainer);
+    this.app.stage.addChild(this.glassContainer);
     this.app.stage.addChild(this.roomContainer);
     this.app.stage.addChild(this.roomFxContainer);
     this.app.stage.addChild(this.actorContainer); // NEW: interactive actors
@@ -174,10 +199,11 @@ export class SceneEngine {
   async initRain(rainConfig){
     await this._ensurePixi();
 
-    this.rain = new RainManager(this.rainContainer);
+    this.rain = new RainManager(this.rainContainer, { boltContainer: this.lightningContainer });
     await this.rain.load(rainConfig);
 
     this.rain.setEnabled(false);
+    this.rain.setSafeFlashes(this._safeFlashes);
     this._rainReady = true;
 
     this._lastLightningEnabled = null;
@@ -187,6 +213,35 @@ export class SceneEngine {
     }
   }
 
+  async initAtmosphere(atmosphereConfig){
+    await this._ensurePixi();
+
+    this.atmosphere = new AtmosphereManager(this.atmosphereContainer);
+    await this.atmosphere.load(atmosphereConfig);
+
+    this._atmosphereReady = true;
+
+    if(this.sceneRectPx){
+      this.atmosphere.resizeToRect(this.sceneRectPx);
+    }
+  }
+
+  async initGlass(glassConfig){
+    await this._ensurePixi();
+
+    this.glass = new GlassManager(this.glassContainer, {
+      renderer: this.app.renderer,
+      refractTarget: this.outsideContainer
+    });
+    await this.glass.load(glassConfig);
+
+    this._glassReady = true;
+
+    if(this.sceneRectPx){
+      this.glass.resizeToRect(this.sceneRectPx);
+    }
+  }
+
   async initRoom(roomConfig){
     await this._ensurePixi();
 
@@ -204,6 +259,7 @@ export class SceneEngine {
     await this._ensurePixi();
 
     this.roomFx = new RoomFxManager(this.roomFxContainer);
+    this.roomFx.setSafeFlashes(this._safeFlashes);
     await this.roomFx.load(roomFxConfig);
 
     this._roomFxReady = true;
@@ -228,6 +284,83 @@ export class SceneEngine {
     }
   }
 
+  /* ---------- dev hot reload: re-apply one config to its live manager ---------- */
+
+  async reloadSky(arg){
+    if(!this.sky) return this.initSky(arg);
+    await this.sky.load(Array.isArray(arg) ? { urls: arg } : arg);
+    if(this.sceneRectPx) this.sky.resizeToRect(this.sceneRectPx);
+  }
+
+  // both crossfade layers keep their current profile (no fade restart)
+  async reloadClouds(cloudConfig){
+    if(!this.cloudsA || !this.cloudsB) return this.initClouds(cloudConfig);
+    await this.cloudsA.loadConfig(cloudConfig, { keepProfile: true });
+    await this.cloudsB.loadConfig(cloudConfig, { keepProfile: true });
+    if(this.sceneRectPx){
+      this.cloudsA.resizeToRect(this.sceneRectPx);
+      this.cloudsB.resizeToRect(this.sceneRectPx);
+    }
+  }
+
+  async reloadAtmosphere(atmosphereConfig, weather){
+    if(!this.atmosphere) return this.initAtmosphere(atmosphereConfig);
+    await this.atmosphere.load(atmosphereConfig);
+    if(this.sceneRectPx) this.atmosphere.resizeToRect(this.sceneRectPx);
+    if(weather) this.atmosphere.apply(weather.atmosphere, weather.wind, { immediate: true });
+  }
+
+  async reloadGlass(glassConfig, weather){
+    if(!this.glass) return this.initGlass(glassConfig);
+    await this.glass.load(glassConfig);
+    if(weather) this.glass.setRain(weather.rain, weather.intensity, { immediate: true });
+  }
+
+  async reloadRoom(roomConfig){
+    if(!this.room) return this.initRoom(roomConfig);
+    await this.room.load(roomConfig);
+    if(this.sceneRectPx) this.room.resizeToRect(this.sceneRectPx);
+  }
+
+  async reloadRoomFx(roomFxConfig, storyState){
+    await this.initRoomFx(roomFxConfig);
+    this.setInitialRoomFxState(storyState);
+  }
+
+  // actors are rebuilt from scratch (their config defines the sessions)
+  async reloadActors(actorsConfig){
+    await this.initActors(actorsConfig);
+  }
+
+  async reloadRain(rainConfig, weather){
+    if(!this.rain) return this.initRain(rainConfig);
+    await this.rain.load(rainConfig);
+    this.rain.setSafeFlashes(this._safeFlashes);
+
+    if(weather) this._applyRainWeather(weather, { immediate: true });
+    else this.rain.setEnabled(false, { immediate: true });
+    this._lastLightningEnabled = null;
+  }
+
+  // SafetySettings.safeFlashes: lightning as a capped soft glow (thunder unchanged),
+  // flashing room fx clips (roomfx_config "flashing") hold a steady frame
+  setSafeFlashes(on){
+    this._safeFlashes = !!on;
+    if(this.rain) this.rain.setSafeFlashes(this._safeFlashes);
+    if(this.roomFx) this.roomFx.setSafeFlashes(this._safeFlashes);
+  }
+
+  // story "lightningStrike": { distance?, pattern?, bolt? } (flash + thunder even without rain)
+  strikeLightning(opts = {}){
+    if(!this._rainReady || !this.rain) return null;
+    return this.rain.strike(opts);
+  }
+
+  setLayout(sceneLayout){
+    this.layout = sceneLayout;
+    this.resize();
+  }
+
   setInitialRoomFxState(storyState){
     if(!this._roomFxReady || !this.roomFx) return;
     this.roomFx.applyStoryState(storyState, { immediate: true });
@@ -269,6 +402,34 @@ export class SceneEngine {
     this._hasSetInitialCloud = true;
   }
 
+  // clock jumped (seek / reset): snap every time-driven layer to `now` instead of fading
+  // weather: WeatherManager state (omitted = resolved from the story state alone)
+  resyncToTime(now, storyState, weather = resolveWeather(storyState)){
+    if(this.sky) this.sky.updateByTime(now);
+    this.setInitialCloudProfile(weather.cloudProfile);
+    this.setInitialRoomFxState(storyState);
+
+    if(this._roomFxReady && this.roomFx) this.roomFx.resetRandomLayers();
+    if(this._actorsReady && this.actors) this.actors.resync();
+
+    if(this._rainReady && this.rain){
+      this._applyRainWeather(weather, { immediate: true });
+    }
+    if(this._atmosphereReady && this.atmosphere){
+      this.atmosphere.apply(weather.atmosphere, weather.wind, { immediate: true });
+    }
+    if(this._glassReady && this.glass){
+      this.glass.setRain(weather.rain, weather.intensity, { immediate: true });
+    }
+  }
+
+  // weather -> rain on/off, intensity and wind slant (wind -1..1 -> rain.maxWindDeg)
+  _applyRainWeather(weather, { immediate = false } = {}){
+    this.rain.setIntensity(weather.intensity, { immediate });
+    this.rain.setWind(weather.wind * this.rain.maxWindDeg, { immediate });
+    this.rain.setEnabled(weather.rain, { immediate });
+  }
+
   _transitionCloudProfile(nextProfile){
     if(!this.cloudsA || !this.cloudsB) return;
 
@@ -326,6 +487,8 @@ export class SceneEngine {
     if(this.sky) this.sky.resizeToRect(this.sceneRectPx);
     if(this.cloudsA) this.cloudsA.resizeToRect(this.sceneRectPx);
     if(this.cloudsB) this.cloudsB.resizeToRect(this.sceneRectPx);
+    if(this.atmosphere) this.atmosphere.resizeToRect(this.sceneRectPx);
+    if(this.glass) this.glass.resizeToRect(this.sceneRectPx);
 
     if(this.room) this.room.resizeToRect(this.sceneRectPx);
     if(this.roomFx) this.roomFx.resizeToRect(this.sceneRectPx);
@@ -340,48 +503,21 @@ export class SceneEngine {
     this.app.stage.hitArea = this.app.screen;
   }
 
-  _resolveRainEnabled(profile, storyState){
-    const override =
-      (storyState?.rain !== undefined) ? storyState.rain :
-      (storyState?.state?.rain !== undefined) ? storyState.state.rain :
-      undefined;
-
-    if(override === true) return true;
-    if(override === false) return false;
-
-    const p = String(profile).trim().toLowerCase();
-    return (p === "overcast");
-  }
-
-  _resolveLightningEnabled(storyState){
-    const override =
-      (storyState?.lightning !== undefined) ? storyState.lightning :
-      (storyState?.state?.lightning !== undefined) ? storyState.state.lightning :
-      undefined;
-
-    if(override === true) return true;
-    if(override === false) return false;
-
-    return true; // default ON
-  }
-
-  update(now, dtSec, storyState){
+  update(now, dtSec, storyState, weather = resolveWeather(storyState)){
     if(this.sky) this.sky.updateByTime(now);
 
-    const profile =
-      storyState?.cloudProfile ??
-      storyState?.state?.cloudProfile ??
-      "none";
-
-    this._transitionCloudProfile(profile);
+    this._transitionCloudProfile(weather.cloudProfile);
 
     // update clouds motion
     if(this.cloudsA) this.cloudsA.update(now, dtSec);
     if(this.cloudsB) this.cloudsB.update(now, dtSec);
 
-    // cloud crossfade
+    // story-time delta: faster when fast-forwarding, 0 when paused
+    const storyDt = dtSec * clock.getRate();
+
+    // cloud crossfade (follows story time)
     if(this._xfading){
-      this._fadeT += dtSec;
+      this._fadeT += storyDt;
       const dur = Math.max(0.001, this._fadeDur);
       const t = Math.max(0, Math.min(1, this._fadeT / dur));
       const s = this._easeInOut(t);
@@ -409,6 +545,18 @@ export class SceneEngine {
       }
     }
 
+    // snow / fog / haze fade to the weather's amounts
+    if(this._atmosphereReady && this.atmosphere){
+      this.atmosphere.apply(weather.atmosphere, weather.wind);
+      this.atmosphere.update(storyDt);
+    }
+
+    // wet glass follows the rain, dries slowly after it
+    if(this._glassReady && this.glass){
+      this.glass.setRain(weather.rain, weather.intensity);
+      this.glass.update(storyDt);
+    }
+
     // room (time-slot + roomLight on/off)
     if(this._roomReady && this.room){
       this.room.update(now, dtSec, storyState);
@@ -421,20 +569,19 @@ export class SceneEngine {
       } else {
         this.roomFx.applyStoryState(storyState, { immediate: false });
       }
-      this.roomFx.update(now, dtSec, storyState);
+      this.roomFx.update(now, dtSec, storyState, weather);
     }
 
     // actors (interactive)
     if(this._actorsReady && this.actors){
-      this.actors.update(now, dtSec, storyState);
+      this.actors.update(now, dtSec, storyState, weather);
     }
 
     // rain + lightning top
     if(this._rainReady && this.rain){
-      const rainOn = this._resolveRainEnabled(profile, storyState);
-      this.rain.setEnabled(rainOn);
+      this._applyRainWeather(weather);
 
-      const lightningOn = this._resolveLightningEnabled(storyState);
+      const lightningOn = weather.lightning;
       if(this._lastLightningEnabled !== lightningOn){
         this.rain.setLightningEnabled(lightningOn);
         this._lastLightningEnabled = lightningOn;
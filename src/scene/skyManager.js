@@ -1,3 +1,5 @@
+import { clock } from "../time/clock.js";
+
 export class SkyManager {
   constructor(stage){
     this.stage = stage;
@@ -37,7 +39,7 @@ export class SkyManager {
     }
 
     // set initial sky correctly at first frame
-    const now = new Date();
+    const now = clock.now();
     if(this.mode === "keyframes"){
       this._applyKeyframeBlend(now); // ตั้งให้ตรงเวลาปัจจุบันทันที
     }else{
@@ -0,0 +1,116 @@
+// src/story/authoring.js
+// Cell-level helpers shared by the story authoring formats (CSV import, ...): one flat row -> one story event
+// - Blank cell = field not set on this event (carried over from the previous one: delta events)
+// - "-" clears: status/mood "" , inRoom [], fx layer null
+// - Bare status / mood words get the HUD label: "EVENING" -> "STATUS : EVENING" (already labelled text is kept)
+// - Names are checked against refs (clips, fxLayers, characters, cloudProfiles, presetNames; omitted = not checked)
+// issue(column, message, level = "error") is called for every problem; the event is still built when possible
+
+import { suggest } from "./storyValidator.js";
+
+const CLEAR = "-";
+const OFF_WORDS = new Set([CLEAR, "off", "none"]);
+
+const TIME_CELL_RE = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+// "7:05" -> "07:05", "19:00:30" kept; null when not a valid time of day
+export function normalizeTime(text){
+  const m = TIME_CELL_RE.exec(String(text).trim());
+  if(!m) return null;
+  const [hh, mm, ss] = [Number(m[1]), Number(m[2]), m[3] === undefined ? null : Number(m[3])];
+  if(hh > 23 || mm > 59 || (ss !== null && ss > 59)) return null;
+
+  const pad = (n) => String(n).padStart(2, "0");
+  return ss === null ? `${pad(hh)}:${pad(mm)}` : `${pad(hh)}:${pad(mm)}:${pad(ss)}`;
+}
+
+export function labelText(label, text){
+  const t = String(text).trim();
+  if(t === CLEAR) return "";
+  if(new RegExp(`^${label}\\s*:`, "i").test(t)) return t;
+  return `${label} : ${t}`;
+}
+
+export function splitList(text){
+  return String(text).split(/[,\s]+/).map(s => s.trim()).filter(Boolean);
+}
+
+// fields: { time, preset, status, mood, dialogue: { th, en, ... }, inRoom, light, cloud, fx: { fx1: cell, ... } }
+// every value is the raw cell text (undefined / "" = not set)
+export function buildEvent(fields, refs = {}, issue = () => {}){
+  const set = (v) => v !== undefined && v !== null && String(v).trim() !== "";
+  const known = (list) => list ? new Set(list) : null;
+
+  const clips = known(refs.clips);
+  const fxLayers = known(refs.fxLayers);
+  const characters = known(refs.characters);
+  const cloudProfiles = known(refs.cloudProfiles);
+  const presetNames = known(refs.presetNames);
+
+  const time = normalizeTime(fields.time ?? "");
+  if(!time){
+    issue("time", `expected HH:MM or HH:MM:SS, got ${JSON.stringify(String(fields.time ?? ""))}`);
+    return null;
+  }
+
+  const ev = { time };
+  const state = {};
+
+  if(set(fields.preset)){
+    const names = splitList(fields.preset);
+    for(const n of names){
+      if(presetNames && !presetNames.has(n)) issue("preset", `unknown preset "${n}"${suggest(n, presetNames)}`);
+    }
+    ev.preset = names.length === 1 ? names[0] : names;
+  }
+
+  if(set(fields.status)) state.status = labelText("STATUS", fields.status);
+  if(set(fields.mood)) state.mood = labelText("MOOD", fields.mood);
+
+  const dialogue = {};
+  for(const [lang, text] of Object.entries(fields.dialogue || {})){
+    if(set(text)) dialogue[lang] = String(text).trim();
+  }
+  if(Object.keys(dialogue).length) state.dialogue = dialogue;
+
+  if(set(fields.inRoom)){
+    const ids = String(fields.inRoom).trim() === CLEAR ? [] : splitList(fields.inRoom);
+    for(const id of ids){
+      if(characters && !characters.has(id)) issue("inRoom", `unknown character "${id}"${suggest(id, characters)}`);
+    }
+    state.inRoom = ids;
+  }
+
+  if(set(fields.light)){
+    const v = String(fields.light).trim().toLowerCase();
+    if(v === "on" || v === "off") state.roomLight = v;
+    else issue("light", `expected "on" or "off", got ${JSON.stringify(String(fields.light).trim())}`);
+  }
+
+  if(set(fields.cloud)){
+    const v = String(fields.cloud).trim();
+    if(cloudProfiles && !cloudProfiles.has(v)) issue("cloud", `unknown cloud profile "${v}"${suggest(v, cloudProfiles)}`);
+    state.cloudProfile = v;
+  }
+
+  const roomFx = {};
+  for(const [layer, cell] of Object.entries(fields.fx || {})){
+    if(!set(cell)) continue;
+    if(fxLayers && !fxLayers.has(layer)){
+      issue(layer, `unknown fx layer${suggest(layer, fxLayers)}`);
+      continue;
+    }
+
+    const v = String(cell).trim();
+    if(OFF_WORDS.has(v.toLowerCase())){
+      roomFx[layer] = null;
+      continue;
+    }
+    if(clips && !clips.has(v)) issue(layer, `unknown roomFx clip "${v}"${suggest(v, clips)}`);
+    roomFx[layer] = { clip: v, play: true };
+  }
+  if(Object.keys(roomFx).length) state.roomFx = roomFx;
+
+  ev.state = state;
+  return ev;
+}
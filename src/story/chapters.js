@@ -0,0 +1,101 @@
+// src/story/chapters.js
+// Multi-day arcs (manifest.chapters), shared by StoryEngine and the validator (no DOM / PIXI)
+//
+// manifest.chapters: [{
+//   id: "exam_week", title: "Exam week" | { th, en },
+//   start: "2026-03-02", end: "2026-03-08",             // inclusive, story-zone dates
+//   basePath: "chapters/exam_week/",                     // optional, relative to manifest.basePath
+//   days: {
+//     "2026-03-06": "final.json",                        // specific date (wins)
+//     "mon": "monday.json",                              // weekday name
+//     "weekday": "weekday.json", "weekend": "weekend.json"
+//   },
+//   vars: { subject: "math" | { th, en } }               // extra variables for this chapter
+// }]
+//
+// Story strings may contain {{name}}: built-in variables plus the chapter's vars.
+// A per-language var ({ th, en }) is picked by the dialogue key it lands in (falls back to en, then th).
+// Unknown names are left as-is so they show up on screen (and in the validator).
+
+export const WEEKDAYS = ["sun","mon","tue","wed","thu","fri","sat"];
+
+// always available: date, weekday; inside a chapter also the chapter ones
+export const BUILTIN_VARS = ["date", "weekday", "chapter", "chapterTitle", "day", "days", "daysLeft"];
+
+export const DATE_RE = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const VAR_RE = /\{\{\s*([A-Za-z_][\w]*)\s*\}\}/g;
+
+// whole days from a to b ("YYYY-MM-DD" keys; calendar math, no time zone involved)
+export function daysBetween(a, b){
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+}
+
+export function weekdayOf(dateKey){
+  return WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+}
+
+// first chapter whose [start, end] contains dateKey
+export function findChapter(chapters, dateKey){
+  if(!Array.isArray(chapters)) return null;
+  return chapters.find(c => c && c.start <= dateKey && dateKey <= c.end) || null;
+}
+
+// story file names for a date inside a chapter, most specific first (relative to the chapter basePath)
+export function chapterDayFiles(chapter, dateKey){
+  const days = chapter?.days || {};
+  const weekday = weekdayOf(dateKey);
+  const isWeekend = weekday === "sat" || weekday === "sun";
+
+  return [
+    days[dateKey],
+    days[weekday],
+    isWeekend ? days.weekend : days.weekday
+  ].filter(f => typeof f === "string" && f);
+}
+
+export function storyVars(chapter, dateKey){
+  const vars = { date: dateKey, weekday: weekdayOf(dateKey) };
+  if(!chapter) return vars;
+
+  const days = daysBetween(chapter.start, chapter.end) + 1;
+  const day = daysBetween(chapter.start, dateKey) + 1;
+
+  return {
+    ...vars,
+    chapter: chapter.id,
+    chapterTitle: chapter.title ?? chapter.id,
+    day,
+    days,
+    daysLeft: days - day,
+    ...(chapter.vars && typeof chapter.vars === "object" ? chapter.vars : {})
+  };
+}
+
+// names used as {{name}} in a string
+export function varNamesIn(text){
+  return [...String(text).matchAll(VAR_RE)].map(m => m[1]);
+}
+
+// deep copy of value with {{name}} replaced in every string; lang = the object key the string sits under
+export function interpolate(value, vars, lang = null){
+  if(typeof value === "string"){
+    if(!value.includes("{{")) return value;
+    return value.replace(VAR_RE, (whole, name) => {
+      if(!(name in vars)) return whole;
+      return String(pickLang(vars[name], lang));
+    });
+  }
+  if(Array.isArray(value)) return value.map(v => interpolate(v, vars, lang));
+  if(value && typeof value === "object"){
+    const out = {};
+    for(const [k, v] of Object.entries(value)) out[k] = interpolate(v, vars, k);
+    return out;
+  }
+  return value;
+}
+
+function pickLang(v, lang){
+  if(!v || typeof v !== "object") return v;
+  return v[lang] ?? v.en ?? v.th ?? Object.values(v)[0] ?? "";
+}
@@ -0,0 +1,64 @@
+// src/story/choiceStore.js
+// Dialogue choices per story day, kept in localStorage ("lbtw:choices:YYYY-MM-DD" -> { choiceId: optionId })
+// - StoryEngine only needs { load(dateKey), save(dateKey, choices) }; memoryChoiceStore() is the node / preview fallback
+// - Days older than KEEP_DAYS are dropped on save so the storage does not grow forever
+// - Private mode / disabled storage: choices still work for the session, they just are not remembered
+
+import { daysBetween } from "./chapters.js";
+
+const PREFIX = "lbtw:choices:";
+const KEEP_DAYS = 30;
+
+function storage(){
+  try{
+    return window.localStorage || null;
+  }catch(_){
+    return null;
+  }
+}
+
+export function memoryChoiceStore(){
+  const days = new Map();
+  return {
+    load: (dateKey) => ({ ...(days.get(dateKey) || {}) }),
+    save: (dateKey, choices) => { days.set(dateKey, { ...choices }); }
+  };
+}
+
+export function localChoiceStore(){
+  const fallback = memoryChoiceStore();
+
+  return {
+    load(dateKey){
+      const ls = storage();
+      if(!ls) return fallback.load(dateKey);
+      try{
+        const v = JSON.parse(ls.getItem(PREFIX + dateKey) || "{}");
+        return (v && typeof v === "object" && !Array.isArray(v)) ? v : {};
+      }catch(_){
+        return {};
+      }
+    },
+
+    save(dateKey, choices){
+      fallback.save(dateKey, choices);
+      const ls = storage();
+      if(!ls) return;
+      try{
+        ls.setItem(PREFIX + dateKey, JSON.stringify(choices));
+        prune(ls, dateKey);
+      }catch(err){
+        console.warn("[story] could not save choices:", err);
+      }
+    }
+  };
+}
+
+function prune(ls, dateKey){
+  const old = [];
+  for(let i = 0; i < ls.length; i++){
+    const k = ls.key(i);
+    if(k?.startsWith(PREFIX) && daysBetween(k.slice(PREFIX.length), dateKey) > KEEP_DAYS) old.push(k);
+  }
+  old.forEach(k => ls.removeItem(k));
+}
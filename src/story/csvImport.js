@@ -0,0 +1,198 @@
+// src/story/csvImport.js
+// Spreadsheet (CSV) -> story JSON (data/story/YYYY-MM-DD.json), shared by tools/import_story_csv.mjs and dev/csv_import.html
+// - First row is the header; column names are matched loosely (case, spaces, "_" ignored), see COLUMNS
+// - One row = one event; blank rows and rows starting with "#" are skipped
+// - Cells follow authoring.js (blank = keep previous, "-" = clear, bare STATUS / MOOD words get their label)
+// - fx columns are named after the roomFx layers (fx1..fx5); TH / EN (or any "dialogue <lang>") columns fill dialogue
+// Every issue: { line, column, message, level } (1-based CSV line) -> formatCsvIssue()
+
+import { buildEvent } from "./authoring.js";
+import { DATE_RE } from "./chapters.js";
+
+// canonical column -> accepted header spellings (normalized)
+const COLUMNS = {
+  time: ["time", "hhmm", "เวลา"],
+  preset: ["preset", "presets"],
+  status: ["status"],
+  mood: ["mood"],
+  inRoom: ["inroom", "room", "who", "whosintheroom", "characters"],
+  light: ["light", "roomlight"],
+  cloud: ["cloud", "cloudprofile", "clouds"]
+};
+
+const DIALOGUE_RE = /^(?:dialogue)?([a-z]{2})(?:dialogue)?$/;
+
+function normHeader(h){
+  return String(h).toLowerCase().replace(/[\s_\-.'’]/g, "");
+}
+
+// RFC 4180-ish: quoted cells, "" escapes, newlines inside quotes, CRLF, BOM
+// -> [{ line, cells }] (line = 1-based line the row starts on)
+export function parseCsv(text){
+  const src = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => { cells.push(cell); cell = ""; };
+  const endRow = () => {
+    endCell();
+    rows.push({ line: rowLine, cells });
+    cells = [];
+  };
+
+  for(let i = 0; i < src.length; i++){
+    const c = src[i];
+
+    if(quoted){
+      if(c === '"'){
+        if(src[i+1] === '"'){ cell += '"'; i++; }
+        else quoted = false;
+      }else{
+        if(c === "\n") line++;
+        cell += c;
+      }
+      continue;
+    }
+
+    if(c === '"' && cell === ""){
+      quoted = true;
+    }else if(c === ","){
+      endCell();
+    }else if(c === "\n" || c === "\r"){
+      if(c === "\r" && src[i+1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    }else{
+      cell += c;
+    }
+  }
+  if(cell !== "" || cells.length) endRow();
+
+  return rows;
+}
+
+// header cells -> { columns: { time: idx, ... }, dialogue: { th: idx }, fx: { fx1: idx }, ignored: [idx] }
+function mapHeader(header, fxLayers){
+  const out = { columns: {}, dialogue: {}, fx: {}, ignored: [] };
+  const layers = new Set(fxLayers || ["fx1", "fx2", "fx3", "fx4", "fx5"]);
+
+  header.forEach((raw, idx) => {
+    const h = normHeader(raw);
+    if(!h) return;
+
+    const canonical = Object.keys(COLUMNS).find(k => COLUMNS[k].includes(h));
+    if(canonical){
+      out.columns[canonical] = idx;
+      return;
+    }
+    if(layers.has(h) || /^fx\d+$/.test(h)){
+      out.fx[h] = idx;
+      return;
+    }
+    const m = DIALOGUE_RE.exec(h);
+    if(m){
+      out.dialogue[m[1]] = idx;
+      return;
+    }
+    out.ignored.push(idx);
+  });
+
+  return out;
+}
+
+// refs: { clips, fxLayers, characters, cloudProfiles, presetNames } (omitted = not checked)
+// options: { date, timezone, preset } (preset = default preset for the first row when it has none)
+// -> { story, issues, eventLines } (eventLines[i] = CSV line of story.events[i], to map validator issues back)
+export function importStoryCsv(text, refs = {}, { date = null, timezone = null, preset = null } = {}){
+  const issues = [];
+  const push = (line, column, message, level = "error") => issues.push({ line, column, message, level });
+
+  const rows = parseCsv(text).filter(r => r.cells.some(c => c.trim() !== ""));
+  const story = { version: 1 };
+  if(date) story.date = date;
+  if(timezone) story.timezone = timezone;
+  story.events = [];
+
+  const eventLines = [];
+
+  if(date && !DATE_RE.test(date)) push(null, null, `date must be YYYY-MM-DD, got ${JSON.stringify(date)}`);
+
+  if(!rows.length){
+    push(null, null, "empty CSV");
+    return { story, issues, eventLines };
+  }
+
+  const [headerRow, ...body] = rows;
+  const header = mapHeader(headerRow.cells, refs.fxLayers);
+
+  if(header.columns.time === undefined){
+    push(headerRow.line, null, `no "time" column in header: ${headerRow.cells.join(", ")}`);
+    return { story, issues, eventLines };
+  }
+  for(const idx of header.ignored){
+    push(headerRow.line, headerRow.cells[idx], "unknown column, ignored", "warn");
+  }
+
+  const cell = (row, idx) => idx === undefined ? undefined : row.cells[idx];
+  let lastTime = null;
+
+  for(const row of body){
+    if(row.cells[0].trim().startsWith("#")) continue;
+
+    const fields = {
+      time: cell(row, header.columns.time),
+      preset: cell(row, header.columns.preset),
+      status: cell(row, header.columns.status),
+      mood: cell(row, header.columns.mood),
+      inRoom: cell(row, header.columns.inRoom),
+      light: cell(row, header.columns.light),
+      cloud: cell(row, header.columns.cloud),
+      dialogue: Object.fromEntries(Object.entries(header.dialogue).map(([lang, idx]) => [lang, cell(row, idx)])),
+      fx: Object.fromEntries(Object.entries(header.fx).map(([layer, idx]) => [layer, cell(row, idx)]))
+    };
+
+    if(row.cells.length > headerRow.cells.length){
+      push(row.line, null, `${row.cells.length} cells but the header has ${headerRow.cells.length} (unquoted comma?)`, "warn");
+    }
+
+    if(!story.events.length && preset && !String(fields.preset ?? "").trim()) fields.preset = preset;
+
+    const ev = buildEvent(fields, refs, (column, message, level) => push(row.line, column, message, level));
+    if(!ev) continue;
+
+    if(lastTime !== null && ev.time < lastTime){
+      push(row.line, "time", `${ev.time} comes before ${lastTime} on an earlier row (events are sorted by time anyway)`, "warn");
+    }
+    lastTime = ev.time;
+
+    story.events.push(ev);
+    eventLines.push(row.line);
+  }
+
+  if(!story.events.length) push(null, null, "no events (every row was empty or invalid)");
+
+  return { story, issues, eventLines };
+}
+
+// validator / asset issues ({ eventIndex, field }) -> CSV issues ({ line, column })
+export function issuesToCsvLines(issues, eventLines){
+  return issues.map(i => ({
+    line: i.eventIndex == null ? null : eventLines[i.eventIndex] ?? null,
+    column: i.field || null,
+    message: i.message,
+    level: i.level
+  }));
+}
+
+export function formatCsvIssue(issue, file = "csv"){
+  const level = issue.level === "warn" ? "WARN " : "ERROR";
+  const where = issue.line == null ? file : `${file}:${issue.line}`;
+  const column = issue.column ? ` (${issue.column})` : "";
+  return `${level} ${where}${column}: ${issue.message}`;
+}
@@ -0,0 +1,128 @@
+// src/story/liveSource.js
+// Live story layer: state patches pushed over Server-Sent Events or a WebSocket (tools/live_server.mjs stands in locally)
+// - ws:// / wss:// -> WebSocket, anything else -> EventSource
+// - Messages (JSON): { type: "patch", state } deep-merges into the live layer, { type: "set", state } replaces it,
+//   { type: "clear" } drops it. The server sends its current layer as "set" right after connecting.
+// - Patches are validated like story states; invalid ones are dropped with a console warning
+// - Connection lost -> the engine's live layer is cleared (file timeline shows again), reconnect with backoff
+// Target: any object with applyLive(message) and clearLive() (StoryEngine)
+
+import { validateStory, formatIssue } from "./storyValidator.js";
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+export class LiveSource {
+  constructor({ url, refs = {}, onStatus = null } = {}){
+    this.url = url;
+    this.refs = refs;          // storyRefsFromConfigs() output (optional, for clip / profile checks)
+    this.onStatus = onStatus;  // (status: "connecting" | "live" | "offline") => void
+
+    this.target = null;
+    this.status = "offline";
+
+    this._conn = null;
+    this._retryMs = MIN_RETRY_MS;
+    this._retryTimer = null;
+    this._stopped = true;
+  }
+
+  start(target){
+    this.target = target;
+    this._stopped = false;
+    this._connect();
+  }
+
+  stop(){
+    this._stopped = true;
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._close();
+    this._setStatus("offline");
+  }
+
+  _isWebSocket(){
+    return /^wss?:\/\//i.test(this.url);
+  }
+
+  _connect(){
+    this._close();
+    this._setStatus("connecting");
+
+    if(this._isWebSocket()){
+      const ws = new WebSocket(this.url);
+      ws.onopen = () => this._onOpen();
+      ws.onmessage = (e) => this._onMessage(e.data);
+      ws.onclose = () => this._onDrop();
+      ws.onerror = () => {}; // onclose follows
+      this._conn = ws;
+      return;
+    }
+
+    // EventSource reconnects by itself, but we close it to control the backoff and clear the layer once
+    const es = new EventSource(this.url);
+    es.onopen = () => this._onOpen();
+    es.onmessage = (e) => this._onMessage(e.data);
+    es.onerror = () => this._onDrop();
+    this._conn = es;
+  }
+
+  _close(){
+    const c = this._conn;
+    this._conn = null;
+    if(!c) return;
+    c.onopen = c.onmessage = c.onerror = null;
+    if("onclose" in c) c.onclose = null;
+    try{ c.close(); }catch(_){}
+  }
+
+  _onOpen(){
+    this._retryMs = MIN_RETRY_MS;
+    this._setStatus("live");
+  }
+
+  _onDrop(){
+    this._close();
+    this.target?.clearLive();
+    this._setStatus("offline");
+
+    if(this._stopped) return;
+    clearTimeout(this._retryTimer);
+    this._retryTimer = setTimeout(() => this._connect(), this._retryMs);
+    this._retryMs = Math.min(MAX_RETRY_MS, this._retryMs * 2);
+  }
+
+  _onMessage(data){
+    let msg;
+    try{
+      msg = JSON.parse(data);
+    }catch(_){
+      console.warn("[live] not JSON:", data);
+      return;
+    }
+
+    if(msg?.type === "clear"){
+      this.target?.clearLive();
+      return;
+    }
+    if(msg?.type !== "patch" && msg?.type !== "set"){
+      console.warn("[live] unknown message type:", msg?.type);
+      return;
+    }
+
+    const issues = validateStory({ events: [{ time: "00:00", state: msg.state }] }, { file: "live", ...this.refs })
+      .filter(i => i.level !== "warn");
+    if(issues.length){
+      issues.forEach(i => console.warn("[live] dropped:", formatIssue(i)));
+      return;
+    }
+
+    this.target?.applyLive(msg);
+  }
+
+  _setStatus(status){
+    if(status === this.status) return;
+    this.status = status;
+    try{ this.onStatus?.(status); }catch(_){}
+  }
+}
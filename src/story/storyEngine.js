@@ -1,36 +1,601 @@
+// src/story/storyEngine.js
+// Loads the day's story (manifest, chapters, .json or .story) and resolves its state at any time;
+// update(now) rolls over at midnight and emits "state" / "change" / "event" / "day".
+// File lookup, delta / transient events, presets, choices: docs/story-format.md
+
+import { clock } from "../time/clock.js";
+import { WEEKDAYS, findChapter, chapterDayFiles, storyVars, interpolate } from "./chapters.js";
+import { memoryChoiceStore } from "./choiceStore.js";
+import { isStoryTextUrl, parseStoryText } from "./storyText.js";
+
+const UNSET = "$unset";
+
+const INTERACTION_SEC = 6;
+const REPLY_SEC = 8;
+
+// failed day rollover: wait before refetching, doubling per failure of the same day (real time)
+const ROLLOVER_RETRY_MS = 5000;
+const ROLLOVER_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// first index whose entry.sec > sec (entries sorted by sec)
+function upperBound(entries, sec){
+  let lo = 0;
+  let hi = entries.length;
+  while(lo < hi){
+    const mid = (lo + hi) >> 1;
+    if(entries[mid].sec <= sec) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function sameValue(a, b){
+  if(a === b) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPlainObject(v){
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function deepMerge(base, patch){
+  const out = isPlainObject(base) ? { ...base } : {};
+  if(!isPlainObject(patch)) return out;
+
+  for(const [k, v] of Object.entries(patch)){
+    if(v === UNSET){
+      delete out[k];
+    }else if(isPlainObject(v)){
+      out[k] = deepMerge(isPlainObject(out[k]) ? out[k] : {}, v);
+    }else if(Array.isArray(v)){
+      out[k] = v.slice();
+    }else{
+      out[k] = v;
+    }
+  }
+  return out;
+}
+
 export class StoryEngine {
-  constructor({ storyUrl }){
+  constructor({ storyUrl = null, manifestUrl = null, manifest = null, choiceStore = null, live = null } = {}){
     this.storyUrl = storyUrl;
+    this.manifestUrl = manifestUrl;
+    this.manifest = manifest;
+    this.choiceStore = choiceStore || memoryChoiceStore();
+    this.live = live;
+
     this.story = null;
+    this.storySrc = null;   // url the current story was loaded from
+    this.dateKey = null;    // YYYY-MM-DD the current story was resolved for
+    this.chapter = null;    // manifest chapter covering dateKey (or null)
+    this.vars = {};         // {{name}} values for dateKey
+    this.choices = {};      // { choiceId: optionId } picked on dateKey
     this.lang = "th";
+
+    // [{ sec, event, state }] resolved (merged) base states, sorted by time
+    this._timeline = [];
+
+    // [{ id, startSec, endSec, event, patch }] sorted by start
+    this._transients = [];
+    this._overlayCache = { key: null, state: null };
+
+    // [{ sec, endSec, time, event, transient }] every event, sorted by start (lookups)
+    this._index = [];
+
+    // overlays pushed by trigger() / choose(): [{ id: "r1", startSec, endSec, event, patch }]
+    this._runtime = [];
+    this._runtimeSeq = 0;
+    this._presets = {};
+
+    // live layer (null = not live); _liveRev bumps on every change (state cache key)
+    this._live = null;
+    this._liveRev = 0;
+
+    this._loadingKey = null;
+
+    // last failed rollover: skipped by update() until _retryAt (Date.now() ms)
+    this._failedKey = null;
+    this._retryAt = 0;
+    this._retryMs = 0;
+
+    // shared presets (manifest.presets), loaded once
+    this.sharedPresets = {};
+    this._sharedPresetsLoaded = false;
+
+    // subscriptions
+    this._listeners = new Map(); // type -> Set<fn>
+    this._lastState = null;
+    this._lastDateKey = null;
+    this._lastBaseIdx = -1;
+    this._lastActive = new Set();
   }
 
-  async init(){
-    const res = await fetch(this.storyUrl, { cache: "no-store" });
-    if(!res.ok) throw new Error("Story load failed");
-    this.story = await res.json();
-    this.story.events.sort((a,b)=>a.time.localeCompare(b.time));
+  /* ---------------- subscriptions ---------------- */
+
+  on(type, fn){
+    if(!this._listeners.has(type)) this._listeners.set(type, new Set());
+    this._listeners.get(type).add(fn);
+    return () => this.off(type, fn);
   }
 
-  _timeToMinutes(t){
-    const [hh, mm] = t.split(":").map(Number);
-    return hh*60 + mm;
+  off(type, fn){
+    this._listeners.get(type)?.delete(fn);
   }
 
-  computeStateAt(now){
+  _emit(type, detail){
+    const set = this._listeners.get(type);
+    if(!set) return;
+    for(const fn of [...set]){
+      try{ fn(detail); }catch(err){ console.warn(`[story] "${type}" listener failed:`, err); }
+    }
+  }
+
+  // safe to call more than once; anchors the clock to manifest.timezone
+  async loadManifest(){
+    if(!this.manifest && this.manifestUrl){
+      const res = await fetch(this.manifestUrl, { cache: "no-store" });
+      if(!res.ok) throw new Error(`Story manifest load failed: ${this.manifestUrl}`);
+      this.manifest = await res.json();
+    }
+
+    if(this.manifest?.timezone) clock.setTimeZone(this.manifest.timezone);
+
+    if(this.manifest?.presets && !this._sharedPresetsLoaded){
+      const url = (this.manifest.basePath ?? "./data/story/") + this.manifest.presets;
+      const json = await this._fetchStory(url);
+      if(!json) console.warn(`[story] shared presets not found: ${url}`);
+      this.sharedPresets = (json?.presets && typeof json.presets === "object") ? json.presets : {};
+      this._sharedPresetsLoaded = true;
+    }
+  }
+
+  async init(now = null){
+    await this.loadManifest();
+
+    // default read after loadManifest: the zone may have just changed
+    await this._loadForDate(now ?? clock.now());
+
+    if(this.live && this.live.target !== this) this.live.start(this);
+  }
+
+  // call every tick: handles the midnight rollover, emits transitions, returns the current state
+  update(now){
     if(!this.story) return {};
-    const nowMin = now.getHours()*60 + now.getMinutes();
 
-    let chosen = this.story.events[0]?.state || {};
-    for(const ev of this.story.events){
-      if(this._timeToMinutes(ev.time) <= nowMin){
-        chosen = ev.state;
-      } else break;
+    if(!this.storyUrl){
+      const key = StoryEngine.dateKeyOf(now);
+      const waiting = key === this._failedKey && Date.now() < this._retryAt;
+      if(key !== this.dateKey && key !== this._loadingKey && !waiting){
+        this._loadForDate(now).then(() => {
+          if(this._failedKey === key) this._failedKey = null;
+        }, err => {
+          this._retryMs = key === this._failedKey
+            ? Math.min(this._retryMs * 2, ROLLOVER_RETRY_MAX_MS)
+            : ROLLOVER_RETRY_MS;
+          this._failedKey = key;
+          this._retryAt = Date.now() + this._retryMs;
+          console.warn(`[story] day rollover failed, retrying in ${this._retryMs / 1000}s:`, err);
+        });
+      }
+    }
+
+    const state = this.computeStateAt(now);
+    this._emitTransitions(now, state);
+    return state;
+  }
+
+  _emitTransitions(now, state){
+    const dayChanged = this._lastDateKey !== this.dateKey;
+    if(dayChanged){
+      this._lastDateKey = this.dateKey;
+      this._lastBaseIdx = -1;
+      this._lastActive = new Set();
+      this._emit("day", { dateKey: this.dateKey, src: this.storySrc, chapter: this.chapter, vars: this.vars });
+    }
+
+    // entered events
+    const nowSec = this._secondsOf(now);
+    const baseIdx = this._baseIndexAt(nowSec);
+    if(baseIdx !== this._lastBaseIdx){
+      this._lastBaseIdx = baseIdx;
+      const entry = this._timeline[baseIdx];
+      if(entry && entry.sec <= nowSec){
+        this._emit("event", { event: entry.event, time: entry.event.time, transient: false, patch: entry.patch, now });
+      }
+    }
+
+    const active = new Set();
+    for(const t of this._activeTransients(nowSec)){
+      active.add(t.id);
+      if(!this._lastActive.has(t.id)){
+        this._emit("event", { event: t.event, time: t.event.time, transient: true, patch: t.patch, now });
+      }
+    }
+    this._lastActive = active;
+
+    // state / field changes
+    if(state === this._lastState) return;
+
+    const prev = this._lastState;
+    this._lastState = state;
+
+    const keys = new Set([...Object.keys(prev || {}), ...Object.keys(state || {})]);
+    for(const key of keys){
+      const a = prev ? prev[key] : undefined;
+      const b = state ? state[key] : undefined;
+      if(!sameValue(a, b)) this._emit("change", { key, prev: a, next: b, now });
+    }
+
+    this._emit("state", { state, prev, now });
+  }
+
+  isLoading(){
+    return this._loadingKey !== null;
+  }
+
+  async _loadForDate(now){
+    const key = StoryEngine.dateKeyOf(now);
+    this._loadingKey = key;
+
+    try{
+      for(const url of this._resolveCandidates(now)){
+        const story = await this._fetchStory(url);
+        if(!story) continue;
+
+        // a newer request (e.g. another rollover) won the race
+        if(this._loadingKey !== key) return;
+
+        this._setStory(story, url, key);
+        return;
+      }
+      throw new Error(`Story load failed for ${key}`);
+    } finally {
+      if(this._loadingKey === key) this._loadingKey = null;
+    }
+  }
+
+  _resolveCandidates(now){
+    if(this.storyUrl) return [this.storyUrl];
+
+    const m = this.manifest || {};
+    const base = m.basePath ?? "./data/story/";
+    const key = StoryEngine.dateKeyOf(now);
+    const weekday = WEEKDAYS[now.getDay()];
+
+    const fill = (pattern) => base + String(pattern)
+      .replace("{date}", key)
+      .replace("{weekday}", weekday);
+
+    // [specific date, weekday name, weekday/weekend] inside the chapter
+    const chapter = findChapter(m.chapters, key);
+    const chapterUrls = chapter
+      ? chapterDayFiles(chapter, key).map(f => fill((chapter.basePath ?? "") + f))
+      : [];
+    const chapterDated = chapter && typeof chapter.days?.[key] === "string";
+
+    const urls = [];
+    if(chapterDated) urls.push(chapterUrls.shift());
+    urls.push(fill(m.filePattern ?? "{date}.json"));
+    urls.push(...chapterUrls);
+    if(m.weekdayPattern) urls.push(fill(m.weekdayPattern));
+    if(m.defaultStory) urls.push(fill(m.defaultStory));
+
+    // per-day format choice: "2026-03-21.json" or "2026-03-21.story" (JSON first)
+    const withText = urls.flatMap(u => /\.json$/i.test(u) ? [u, u.replace(/\.json$/i, ".story")] : [u]);
+
+    return [...new Set(withText)];
+  }
+
+  async _fetchStory(url){
+    let res;
+    try{
+      res = await fetch(url, { cache: "no-store" });
+    }catch(_){
+      return null;
+    }
+    if(!res.ok) return null;
+    if(!isStoryTextUrl(url)) return await res.json();
+
+    const { story, issues } = parseStoryText(await res.text());
+    for(const i of issues){
+      console.warn(`[story] ${url}${i.line ? `:${i.line}` : ""}${i.column ? ` (${i.column})` : ""}: ${i.message}`);
+    }
+    return story.events.length ? story : null;
+  }
+
+  // in-memory story (dev story editor): replaces the current one as if it had been loaded for dateKey
+  // choices picked on that day still apply; the clock's time zone follows story.timezone
+  setStory(story, { src = "memory", dateKey = story?.date } = {}){
+    const key = dateKey ?? this.dateKey ?? StoryEngine.dateKeyOf(clock.now());
+    this._setStory(story, src, key);
+  }
+
+  _setStory(story, url, dateKey){
+    story.events = Array.isArray(story.events) ? story.events : [];
+
+    const chapter = findChapter(this.manifest?.chapters, dateKey);
+
+    this.story = story;
+    this.storySrc = url;
+    this.dateKey = dateKey;
+    this.chapter = chapter;
+    this.vars = storyVars(chapter, dateKey);
+    this.choices = this.choiceStore.load(dateKey) || {};
+    this._presets = { ...this.sharedPresets, ...(isPlainObject(story.presets) ? story.presets : {}) };
+    this._runtime = [];
+
+    this._rebuild();
+
+    const tz = story.timezone ?? this.manifest?.timezone ?? null;
+    if(tz) clock.setTimeZone(tz);
+  }
+
+  // timeline / transients / index from this.story for the current choices
+  _rebuild(){
+    // sorted copy: story.events keeps file order so validation can point at the right index
+    const events = this.story.events
+      .filter(ev => this._conditionsMet(ev?.if))
+      .sort((a,b)=>this._timeToSeconds(a.time) - this._timeToSeconds(b.time));
+
+    // event -> state with presets applied
+    const resolved = new Map(events.map(ev => [ev, this._resolvePatch(ev)]));
+
+    this._timeline = this._buildTimeline(events.filter(ev => !this._isTransient(ev)), resolved);
+    this._transients = this._buildTransients(events.filter(ev => this._isTransient(ev)), resolved);
+    this._overlayCache = { key: null, state: null };
+    this._index = this._buildIndex();
+  }
+
+  // presets + {{vars}} applied; an already picked "choices" block is dropped
+  _resolvePatch(ev){
+    const patch = interpolate(this._resolveEventState(ev, this._presets), this.vars);
+    if(!isPlainObject(patch?.choices) || !(patch.choices.id in this.choices)) return patch;
+
+    const { choices: _picked, ...rest } = patch;
+    return rest;
+  }
+
+  // cond: { choiceId: optionId | [optionIds] | null }
+  _conditionsMet(cond){
+    if(!isPlainObject(cond)) return true;
+    return Object.entries(cond).every(([id, want]) => {
+      const got = this.choices[id] ?? null;
+      return Array.isArray(want) ? want.includes(got) : want === got;
+    });
+  }
+
+  _isTransient(ev){
+    return ev.durationSec !== undefined || ev.until !== undefined;
+  }
+
+  _resolveEventState(ev, presets){
+    if(ev.preset === undefined) return ev.state;
+    return deepMerge(this._resolvePresets(ev.preset, presets, []), ev.state);
+  }
+
+  // names: "a" | ["a","b"] -> merged state (later names win)
+  _resolvePresets(names, presets, stack){
+    let out = {};
+
+    for(const name of [].concat(names)){
+      const body = presets[name];
+      if(!isPlainObject(body)){
+        console.warn(`[story] unknown preset "${name}"`);
+        continue;
+      }
+      if(stack.includes(name)){
+        console.warn(`[story] preset cycle: ${[...stack, name].join(" -> ")}`);
+        continue;
+      }
+
+      const { preset: inner, ...own } = body;
+      if(inner !== undefined){
+        out = deepMerge(out, this._resolvePresets(inner, presets, [...stack, name]));
+      }
+      out = deepMerge(out, own);
+    }
+    return out;
+  }
+
+  _buildTimeline(events, resolved){
+    const timeline = [];
+    let acc = {};
+
+    for(const ev of events){
+      // choices / a lightning strike belong to the event that has them
+      const { choices: _own, lightningStrike: _strike, ...carry } = acc;
+      acc = deepMerge(ev.replace === true ? {} : carry, resolved.get(ev));
+      timeline.push({ sec: this._timeToSeconds(ev.time), event: ev, patch: resolved.get(ev), state: acc });
+    }
+    return timeline;
+  }
+
+  _buildTransients(events, resolved){
+    const out = [];
+
+    events.forEach((ev, id) => {
+      const startSec = this._timeToSeconds(ev.time);
+
+      let endSec = (ev.until !== undefined)
+        ? this._timeToSeconds(ev.until)
+        : startSec + Math.max(0, Number(ev.durationSec) || 0);
+
+      endSec = Math.min(86400, endSec);
+      if(!(endSec > startSec)) return; // zero-length or "until" before "time": never active
+
+      out.push({ id, startSec, endSec, event: ev, patch: resolved.get(ev) });
+    });
+
+    return out;
+  }
+
+  _buildIndex(){
+    const base = this._timeline.map(e => ({
+      sec: e.sec, endSec: null, time: e.event.time, event: e.event, transient: false
+    }));
+    const transient = this._transients.map(t => ({
+      sec: t.startSec, endSec: t.endSec, time: t.event.time, event: t.event, transient: true
+    }));
+    return [...base, ...transient].sort((a,b)=>a.sec-b.sec);
+  }
+
+  _secondsOf(now){
+    return now.getHours()*3600 + now.getMinutes()*60 + now.getSeconds();
+  }
+
+  _timeToSeconds(t){
+    const [hh, mm, ss] = String(t).split(":").map(Number);
+    return hh*3600 + mm*60 + (ss || 0);
+  }
+
+  // last base entry at or before nowSec (before the first event: the first event, as before)
+  _baseIndexAt(nowSec){
+    if(!this._timeline.length) return -1;
+    return Math.max(0, upperBound(this._timeline, nowSec) - 1);
+  }
+
+  _activeTransients(nowSec){
+    const active = (t) => t.startSec <= nowSec && nowSec < t.endSec;
+    const timed = this._transients.filter(active);
+    if(!this._runtime.length) return timed;
+    return [...timed, ...this._runtime.filter(active)];
+  }
+
+  _pushRuntime(event, patch, startSec, durationSec){
+    const endSec = Math.min(86400, startSec + Math.max(1, Number(durationSec) || 0));
+    this._runtime.push({ id: `r${++this._runtimeSeq}`, startSec, endSec, event, patch });
+    this._overlayCache = { key: null, state: null };
+  }
+
+  /* ---------------- interactions ---------------- */
+
+  // a tap on a HUD target; true when an interaction handled it (caller skips its default action)
+  trigger(target, now){
+    if(!this.story || !Array.isArray(this.story.interactions)) return false;
+    const nowSec = this._secondsOf(now);
+
+    const hit = this.story.interactions.find(it =>
+      it && it.on === target &&
+      this._inWindow(it.between, nowSec) &&
+      this._conditionsMet(it.if)
+    );
+    if(!hit) return false;
+
+    // one overlay per interaction at a time: a repeated tap restarts it
+    this._runtime = this._runtime.filter(r => r.event !== hit);
+    this._pushRuntime(hit, this._resolvePatch(hit), nowSec, hit.durationSec ?? INTERACTION_SEC);
+    return true;
+  }
+
+  // between: ["HH:MM", "HH:MM"] (end exclusive, may wrap past midnight); missing = all day
+  _inWindow(between, nowSec){
+    if(!Array.isArray(between) || between.length !== 2) return true;
+    const a = this._timeToSeconds(between[0]);
+    const b = this._timeToSeconds(between[1]);
+    return (a <= b) ? (a <= nowSec && nowSec < b) : (nowSec >= a || nowSec < b);
+  }
+
+  // pick an option of the "choices" block in the current state; false if it is not on offer
+  choose(choiceId, optionId, now){
+    const offered = this.computeStateAt(now)?.choices;
+    if(!offered || offered.id !== choiceId) return false;
+
+    const option = (offered.options || []).find(o => o?.id === optionId);
+    if(!option) return false;
+
+    this.choices = { ...this.choices, [choiceId]: optionId };
+    this.choiceStore.save(this.dateKey, this.choices);
+
+    // drop overlays that offered this choice, then re-resolve everything for the new branch
+    this._runtime = this._runtime.filter(r => r.patch?.choices?.id !== choiceId);
+    this._rebuild();
+
+    if(isPlainObject(option.state)){
+      // option comes from the resolved state: presets and {{vars}} are already applied
+      const reply = { time: null, choice: choiceId, option: optionId };
+      this._pushRuntime(reply, option.state, this._secondsOf(now), option.durationSec ?? REPLY_SEC);
+    }
+    return true;
+  }
+
+  getChoice(choiceId){
+    return this.choices[choiceId] ?? null;
+  }
+
+  /* ---------------- live layer ---------------- */
+
+  // msg: { type: "patch" | "set" | "clear", state } (already validated by the source)
+  applyLive(msg){
+    if(msg?.type === "clear"){
+      this.clearLive();
+      return;
     }
-    return chosen;
+    if(!isPlainObject(msg?.state)) return;
+
+    const patch = interpolate(msg.state, this.vars);
+    this._live = deepMerge(msg.type === "set" ? {} : (this._live || {}), patch);
+    this._liveRev++;
+  }
+
+  clearLive(){
+    if(this._live === null) return;
+    this._live = null;
+    this._liveRev++;
+  }
+
+  isLive(){
+    return this._live !== null;
+  }
+
+  computeStateAt(now){
+    if(!this.story) return {};
+    const nowSec = this._secondsOf(now);
+
+    const baseIdx = this._baseIndexAt(nowSec);
+    const base = this._timeline[baseIdx]?.state || {};
+
+    const active = this._activeTransients(nowSec);
+    if(!active.length && !this._live) return base;
+
+    // same base + same active set + same live layer -> same object (consumers compare by identity / signature)
+    const key = baseIdx + ":" + active.map(t => t.id).join(",") + ":" + (this._live ? this._liveRev : "");
+    if(this._overlayCache.key === key) return this._overlayCache.state;
+
+    let state = base;
+    for(const t of active) state = deepMerge(state, t.patch);
+    if(this._live) state = deepMerge(state, this._live);
+
+    this._overlayCache = { key, state };
+    return state;
+  }
+
+  /* ---------------- lookups ---------------- */
+
+  // next event (base or transient) strictly after now, same day: { time, sec, endSec, event, transient } | null
+  getNextEvent(now){
+    const i = upperBound(this._index, this._secondsOf(now));
+    return this._index[i] || null;
+  }
+
+  // events starting in [a, b) (time of day; b before a wraps past midnight)
+  getEventsBetween(a, b){
+    const sa = this._secondsOf(a);
+    const sb = this._secondsOf(b);
+
+    const from = (sec) => upperBound(this._index, sec - 1);
+
+    if(sb >= sa) return this._index.slice(from(sa), from(sb));
+    return [...this._index.slice(from(sa)), ...this._index.slice(0, from(sb))];
   }
 
   getCurrentState(){
-    return this.computeStateAt(new Date());
+    return this.computeStateAt(clock.now());
+  }
+
+  static dateKeyOf(now){
+    const y = now.getFullYear();
+    const m = String(now.getMonth()+1).padStart(2,"0");
+    const d = String(now.getDate()).padStart(2,"0");
+    return `${y}-${m}-${d}`;
   }
 }
@@ -0,0 +1,140 @@
+// src/story/storyText.js
+// Compact plain-text story format (*.story), parsed into the same event model as the JSON files
+//
+//   @date 2026-03-21
+//   @timezone Asia/Bangkok
+//   # comment
+//   04:28 | DAWN | QUIET | preset:dawnBase | room:army | fx1:bird_perch
+//     th: เช้ามืดเงียบสงบ...
+//     en: Quiet dawn...
+//   19:00 | EVENING | RELAXED | light:on | room:army,fai | cloud:overcast
+//   19:00:30 | for:20 | fx4:knock_once
+//
+// - Header line: time | status | mood | key:value ... (status / mood are the first two bare segments, may be omitted)
+// - Keys: light, room, cloud, preset, fx1..fx5 (any roomFx layer), status, mood, for (durationSec), until, and the
+//   bare flag "replace"; cell rules (blank = keep, "-" = clear) are the CSV ones (authoring.js)
+// - Indented "lang: text" lines under an event are its dialogue, any number of languages
+// Every issue: { line, column, message, level } like the CSV importer (formatCsvIssue prints both)
+
+import { buildEvent, normalizeTime } from "./authoring.js";
+import { suggest } from "./storyValidator.js";
+import { DATE_RE } from "./chapters.js";
+
+const KEYS = ["status", "mood", "light", "room", "cloud", "preset", "for", "until"];
+const FIELD_OF_KEY = { status: "status", mood: "mood", light: "light", room: "inRoom", cloud: "cloud", preset: "preset" };
+
+const KEYED_RE = /^([a-z][\w]*):(.*)$/;
+const DIALOGUE_RE = /^\s+([a-z]{2,3}(?:-[A-Za-z]{2})?)\s*:\s?(.*)$/;
+const DIRECTIVE_RE = /^@(\w+)\s+(.*)$/;
+
+export function isStoryTextUrl(url){
+  return /\.story$/i.test(String(url).split(/[?#]/)[0]);
+}
+
+// refs as in authoring.buildEvent (omitted = not checked) -> { story, issues, eventLines }
+export function parseStoryText(text, refs = {}){
+  const issues = [];
+  const push = (line, column, message, level = "error") => issues.push({ line, column, message, level });
+
+  const story = { version: 1, events: [] };
+  const eventLines = [];
+  const fxLayers = new Set(refs.fxLayers || []);
+  const isFxKey = (k) => fxLayers.has(k) || /^fx\d+$/.test(k);
+
+  let current = null; // last event, receives dialogue lines
+
+  String(text).replace(/^\uFEFF/, "").split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const trimmed = raw.trim();
+    if(!trimmed || trimmed.startsWith("#")) return;
+
+    // dialogue under the current event
+    if(/^\s/.test(raw)){
+      const m = DIALOGUE_RE.exec(raw);
+      if(!m){
+        push(line, null, `expected an indented "lang: text" dialogue line`);
+        return;
+      }
+      if(!current){
+        push(line, m[1], "dialogue line before any event");
+        return;
+      }
+      const state = current.state;
+      state.dialogue = { ...(state.dialogue || {}), [m[1]]: m[2].trim() };
+      return;
+    }
+
+    // @date / @timezone / @version
+    const d = DIRECTIVE_RE.exec(trimmed);
+    if(d){
+      const [, name, value] = d;
+      if(name === "date"){
+        if(!DATE_RE.test(value.trim())) push(line, "@date", `expected YYYY-MM-DD, got ${JSON.stringify(value.trim())}`);
+        story.date = value.trim();
+      }else if(name === "timezone"){
+        story.timezone = value.trim();
+      }else if(name === "version"){
+        story.version = Number(value) || 1;
+      }else{
+        push(line, `@${name}`, `unknown directive${suggest(name, ["date", "timezone", "version"])}`);
+      }
+      return;
+    }
+
+    current = null;
+
+    const [timeText, ...segments] = trimmed.split("|").map(s => s.trim());
+    const fields = { time: timeText, fx: {} };
+    const extra = {};
+    const bare = [];
+
+    for(const seg of segments){
+      if(!seg) continue;
+      if(seg === "replace"){
+        extra.replace = true;
+        continue;
+      }
+
+      const m = KEYED_RE.exec(seg);
+      if(!m){
+        bare.push(seg);
+        continue;
+      }
+
+      const [, key, value] = m;
+      if(isFxKey(key)){
+        fields.fx[key] = value;
+      }else if(FIELD_OF_KEY[key]){
+        fields[FIELD_OF_KEY[key]] = value;
+      }else if(key === "for"){
+        const sec = Number(String(value).trim().replace(/s$/, ""));
+        if(sec > 0) extra.durationSec = sec;
+        else push(line, "for", `expected a positive number of seconds, got ${JSON.stringify(value.trim())}`);
+      }else if(key === "until"){
+        const t = normalizeTime(value);
+        if(t) extra.until = t;
+        else push(line, "until", `expected HH:MM or HH:MM:SS, got ${JSON.stringify(value.trim())}`);
+      }else{
+        push(line, key, `unknown key${suggest(key, [...KEYS, ...fxLayers])}`);
+      }
+    }
+
+    // bare segments: status, then mood
+    if(bare.length > 2) push(line, null, `too many plain segments (${bare.join(" | ")}); only status and mood may be unkeyed`);
+    if(bare[0] !== undefined && fields.status === undefined) fields.status = bare[0];
+    if(bare[1] !== undefined && fields.mood === undefined) fields.mood = bare[1];
+
+    const ev = buildEvent(fields, refs, (column, message, level) => push(line, column, message, level));
+    if(!ev) return;
+
+    // key order like the JSON files: time, preset, replace / durationSec / until, state
+    const { state, ...head } = ev;
+    current = { ...head, ...extra, state };
+    story.events.push(current);
+    eventLines.push(line);
+  });
+
+  if(!story.events.length) push(null, null, "no events");
+
+  return { story, issues, eventLines };
+}
@@ -0,0 +1,693 @@
+// src/story/storyValidator.js
+// Story file validation (no DOM / PIXI: runs in the browser at boot and in node via tools/validate_stories.mjs)
+// - Schema: unknown fields (with "did you mean" hints), wrong types, bad HH:MM times
+// - Cross-checks: roomFx clips + layers (roomfx_config), audio.musicTrack (audio_config.music),
+//   cloudProfile + weather.cloudProfile (cloud_config.profiles), weather kinds, preset names (story.presets + shared presets.json),
+//   {{name}} variables (built-ins + chapter vars), "if" choice ids (declared by some "choices" block)
+// - Interactions: tap target, "between" window, overlay state
+// - Manifest: chapters (dates, day template keys, overlaps)
+// - Asset checks (async, caller supplies exists(path)): inRoom character ids, portrait / icon frames, cards
+// Every issue: { file, eventIndex, field, message, level: "error" | "warn" }
+
+import { isValidTimeZone } from "../time/timeZone.js";
+import { WEEKDAYS, BUILTIN_VARS, DATE_RE, varNamesIn } from "./chapters.js";
+import { WEATHER_KINDS, WEATHER_AUTO, WEATHER_LIVE, ATMOSPHERE_LAYERS } from "../weather/weatherManager.js";
+
+const UNSET = "$unset";
+
+const STORY_KEYS = ["version", "date", "timezone", "presets", "events", "interactions"];
+const EVENT_KEYS = ["time", "state", "replace", "durationSec", "until", "preset", "if"];
+const INTERACTION_KEYS = ["id", "on", "between", "durationSec", "preset", "state", "if"];
+const CHOICE_KEYS = ["id", "options"];
+const OPTION_KEYS = ["id", "label", "state", "durationSec"];
+
+// tap targets the HUD reports (inRoom cards as "inRoom:<characterId>")
+const TAP_TARGETS = ["portrait", "calendar", "dialogue"];
+const TAP_RE = /^inRoom:[\w-]+$/;
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// state field -> checker(value) returning an error message or null
+const STATE_FIELDS = {
+  profileCardSrc: isText,
+  scheduleCardSrc: isText,
+  cloudProfile: isString,
+  emotion: isString,
+  portraitAnim: checkAnim,
+  statusIconAnim: checkAnim,
+  statusIcon: (v) => (v === null ? null : isString(v)),
+  status: isText,
+  mood: isText,
+  dialogue: checkDialogue,
+  inRoom: checkStringArray,
+  roomLight: (v) => (v === "on" || v === "off") ? null : `expected "on" or "off", got ${JSON.stringify(v)}`,
+  roomFx: (v) => (v === null || typeof v === "object") ? null : "expected an object of fx layers",
+  rain: isBoolean,
+  lightning: isBoolean,
+  weather: checkWeather,
+  atmosphere: checkAtmosphere,
+  lightningStrike: checkLightningStrike,
+  audio: (v) => (v && typeof v === "object" && !Array.isArray(v)) ? null : "expected an object",
+  choices: checkChoices
+};
+
+const AUDIO_FIELDS = ["musicTrack"];
+const WEATHER_FIELDS = ["kind", "intensity", "wind", "cloudProfile"];
+const STRIKE_FIELDS = ["distance", "pattern", "bolt"];
+
+function isString(v){
+  return typeof v === "string" ? null : `expected a string, got ${typeName(v)}`;
+}
+
+// plain string or { th, en, ... } (picked by the viewer's language, see i18n/localizer.js)
+function isText(v){
+  if(typeof v === "string") return null;
+  return checkDialogue(v) ? `expected a string or { th, en, ... }, got ${typeName(v)}` : null;
+}
+
+function isBoolean(v){
+  return typeof v === "boolean" ? null : `expected true/false, got ${typeName(v)}`;
+}
+
+function checkStringArray(v){
+  if(!Array.isArray(v)) return `expected an array, got ${typeName(v)}`;
+  const bad = v.findIndex(x => typeof x !== "string" || !x.trim());
+  return bad >= 0 ? `item ${bad} must be a non-empty string` : null;
+}
+
+function checkAnim(v){
+  if(!v || typeof v !== "object" || Array.isArray(v)) return "expected { frames, durationsMs, loop }";
+  if(v.frames !== undefined){
+    const err = checkStringArray(v.frames);
+    if(err) return `frames: ${err}`;
+  }
+  if(v.durationsMs !== undefined && !Array.isArray(v.durationsMs)) return "durationsMs: expected an array";
+  if(Array.isArray(v.frames) && Array.isArray(v.durationsMs) && v.frames.length !== v.durationsMs.length){
+    return `frames (${v.frames.length}) and durationsMs (${v.durationsMs.length}) differ in length`;
+  }
+  return null;
+}
+
+function checkChoices(v){
+  if(!v || typeof v !== "object" || Array.isArray(v)) return "expected { id, options: [{ id, label }] }";
+  if(typeof v.id !== "string" || !v.id) return "id: expected a non-empty string";
+  if(!Array.isArray(v.options) || v.options.length < 2) return "options: expected at least two reply options";
+
+  const ids = new Set();
+  for(const [i, o] of v.options.entries()){
+    if(!o || typeof o !== "object" || Array.isArray(o)) return `options[${i}]: expected { id, label, state? }`;
+    if(typeof o.id !== "string" || !o.id) return `options[${i}].id: expected a non-empty string`;
+    if(ids.has(o.id)) return `options[${i}].id: duplicate option "${o.id}"`;
+    ids.add(o.id);
+    if(typeof o.label !== "string" && checkDialogue(o.label)) return `options[${i}].label: expected a string or { th, en, ... }`;
+    if(o.durationSec !== undefined && !(Number(o.durationSec) > 0)) return `options[${i}].durationSec: expected a positive number of seconds`;
+  }
+  return null;
+}
+
+// "storm" / "auto" / "live" or { kind?, intensity?, wind?, cloudProfile? } (partial objects merge into the current weather)
+function checkWeather(v){
+  const kinds = [...WEATHER_KINDS, WEATHER_AUTO, WEATHER_LIVE];
+  const kindErr = (k) => kinds.includes(k) ? null
+    : `unknown weather "${k}"${suggest(String(k), kinds)} (expected ${kinds.join(", ")})`;
+
+  if(typeof v === "string") return kindErr(v);
+  if(!v || typeof v !== "object" || Array.isArray(v)) return `expected a weather kind or { kind, intensity, wind }, got ${typeName(v)}`;
+
+  for(const k of Object.keys(v)){
+    if(!WEATHER_FIELDS.includes(k)) return `${k}: ${unknownField(k, WEATHER_FIELDS)}`;
+  }
+  if(v.kind !== undefined && v.kind !== UNSET){
+    const err = kindErr(v.kind);
+    if(err) return `kind: ${err}`;
+  }
+  for(const [k, lo, hi] of [["intensity", 0, 1], ["wind", -1, 1]]){
+    if(v[k] === undefined || v[k] === UNSET) continue;
+    if(typeof v[k] !== "number" || !(v[k] >= lo && v[k] <= hi)) return `${k}: expected a number from ${lo} to ${hi}`;
+  }
+  if(v.cloudProfile !== undefined && v.cloudProfile !== UNSET && typeof v.cloudProfile !== "string"){
+    return "cloudProfile: expected a string";
+  }
+  return null;
+}
+
+// { snow?, fog?, haze? }: 0..1 or true / false
+function checkAtmosphere(v){
+  if(!v || typeof v !== "object" || Array.isArray(v)) return `expected { ${ATMOSPHERE_LAYERS.join(", ")} }, got ${typeName(v)}`;
+  for(const [k, amount] of Object.entries(v)){
+    if(!ATMOSPHERE_LAYERS.includes(k)) return `${k}: ${unknownField(k, ATMOSPHERE_LAYERS)}`;
+    if(amount === UNSET || typeof amount === "boolean") continue;
+    if(typeof amount !== "number" || !(amount >= 0 && amount <= 1)) return `${k}: expected a number from 0 to 1 or true / false`;
+  }
+  return null;
+}
+
+// true or { distance?: 0..1, pattern?: rain_config lightning pattern name, bolt?: true / false }
+function checkLightningStrike(v){
+  if(v === true) return null;
+  if(!v || typeof v !== "object" || Array.isArray(v)) return `expected true or { ${STRIKE_FIELDS.join(", ")} }, got ${typeName(v)}`;
+  for(const k of Object.keys(v)){
+    if(!STRIKE_FIELDS.includes(k)) return `${k}: ${unknownField(k, STRIKE_FIELDS)}`;
+  }
+  if(v.distance !== undefined && !(typeof v.distance === "number" && v.distance >= 0 && v.distance <= 1)){
+    return "distance: expected a number from 0 (overhead) to 1 (far)";
+  }
+  if(v.pattern !== undefined && typeof v.pattern !== "string") return "pattern: expected a string";
+  if(v.bolt !== undefined && typeof v.bolt !== "boolean") return `bolt: expected true/false, got ${typeName(v.bolt)}`;
+  return null;
+}
+
+function checkDialogue(v){
+  if(!v || typeof v !== "object" || Array.isArray(v)) return "expected { th, en, ... }";
+  const bad = Object.entries(v).find(([, t]) => typeof t !== "string" && t !== UNSET);
+  return bad ? `language "${bad[0]}" must be a string` : null;
+}
+
+function typeName(v){
+  if(v === null) return "null";
+  if(Array.isArray(v)) return "array";
+  return typeof v;
+}
+
+function editDistance(a, b){
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for(let j=1;j<=b.length;j++) dp[0][j] = j;
+  for(let i=1;i<=a.length;i++){
+    for(let j=1;j<=b.length;j++){
+      const cost = a[i-1].toLowerCase() === b[j-1].toLowerCase() ? 0 : 1;
+      dp[i][j] = Math.min(dp[i-1][j] + 1, dp[i][j-1] + 1, dp[i-1][j-1] + cost);
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+// closest known name as a " (did you mean ...)" hint, "" when nothing is close
+export function suggest(name, known){
+  let best = null;
+  let bestD = Infinity;
+  for(const k of known){
+    const d = editDistance(name, k);
+    if(d < bestD){ best = k; bestD = d; }
+  }
+  return (best && bestD <= Math.max(2, Math.floor(name.length / 4))) ? ` (did you mean "${best}"?)` : "";
+}
+
+function unknownField(name, known){
+  return `unknown field${suggest(name, known)}`;
+}
+
+/* ---------------- sync validation ---------------- */
+
+// refs: { file, clips, fxLayers, musicKeys, cloudProfiles, presetNames, varNames } (any ref may be omitted = not checked)
+// presetNames = shared preset names; the story's own presets are always known
+// varNames = {{name}} variables that may be used (see storyRefsFromConfigs)
+export function validateStory(story, refs = {}){
+  const file = refs.file ?? "story";
+  const issues = [];
+  const push = (eventIndex, field, message, level = "error") => {
+    issues.push({ file, eventIndex, field, message, level });
+  };
+
+  if(!story || typeof story !== "object" || Array.isArray(story)){
+    push(null, "", "story must be a JSON object");
+    return issues;
+  }
+
+  for(const k of Object.keys(story)){
+    if(!STORY_KEYS.includes(k)) push(null, k, unknownField(k, STORY_KEYS), "warn");
+  }
+
+  if(story.timezone !== undefined && !isValidTimeZone(story.timezone)){
+    push(null, "timezone", `unknown IANA time zone ${JSON.stringify(story.timezone)}`);
+  }
+
+  if(!Array.isArray(story.events)){
+    push(null, "events", "expected an array of events");
+    return issues;
+  }
+
+  const ctx = {
+    clips: refs.clips ? new Set(refs.clips) : null,
+    fxLayers: refs.fxLayers ? new Set(refs.fxLayers) : null,
+    musicKeys: refs.musicKeys ? new Set(refs.musicKeys) : null,
+    cloudProfiles: refs.cloudProfiles ? new Set(refs.cloudProfiles) : null,
+    varNames: refs.varNames ? new Set(refs.varNames) : null
+  };
+
+  const ownPresets = (story.presets && typeof story.presets === "object" && !Array.isArray(story.presets))
+    ? story.presets
+    : {};
+  if(story.presets !== undefined && ownPresets !== story.presets){
+    push(null, "presets", "expected an object of named state fragments");
+  }
+
+  // shared names unknown -> only the file's own presets can be checked against
+  const presetNames = refs.presetNames
+    ? new Set([...refs.presetNames, ...Object.keys(ownPresets)])
+    : null;
+
+  const checkPresetRef = (value, pushRef) => {
+    const names = [].concat(value);
+    if(!names.length || names.some(n => typeof n !== "string" || !n)){
+      pushRef("expected a preset name or an array of names");
+      return;
+    }
+    if(!presetNames) return;
+    for(const n of names){
+      if(!presetNames.has(n)) pushRef(`unknown preset "${n}"${suggest(n, presetNames)}`);
+    }
+  };
+
+  // choice ids any "choices" block in this file (or its presets) declares -> "if" references
+  const choiceIds = collectChoiceIds(story);
+  const checkCondition = (cond, pushRef) => {
+    if(!cond || typeof cond !== "object" || Array.isArray(cond)){
+      pushRef("expected { choiceId: optionId | [optionIds] | null }");
+      return;
+    }
+    for(const [id, want] of Object.entries(cond)){
+      const ok = want === null || typeof want === "string" ||
+        (Array.isArray(want) && want.every(w => w === null || typeof w === "string"));
+      if(!ok) pushRef(`"${id}": expected an option id, an array of them or null`);
+      else if(!choiceIds.has(id)) pushRef(`no "choices" block declares "${id}"${suggest(id, choiceIds)}`, "warn");
+    }
+  };
+
+  for(const [name, body] of Object.entries(ownPresets)){
+    const prefix = `presets.${name}`;
+    if(!body || typeof body !== "object" || Array.isArray(body)){
+      push(null, prefix, "expected a state object");
+      continue;
+    }
+    const { preset: inner, ...own } = body;
+    if(inner !== undefined) checkPresetRef(inner, (msg) => push(null, `${prefix}.preset`, msg));
+    validateState(own, prefix, (field, msg, level) => push(null, field, msg, level), ctx);
+  }
+
+  story.events.forEach((ev, i) => {
+    if(!ev || typeof ev !== "object" || Array.isArray(ev)){
+      push(i, "", "event must be an object");
+      return;
+    }
+
+    for(const k of Object.keys(ev)){
+      if(!EVENT_KEYS.includes(k)) push(i, k, unknownField(k, EVENT_KEYS));
+    }
+
+    if(!TIME_RE.test(String(ev.time ?? ""))){
+      push(i, "time", `expected "HH:MM" or "HH:MM:SS", got ${JSON.stringify(ev.time)}`);
+    }
+
+    if(ev.until !== undefined){
+      if(!TIME_RE.test(String(ev.until))){
+        push(i, "until", `expected "HH:MM" or "HH:MM:SS", got ${JSON.stringify(ev.until)}`);
+      }else if(TIME_RE.test(String(ev.time ?? "")) && String(ev.until) <= String(ev.time)){
+        push(i, "until", "must be later than time (transient events end at midnight at the latest)");
+      }
+      if(ev.durationSec !== undefined) push(i, "durationSec", "use either durationSec or until, not both");
+    }
+
+    if(ev.durationSec !== undefined && !(Number(ev.durationSec) > 0)){
+      push(i, "durationSec", "expected a positive number of seconds");
+    }
+
+    if(ev.preset !== undefined){
+      checkPresetRef(ev.preset, (msg) => push(i, "preset", msg));
+    }
+
+    if(ev.if !== undefined){
+      checkCondition(ev.if, (msg, level) => push(i, "if", msg, level));
+    }
+
+    const st = ev.state;
+    if(ev.preset !== undefined && st === undefined) return; // preset-only event
+    if(!st || typeof st !== "object" || Array.isArray(st)){
+      push(i, "state", "expected an object");
+      return;
+    }
+
+    validateState(st, "state", (field, msg, level) => push(i, field, msg, level), ctx);
+  });
+
+  if(story.interactions !== undefined){
+    if(!Array.isArray(story.interactions)){
+      push(null, "interactions", "expected an array of interactions");
+    }else{
+      story.interactions.forEach((it, n) => {
+        const at = `interactions[${n}]`;
+        const pushAt = (field, msg, level) => push(null, field ? `${at}.${field}` : at, msg, level);
+
+        if(!it || typeof it !== "object" || Array.isArray(it)){
+          pushAt("", "interaction must be an object");
+          return;
+        }
+        for(const k of Object.keys(it)){
+          if(!INTERACTION_KEYS.includes(k)) pushAt(k, unknownField(k, INTERACTION_KEYS));
+        }
+
+        if(typeof it.on !== "string" || !(TAP_TARGETS.includes(it.on) || TAP_RE.test(it.on))){
+          pushAt("on", `expected one of ${TAP_TARGETS.join(", ")} or "inRoom:<characterId>"${typeof it.on === "string" ? suggest(it.on, TAP_TARGETS) : ""}`);
+        }
+
+        if(it.between !== undefined){
+          const ok = Array.isArray(it.between) && it.between.length === 2 && it.between.every(t => TIME_RE.test(String(t)));
+          if(!ok) pushAt("between", `expected ["HH:MM", "HH:MM"], got ${JSON.stringify(it.between)}`);
+        }
+
+        if(it.durationSec !== undefined && !(Number(it.durationSec) > 0)){
+          pushAt("durationSec", "expected a positive number of seconds");
+        }
+        if(it.preset !== undefined) checkPresetRef(it.preset, (msg) => pushAt("preset", msg));
+        if(it.if !== undefined) checkCondition(it.if, (msg, level) => pushAt("if", msg, level));
+
+        if(it.state === undefined && it.preset !== undefined) return;
+        if(!it.state || typeof it.state !== "object" || Array.isArray(it.state)){
+          pushAt("state", "expected an object");
+          return;
+        }
+        validateState(it.state, `${at}.state`, (field, msg, level) => push(null, field, msg, level), ctx);
+      });
+    }
+  }
+
+  return issues;
+}
+
+// every choices.id in events, interactions, presets (and reply states)
+function collectChoiceIds(story){
+  const ids = new Set();
+  const visit = (st) => {
+    if(!st || typeof st !== "object") return;
+    const c = st.choices;
+    if(c && typeof c === "object" && typeof c.id === "string"){
+      ids.add(c.id);
+      (Array.isArray(c.options) ? c.options : []).forEach(o => visit(o?.state));
+    }
+  };
+
+  (Array.isArray(story.events) ? story.events : []).forEach(ev => visit(ev?.state));
+  (Array.isArray(story.interactions) ? story.interactions : []).forEach(it => visit(it?.state));
+  Object.values(story.presets && typeof story.presets === "object" ? story.presets : {}).forEach(visit);
+  return ids;
+}
+
+// one state object (event state or preset body); push(field, message, level)
+function validateState(st, prefix, push, ctx){
+  const { clips, fxLayers, musicKeys, cloudProfiles, varNames } = ctx;
+  for(const [k, v] of Object.entries(st)){
+    const field = `${prefix}.${k}`;
+    const check = STATE_FIELDS[k];
+
+    if(!check){
+      push(field, unknownField(k, Object.keys(STATE_FIELDS)));
+      continue;
+    }
+    if(v === UNSET) continue;
+
+    // choices: labels here, reply states through their own validateState below
+    if(varNames && k !== "choices") checkVars(v, field, push, varNames);
+
+    const err = check(v);
+    if(err){
+      push(field, err);
+      continue;
+    }
+
+    if(k === "cloudProfile" && cloudProfiles && !cloudProfiles.has(v)){
+      push(field, `unknown cloud profile "${v}"${suggest(v, cloudProfiles)}`);
+    }
+    if(k === "weather" && cloudProfiles && typeof v?.cloudProfile === "string" && !cloudProfiles.has(v.cloudProfile)){
+      push(`${field}.cloudProfile`, `unknown cloud profile "${v.cloudProfile}"${suggest(v.cloudProfile, cloudProfiles)}`);
+    }
+
+    if(k === "choices"){
+      v.options.forEach((o, oi) => {
+        const at = `${field}.options[${oi}]`;
+        for(const ok of Object.keys(o)){
+          if(!OPTION_KEYS.includes(ok)) push(`${at}.${ok}`, unknownField(ok, OPTION_KEYS));
+        }
+        if(varNames) checkVars(o.label, `${at}.label`, push, varNames);
+        if(o.state === undefined) return;
+        if(!o.state || typeof o.state !== "object" || Array.isArray(o.state)) push(`${at}.state`, "expected an object");
+        else validateState(o.state, `${at}.state`, push, ctx);
+      });
+      for(const ck of Object.keys(v)){
+        if(!CHOICE_KEYS.includes(ck)) push(`${field}.${ck}`, unknownField(ck, CHOICE_KEYS));
+      }
+    }
+
+    if(k === "roomFx" && v && typeof v === "object"){
+      validateRoomFx(v, (f, msg) => push(`${field}${f}`, msg), clips, fxLayers);
+    }
+
+    if(k === "audio"){
+      for(const [ak, av] of Object.entries(v)){
+        if(!AUDIO_FIELDS.includes(ak)){
+          push(`${field}.${ak}`, unknownField(ak, AUDIO_FIELDS));
+        }else if(av !== null && av !== UNSET && typeof av !== "string"){
+          push(`${field}.${ak}`, "expected a music key or null");
+        }else if(typeof av === "string" && musicKeys && !musicKeys.has(av)){
+          push(`${field}.${ak}`, `unknown music key "${av}"${suggest(av, musicKeys)}`);
+        }
+      }
+    }
+  }
+}
+
+// unknown {{name}} in any string below value (a typo would show up on screen as-is)
+function checkVars(value, field, push, varNames){
+  if(typeof value === "string"){
+    for(const name of varNamesIn(value)){
+      if(!varNames.has(name)) push(field, `unknown variable {{${name}}}${suggest(name, varNames)}`, "warn");
+    }
+  }else if(Array.isArray(value)){
+    value.forEach((v, i) => checkVars(v, `${field}[${i}]`, push, varNames));
+  }else if(value && typeof value === "object"){
+    for(const [k, v] of Object.entries(value)) checkVars(v, `${field}.${k}`, push, varNames);
+  }
+}
+
+function validateRoomFx(roomFx, push, clips, fxLayers){
+  const entries = Array.isArray(roomFx)
+    ? roomFx.map((v, idx) => [`[${idx}]`, v, null])
+    : Object.entries(roomFx).map(([layer, v]) => [`.${layer}`, v, layer]);
+
+  for(const [suffix, v, layer] of entries){
+    if(layer && fxLayers && !fxLayers.has(layer)){
+      push(suffix, `unknown fx layer${suggest(layer, fxLayers)}`);
+      continue;
+    }
+    if(v === null || v === UNSET) continue;
+
+    const clip = (typeof v === "string") ? v : (v && typeof v === "object" ? v.clip : undefined);
+    if(typeof clip !== "string" || !clip){
+      push(suffix, "expected null, a clip name or { clip, play }");
+      continue;
+    }
+    if(clips && !clips.has(clip)){
+      push(`${suffix}.clip`, `unknown roomFx clip "${clip}"${suggest(clip, clips)}`);
+    }
+  }
+}
+
+/* ---------------- manifest ---------------- */
+
+const CHAPTER_KEYS = ["id", "title", "start", "end", "basePath", "days", "vars"];
+const DAY_KEYS = ["weekday", "weekend", ...WEEKDAYS];
+
+// manifest.json checks; issues use eventIndex null and fields like "chapters[0].days.mon"
+export function validateManifest(manifest, { file = "manifest.json" } = {}){
+  const issues = [];
+  const push = (field, message, level = "error") => issues.push({ file, eventIndex: null, field, message, level });
+
+  if(!manifest || typeof manifest !== "object" || Array.isArray(manifest)){
+    push("", "manifest must be a JSON object");
+    return issues;
+  }
+
+  if(manifest.timezone !== undefined && !isValidTimeZone(manifest.timezone)){
+    push("timezone", `unknown IANA time zone ${JSON.stringify(manifest.timezone)}`);
+  }
+
+  if(manifest.chapters === undefined) return issues;
+  if(!Array.isArray(manifest.chapters)){
+    push("chapters", "expected an array of chapters");
+    return issues;
+  }
+
+  const ids = new Set();
+  const ranges = [];
+
+  manifest.chapters.forEach((ch, i) => {
+    const at = `chapters[${i}]`;
+    if(!ch || typeof ch !== "object" || Array.isArray(ch)){
+      push(at, "expected a chapter object");
+      return;
+    }
+
+    for(const k of Object.keys(ch)){
+      if(!CHAPTER_KEYS.includes(k)) push(`${at}.${k}`, unknownField(k, CHAPTER_KEYS), "warn");
+    }
+
+    if(typeof ch.id !== "string" || !ch.id) push(`${at}.id`, "expected a non-empty string");
+    else if(ids.has(ch.id)) push(`${at}.id`, `duplicate chapter id "${ch.id}"`);
+    else ids.add(ch.id);
+
+    const okStart = DATE_RE.test(String(ch.start ?? ""));
+    const okEnd = DATE_RE.test(String(ch.end ?? ""));
+    if(!okStart) push(`${at}.start`, `expected "YYYY-MM-DD", got ${JSON.stringify(ch.start)}`);
+    if(!okEnd) push(`${at}.end`, `expected "YYYY-MM-DD", got ${JSON.stringify(ch.end)}`);
+
+    if(okStart && okEnd){
+      if(ch.end < ch.start){
+        push(`${at}.end`, "must not be before start");
+      }else{
+        const other = ranges.find(r => ch.start <= r.end && r.start <= ch.end);
+        if(other) push(at, `overlaps chapter "${other.id}" (${other.start} .. ${other.end}); the first one wins`, "warn");
+        ranges.push({ id: ch.id, start: ch.start, end: ch.end });
+      }
+    }
+
+    if(!ch.days || typeof ch.days !== "object" || Array.isArray(ch.days)){
+      push(`${at}.days`, "expected { weekday, weekend, mon..sun, YYYY-MM-DD: file }");
+    }else{
+      for(const [k, f] of Object.entries(ch.days)){
+        const field = `${at}.days.${k}`;
+        if(DATE_RE.test(k)){
+          if(okStart && okEnd && (k < ch.start || k > ch.end)) push(field, "date is outside the chapter range", "warn");
+        }else if(!DAY_KEYS.includes(k)){
+          push(field, unknownField(k, DAY_KEYS));
+          continue;
+        }
+        if(typeof f !== "string" || !f) push(field, "expected a story file name");
+      }
+    }
+
+    if(ch.vars !== undefined){
+      if(!ch.vars || typeof ch.vars !== "object" || Array.isArray(ch.vars)){
+        push(`${at}.vars`, "expected an object");
+      }else{
+        for(const k of Object.keys(ch.vars)){
+          if(BUILTIN_VARS.includes(k)) push(`${at}.vars.${k}`, "shadows a built-in variable", "warn");
+        }
+      }
+    }
+  });
+
+  return issues;
+}
+
+// every story file a manifest's chapters point at: [{ chapter, key, path }] (path relative to manifest.basePath)
+export function listChapterFiles(manifest){
+  const out = [];
+  for(const ch of Array.isArray(manifest?.chapters) ? manifest.chapters : []){
+    for(const [key, f] of Object.entries(ch?.days || {})){
+      if(typeof f === "string" && f) out.push({ chapter: ch, key, path: (ch.basePath ?? "") + f });
+    }
+  }
+  return out;
+}
+
+/* ---------------- asset validation ---------------- */
+
+// every asset path a story references: [{ eventIndex, field, path }]
+export function listStoryAssets(story){
+  const out = [];
+  const events = Array.isArray(story?.events) ? story.events : [];
+
+  events.forEach((ev, i) => {
+    listStateAssets(ev?.state, "state", (field, path) => out.push({ eventIndex: i, field, path }));
+  });
+
+  const presets = (story?.presets && typeof story.presets === "object") ? story.presets : {};
+  for(const [name, body] of Object.entries(presets)){
+    listStateAssets(body, `presets.${name}`, (field, path) => out.push({ eventIndex: null, field, path }));
+  }
+
+  const interactions = Array.isArray(story?.interactions) ? story.interactions : [];
+  interactions.forEach((it, n) => {
+    listStateAssets(it?.state, `interactions[${n}].state`, (field, path) => out.push({ eventIndex: null, field, path }));
+  });
+
+  return out;
+}
+
+function listStateAssets(st, prefix, add){
+  if(!st || typeof st !== "object") return;
+
+  for(const k of ["profileCardSrc", "scheduleCardSrc"]){
+    if(typeof st[k] === "string") add(`${prefix}.${k}`, st[k]);
+    else if(st[k] && typeof st[k] === "object"){
+      for(const [lang, path] of Object.entries(st[k])){
+        if(typeof path === "string") add(`${prefix}.${k}.${lang}`, path);
+      }
+    }
+  }
+
+  if(Array.isArray(st.portraitAnim?.frames)){
+    st.portraitAnim.frames.forEach((f, fi) => add(`${prefix}.portraitAnim.frames[${fi}]`, `assets/portrait/${f}.png`));
+  }else if(typeof st.emotion === "string"){
+    add(`${prefix}.emotion`, `assets/portrait/${st.emotion}.png`);
+  }
+
+  if(Array.isArray(st.statusIconAnim?.frames)){
+    st.statusIconAnim.frames.forEach((f, fi) => add(`${prefix}.statusIconAnim.frames[${fi}]`, `assets/icons/${f}.png`));
+  }else if(typeof st.statusIcon === "string"){
+    add(`${prefix}.statusIcon`, `assets/icons/${st.statusIcon}.png`);
+  }
+
+  if(Array.isArray(st.inRoom)){
+    st.inRoom.forEach((id, ri) => {
+      add(`${prefix}.inRoom[${ri}]`, `assets/characters/${id}.png`);
+      add(`${prefix}.inRoom[${ri}]`, `assets/cards/characters/${id}.png`);
+    });
+  }
+
+  if(Array.isArray(st.choices?.options)){
+    st.choices.options.forEach((o, oi) => listStateAssets(o?.state, `${prefix}.choices.options[${oi}].state`, add));
+  }
+}
+
+// exists(path) -> boolean | Promise<boolean>; each missing path is reported once (first use)
+export async function validateStoryAssets(story, { file = "story", exists } = {}){
+  const issues = [];
+  if(typeof exists !== "function") return issues;
+
+  const seen = new Map();
+  for(const ref of listStoryAssets(story)){
+    if(!seen.has(ref.path)) seen.set(ref.path, Promise.resolve(exists(ref.path)).catch(() => false));
+  }
+
+  const reported = new Set();
+  for(const ref of listStoryAssets(story)){
+    if(reported.has(ref.path)) continue;
+    if(await seen.get(ref.path)) continue;
+
+    reported.add(ref.path);
+    issues.push({ file, eventIndex: ref.eventIndex, field: ref.field, message: `missing asset ${ref.path}`, level: "error" });
+  }
+  return issues;
+}
+
+// refs for validateStory() from the loaded data/*.json configs
+// manifest: {{name}} variables = built-ins + every chapter's vars (a story file may be reused across chapters)
+export function storyRefsFromConfigs({ roomFxCfg, audioCfg, cloudCfg, sharedPresets, manifest } = {}){
+  const chapterVars = (Array.isArray(manifest?.chapters) ? manifest.chapters : [])
+    .flatMap(ch => (ch?.vars && typeof ch.vars === "object") ? Object.keys(ch.vars) : []);
+
+  return {
+    presetNames: sharedPresets ? Object.keys(sharedPresets) : null,
+    varNames: manifest ? [...BUILTIN_VARS, ...chapterVars] : null,
+    clips: roomFxCfg?.clips ? Object.keys(roomFxCfg.clips) : null,
+    fxLayers: Array.isArray(roomFxCfg?.layers) ? roomFxCfg.layers.map(l => l?.name).filter(Boolean) : null,
+    musicKeys: audioCfg?.music ? Object.keys(audioCfg.music) : null,
+    cloudProfiles: cloudCfg?.profiles ? Object.keys(cloudCfg.profiles) : null
+  };
+}
+
+export function formatIssue(issue){
+  const where = (issue.eventIndex == null) ? "" : ` events[${issue.eventIndex}]`;
+  const field = issue.field ? (where ? `.${issue.field}` : ` ${issue.field}`) : "";
+  const level = issue.level === "warn" ? "WARN " : "ERROR";
+  return `${level} ${issue.file}${where}${field}: ${issue.message}`;
+}
@@ -0,0 +1,166 @@
+// src/time/clock.js
+// Single time source for every subsystem (story, sky, clouds, room, actors, audio, HUD).
+// - Live by default: real time, speed 1
+// - URL params: ?at=2026-02-14T19:00 (or ?at=19:00 = today), ?speed=60, ?paused=1
+// - Runtime API (exposed as window.lbtwClock by main):
+//     seek("19:00") / seek(date) / setSpeed(60) / pause() / resume() / reset()
+// - Every control change dispatches window "lbtw:clock" { type, nowMs } so managers can resync
+// Time zone (story.timezone, e.g. "Asia/Bangkok"):
+// - now() returns a WALL date: its local getters read the story zone's clock (see timeZone.js)
+// - realNow() is the true instant (viewer-side UI such as the "your time" hint)
+// - seek strings ("19:00", "2026-02-14T19:00") are wall times in the story zone
+
+import { isValidTimeZone, toWallDate, wallToInstant } from "./timeZone.js";
+
+// -> { ms } for instants, { wall } for wall-time strings, or null
+function parseTarget(v, ref){
+  if(v instanceof Date) return { ms: v.getTime() };
+  if(typeof v === "number" && Number.isFinite(v)) return { ms: v };
+
+  const s = String(v ?? "").trim();
+
+  // "HH:MM[:SS]" -> same day as ref (a wall date)
+  let m = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if(m){
+    return { wall: {
+      y: ref.getFullYear(), mo: ref.getMonth(), d: ref.getDate(),
+      h: Number(m[1]), mi: Number(m[2]), s: Number(m[3] ?? 0)
+    }};
+  }
+
+  // "YYYY-MM-DD[THH:MM[:SS]]" -> wall time (no UTC shift)
+  m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if(m){
+    return { wall: {
+      y: Number(m[1]), mo: Number(m[2]) - 1, d: Number(m[3]),
+      h: Number(m[4] ?? 0), mi: Number(m[5] ?? 0), s: Number(m[6] ?? 0)
+    }};
+  }
+
+  return null;
+}
+
+export class Clock {
+  constructor(){
+    this._speed = 1;
+    this._paused = false;
+    this._live = true;
+    this._timeZone = null; // null = viewer's own zone
+
+    // virtual = anchorVirtual + (real - anchorReal) * speed
+    this._anchorRealMs = Date.now();
+    this._anchorVirtualMs = this._anchorRealMs;
+  }
+
+  nowMs(){
+    if(this._live) return Date.now();
+    if(this._paused) return this._anchorVirtualMs;
+    return this._anchorVirtualMs + (Date.now() - this._anchorRealMs) * this._speed;
+  }
+
+  now(){
+    const ms = this.nowMs();
+    return this._timeZone ? toWallDate(ms, this._timeZone) : new Date(ms);
+  }
+
+  realNow(){
+    return new Date(this.nowMs());
+  }
+
+  getTimeZone(){ return this._timeZone; }
+
+  setTimeZone(timeZone){
+    const tz = timeZone ? String(timeZone) : null;
+    if(tz === this._timeZone) return true;
+
+    if(tz && !isValidTimeZone(tz)){
+      console.warn(`[clock] unknown time zone "${tz}", keeping ${this._timeZone || "viewer zone"}`);
+      return false;
+    }
+
+    this._timeZone = tz;
+    this._emit("timezone");
+    return true;
+  }
+
+  isLive(){ return this._live; }
+  isPaused(){ return this._paused; }
+  getSpeed(){ return this._speed; }
+
+  // virtual seconds per real second (0 while paused)
+  getRate(){
+    return this._paused ? 0 : this._speed;
+  }
+
+  seek(target){
+    const t = parseTarget(target, this.now());
+    if(!t) return false;
+
+    this._rebase(t.wall ? this._wallToMs(t.wall) : t.ms);
+    this._emit("seek");
+    return true;
+  }
+
+  setSpeed(speed){
+    const s = Number(speed);
+    if(!Number.isFinite(s) || s <= 0) return false;
+
+    this._rebase(this.nowMs());
+    this._speed = s;
+    this._emit("speed");
+    return true;
+  }
+
+  pause(){
+    if(this._paused) return;
+    this._rebase(this.nowMs());
+    this._paused = true;
+    this._emit("pause");
+  }
+
+  resume(){
+    if(!this._paused) return;
+    this._paused = false;
+    this._rebase(this._anchorVirtualMs);
+    this._emit("resume");
+  }
+
+  // back to real time
+  reset(){
+    this._live = true;
+    this._paused = false;
+    this._speed = 1;
+    this._emit("reset");
+  }
+
+  applyUrlParams(search = window.location.search){
+    const q = new URLSearchParams(search || "");
+
+    if(q.has("at")) this.seek(q.get("at"));
+    if(q.has("speed")) this.setSpeed(q.get("speed"));
+
+    const paused = q.get("paused");
+    if(paused === "1" || paused === "true") this.pause();
+  }
+
+  _wallToMs(w){
+    if(this._timeZone) return wallToInstant(w, this._timeZone);
+    return new Date(w.y, w.mo, w.d, w.h, w.mi, w.s, 0).getTime();
+  }
+
+  _rebase(virtualMs){
+    this._live = false;
+    this._anchorRealMs = Date.now();
+    this._anchorVirtualMs = virtualMs;
+  }
+
+  _emit(type){
+    try{
+      window.dispatchEvent(new CustomEvent("lbtw:clock", {
+        detail: { type, nowMs: this.nowMs() }
+      }));
+    }catch(_){}
+  }
+}
+
+export const clock = new Clock();
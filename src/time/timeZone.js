@@ -0,0 +1,82 @@
+// src/time/timeZone.js
+// IANA time zone helpers (Intl only, no tz database shipped).
+// "Wall date" = a Date whose LOCAL getters (getHours, getDate, ...) read the wall time of another zone,
+// so every manager can keep using now.getHours() etc. unchanged.
+// Note: a wall time that falls in the viewer's own DST gap shifts by the gap (rare, cosmetic).
+
+const _formatters = new Map();
+
+function formatterFor(timeZone){
+  let f = _formatters.get(timeZone);
+  if(!f){
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit"
+    });
+    _formatters.set(timeZone, f);
+  }
+  return f;
+}
+
+export function isValidTimeZone(timeZone){
+  if(!timeZone || typeof timeZone !== "string") return false;
+  try{
+    formatterFor(timeZone);
+    return true;
+  }catch(_){
+    return false;
+  }
+}
+
+// instant (ms) -> { y, mo, d, h, mi, s } in timeZone
+export function zonedFields(ms, timeZone){
+  const parts = {};
+  for(const p of formatterFor(timeZone).formatToParts(new Date(ms))){
+    parts[p.type] = p.value;
+  }
+  return {
+    y: Number(parts.year),
+    mo: Number(parts.month) - 1,
+    d: Number(parts.day),
+    h: Number(parts.hour) % 24,
+    mi: Number(parts.minute),
+    s: Number(parts.second)
+  };
+}
+
+// instant (ms) -> wall Date (viewer-local getters show timeZone's wall clock)
+export function toWallDate(ms, timeZone){
+  const f = zonedFields(ms, timeZone);
+  const msPart = ((ms % 1000) + 1000) % 1000;
+  return new Date(f.y, f.mo, f.d, f.h, f.mi, f.s, msPart);
+}
+
+// wall fields in timeZone -> instant (ms)
+export function wallToInstant({ y, mo, d, h = 0, mi = 0, s = 0, ms = 0 }, timeZone){
+  const wallAsUtc = Date.UTC(y, mo, d, h, mi, s, ms);
+
+  // two passes settle the offset across DST edges
+  let guess = wallAsUtc;
+  for(let i=0;i<2;i++){
+    const f = zonedFields(guess, timeZone);
+    const seenAsUtc = Date.UTC(f.y, f.mo, f.d, f.h, f.mi, f.s, ms);
+    guess += wallAsUtc - seenAsUtc;
+  }
+  return guess;
+}
+
+export function viewerTimeZone(){
+  try{
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  }catch(_){
+    return null;
+  }
+}
+
+// minutes east of UTC for timeZone at instant ms
+export function offsetMinutes(ms, timeZone){
+  const f = zonedFields(ms, timeZone);
+  return Math.round((Date.UTC(f.y, f.mo, f.d, f.h, f.mi, f.s) - (ms - (((ms % 1000) + 1000) % 1000))) / 60000);
+}
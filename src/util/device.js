@@ -0,0 +1,23 @@
+// src/util/device.js
+// Rough device tier for particle budgets (from what the browser reports; no benchmark)
+// "low" | "medium" | "high"; configs map tiers to multipliers, e.g. { "low": 0.35, "medium": 0.7, "high": 1 }
+
+export function deviceTier(){
+  const nav = typeof navigator !== "undefined" ? navigator : {};
+  const cores = nav.hardwareConcurrency || 4;
+  const memGb = nav.deviceMemory || 4;
+  const px = (window.screen?.width || 1280) * (window.screen?.height || 720) * Math.pow(window.devicePixelRatio || 1, 2);
+
+  if(cores <= 2 || memGb <= 2) return "low";
+  if(cores <= 4 || memGb <= 4 || px > 6e6) return "medium";
+  return "high";
+}
+
+export const DEFAULT_BUDGET = { low: 0.35, medium: 0.7, high: 1 };
+
+// config { low, medium, high } -> multiplier for this device (>= 0)
+export function deviceBudget(budget){
+  const tier = deviceTier();
+  const n = Number(budget?.[tier]);
+  return Math.max(0, Number.isFinite(n) ? n : DEFAULT_BUDGET[tier]);
+}
@@ -0,0 +1,38 @@
+// src/util/random.js
+// Seeded randomness: the same seed string gives the same numbers for every viewer
+// (cat sessions, generated weather). Not for anything security related.
+
+// 32-bit seed -> rand() in [0, 1)
+export function mulberry32(seed){
+  let t = seed >>> 0;
+  return function(){
+    t += 0x6D2B79F5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function hashStringToSeed(str){
+  // FNV-1a 32-bit
+  let h = 2166136261;
+  for(let i=0;i<str.length;i++){
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// { key: weight } -> one key (null when every weight is 0)
+export function pickWeighted(rand, weights){
+  const entries = Object.entries(weights || {}).filter(([, w]) => Number(w) > 0);
+  const total = entries.reduce((sum, [, w]) => sum + Number(w), 0);
+  if(!(total > 0)) return null;
+
+  let r = rand() * total;
+  for(const [key, w] of entries){
+    r -= Number(w);
+    if(r < 0) return key;
+  }
+  return entries[entries.length - 1][0];
+}
@@ -0,0 +1,253 @@
+// src/weather/weatherFeed.js
+// Real weather for the window (weather_config.json "feed"), polled from a pluggable provider
+// - Provider: anything with observe(now) -> Promise<observation | null>
+//   observation: { condition, cloudCover (0-100 %), precipitation (mm/h), isDay, windKph? }
+//   - FileWeatherProvider: a JSON file for offline use / fixtures, one observation or
+//     { observations: [{ time: "HH:MM", ... }] } (the latest entry at or before the story wall time)
+//   - HttpWeatherProvider: any JSON endpoint; fields maps observation keys to dot paths in the response
+//     (defaults read Open-Meteo "current": weather_code, cloud_cover, precipitation, is_day, wind_speed_10m)
+// - condition: WMO weather code (number) or a name ("rain", "partly-cloudy-night", ...; day / night suffixes ignored)
+// - isDay is read and kept on the observation only: the sky follows the story clock, not the feed
+// - observationToWeather(): -> { kind, intensity?, wind?, cloudProfile } for WeatherManager (same object until it changes)
+// - A reading older than maxAgeSec (network down) is dropped: the story / generator take over again
+// Readings are viewer-side: two viewers polling a minute apart can briefly differ.
+// Off in the shipped config. An HTTP feed is opt-in: every viewer's browser polls the third-party URL, and a
+// fresh reading wins over the seeded generator, so viewers stop sharing the same rain at the same time. E.g.
+//   { "enabled": true, "provider": "http", "url": "https://api.open-meteo.com/v1/forecast?latitude=13.7563
+//     &longitude=100.5018&current=weather_code,cloud_cover,precipitation,is_day,wind_speed_10m&wind_speed_unit=kmh" }
+
+import { clock } from "../time/clock.js";
+
+const DEFAULT_REFRESH_SEC = 600;
+const DEFAULT_MAX_AGE_SEC = 3600;
+
+export const OPEN_METEO_FIELDS = {
+  condition: "current.weather_code",
+  cloudCover: "current.cloud_cover",
+  precipitation: "current.precipitation",
+  isDay: "current.is_day",
+  windKph: "current.wind_speed_10m"
+};
+
+const PLAIN_FIELDS = {
+  condition: "condition",
+  cloudCover: "cloudCover",
+  precipitation: "precipitation",
+  isDay: "isDay",
+  windKph: "windKph"
+};
+
+// condition name -> [kind, cloudProfile]
+const CONDITIONS = {
+  clear: ["clear", "none"], sunny: ["clear", "none"], fair: ["clear", "none"], mainly_clear: ["clear", "none"],
+  partly_cloudy: ["cloudy", "few"], few_clouds: ["cloudy", "few"], scattered_clouds: ["cloudy", "few"],
+  cloudy: ["cloudy", "overcast"], mostly_cloudy: ["cloudy", "overcast"], overcast: ["cloudy", "overcast"],
+  broken_clouds: ["cloudy", "overcast"],
+  fog: ["fog", "few"], mist: ["fog", "few"], haze: ["fog", "few"], smoke: ["fog", "few"],
+  drizzle: ["drizzle", "overcast"], light_rain: ["drizzle", "overcast"],
+  rain: ["rain", "overcast"], showers: ["rain", "overcast"], heavy_rain: ["rain", "overcast"],
+  thunderstorm: ["storm", "overcast"], thunder: ["storm", "overcast"], storm: ["storm", "overcast"],
+  snow: ["snow", "overcast"], sleet: ["snow", "overcast"]
+};
+
+// WMO 4677 codes (Open-Meteo weather_code) -> condition name
+function wmoCondition(code){
+  if(code <= 1) return "clear";
+  if(code === 2) return "partly_cloudy";
+  if(code === 3) return "overcast";
+  if(code === 45 || code === 48) return "fog";
+  if(code >= 51 && code <= 57) return "drizzle";
+  if((code >= 61 && code <= 67) || (code >= 80 && code <= 82)) return code === 61 || code === 80 ? "light_rain" : "rain";
+  if((code >= 71 && code <= 77) || code === 85 || code === 86) return "snow";
+  if(code >= 95) return "thunderstorm";
+  return null;
+}
+
+function conditionName(condition){
+  if(typeof condition === "number") return wmoCondition(condition);
+  if(typeof condition !== "string" || !condition.trim()) return null;
+  if(/^\d+$/.test(condition.trim())) return wmoCondition(Number(condition));
+  return condition.trim().toLowerCase().replace(/[\s-]+/g, "_").replace(/_(day|night)$/, "");
+}
+
+function num(v){
+  const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+}
+
+function clamp01(v){
+  return Math.max(0, Math.min(1, v));
+}
+
+function round2(v){
+  return Math.round(v * 100) / 100;
+}
+
+// observation -> { kind, intensity?, wind?, cloudProfile } or null when nothing usable was reported
+export function observationToWeather(obs){
+  if(!obs || typeof obs !== "object") return null;
+
+  const named = CONDITIONS[conditionName(obs.condition)] || null;
+  const cover = num(obs.cloudCover);
+  const precip = num(obs.precipitation);
+  const windKph = num(obs.windKph);
+
+  let [kind, cloudProfile] = named || [null, null];
+
+  // precipitation beats a dry condition name (and stands in for a missing one)
+  if(precip !== null && precip > 0 && (!kind || kind === "clear" || kind === "cloudy" || kind === "fog")){
+    [kind, cloudProfile] = precip < 0.5 ? CONDITIONS.drizzle : CONDITIONS.rain;
+  }
+  if(!kind && cover !== null) kind = cover >= 20 ? "cloudy" : "clear";
+  if(!kind) return null;
+
+  // dry sky: cloud cover picks the clouds when reported
+  if((kind === "clear" || kind === "cloudy") && cover !== null){
+    cloudProfile = cover >= 70 ? "overcast" : (cover >= 20 ? "few" : "none");
+  }
+
+  const wet = kind === "drizzle" || kind === "rain" || kind === "storm";
+  return Object.freeze({
+    kind,
+    // ~8 mm/h and up is as heavy as the scene goes
+    intensity: wet && precip !== null ? round2(clamp01(0.2 + precip / 10)) : undefined,
+    wind: windKph !== null ? round2(clamp01(windKph / 50)) : undefined,
+    cloudProfile: cloudProfile || undefined
+  });
+}
+
+function readPath(json, path){
+  return String(path).split(".").reduce((v, k) => (v === null || v === undefined ? undefined : v[k]), json);
+}
+
+// response JSON + { key: "dot.path" } -> observation
+export function readObservation(json, fields = PLAIN_FIELDS){
+  const obs = {};
+  for(const [key, path] of Object.entries(fields)){
+    const v = readPath(json, path);
+    if(v !== undefined) obs[key] = v;
+  }
+  if(obs.isDay !== undefined) obs.isDay = obs.isDay === true || obs.isDay === 1 || obs.isDay === "1";
+  return obs;
+}
+
+async function fetchJson(url, headers){
+  const res = await fetch(url, { cache: "no-store", headers });
+  if(!res.ok) throw new Error(`Failed to load ${url} (${res.status})`);
+  return await res.json();
+}
+
+function minutesOf(hhmm){
+  const m = String(hhmm || "").match(/^(\d{1,2}):(\d{2})$/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+export class FileWeatherProvider {
+  constructor({ url, fields = PLAIN_FIELDS } = {}){
+    this.url = url;
+    this.fields = fields;
+    this._json = null;
+  }
+
+  // the file is read once; reload() after editing it
+  async observe(now){
+    if(!this._json) this._json = await fetchJson(this.url);
+
+    const list = Array.isArray(this._json.observations) ? this._json.observations : null;
+    if(!list) return readObservation(this._json, this.fields);
+
+    const min = now.getHours() * 60 + now.getMinutes();
+    let pick = null;
+    for(const o of list){
+      const t = minutesOf(o?.time);
+      if(t !== null && t <= min && (pick === null || t >= minutesOf(pick.time))) pick = o;
+    }
+    // before the first entry: the day's last one (night carries over)
+    pick ??= list.reduce((a, o) => (minutesOf(o?.time) ?? -1) > (minutesOf(a?.time) ?? -1) ? o : a, null);
+    return pick ? readObservation(pick, this.fields) : null;
+  }
+
+  reload(){
+    this._json = null;
+  }
+}
+
+export class HttpWeatherProvider {
+  constructor({ url, fields = OPEN_METEO_FIELDS, headers = undefined } = {}){
+    this.url = url;
+    this.fields = fields;
+    this.headers = headers;
+  }
+
+  async observe(){
+    return readObservation(await fetchJson(this.url, this.headers), this.fields);
+  }
+}
+
+export class WeatherFeed {
+  constructor({ provider, refreshSec = DEFAULT_REFRESH_SEC, maxAgeSec = DEFAULT_MAX_AGE_SEC, onStatus = null } = {}){
+    this.provider = provider;
+    this.refreshSec = Math.max(30, Number(refreshSec) || DEFAULT_REFRESH_SEC);
+    this.maxAgeSec = Math.max(this.refreshSec, Number(maxAgeSec) || DEFAULT_MAX_AGE_SEC);
+    this.onStatus = onStatus;  // (status: "ok" | "error", detail) => void
+
+    this.observation = null;   // last raw reading (debugging)
+    this._weather = null;
+    this._readAtMs = 0;        // real time of the last good reading
+    this._timer = null;
+    this._busy = false;
+  }
+
+  start(){
+    this.stop();
+    this.refresh();
+    this._timer = setInterval(() => this.refresh(), this.refreshSec * 1000);
+  }
+
+  stop(){
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  async refresh(){
+    if(this._busy) return;
+    this._busy = true;
+    try{
+      const obs = await this.provider.observe(clock.now());
+      const next = observationToWeather(obs);
+      if(!next) throw new Error("reading has no condition, cloud cover or precipitation");
+
+      this.observation = obs;
+      this._readAtMs = Date.now();
+      if(!sameReading(next, this._weather)) this._weather = next;
+      this.onStatus?.("ok", next);
+    }catch(err){
+      this.onStatus?.("error", err);
+    }finally{
+      this._busy = false;
+    }
+  }
+
+  // per tick (WeatherManager): the latest fresh reading or null
+  at(_now){
+    if(!this._weather || Date.now() - this._readAtMs > this.maxAgeSec * 1000) return null;
+    return this._weather;
+  }
+}
+
+function sameReading(a, b){
+  return !!a && !!b && a.kind === b.kind && a.intensity === b.intensity &&
+    a.wind === b.wind && a.cloudProfile === b.cloudProfile;
+}
+
+// weather_config.json "feed" -> WeatherFeed (not started) or null when off
+export function createWeatherFeed(cfg, { onStatus = null } = {}){
+  if(!cfg || typeof cfg !== "object" || cfg.enabled === false || !cfg.url) return null;
+
+  const fields = cfg.fields && typeof cfg.fields === "object" ? cfg.fields : undefined;
+  const provider = cfg.provider === "file"
+    ? new FileWeatherProvider({ url: cfg.url, fields })
+    : new HttpWeatherProvider({ url: cfg.url, fields, headers: cfg.headers });
+
+  return new WeatherFeed({ provider, refreshSec: cfg.refreshSec, maxAgeSec: cfg.maxAgeSec, onStatus });
+}
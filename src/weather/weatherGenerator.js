@@ -0,0 +1,123 @@
+// src/weather/weatherGenerator.js
+// Seeded daily weather for days (or hours) the story leaves open (data/weather_config.json)
+// - Seed = config.seed + story wall date, so every viewer gets the same rain at the same time
+// - Season = first config.seasons entry whose months (1-12) include the date; no "months" = any month
+// - Day: one base kind rolled from season.base { clear: 0.6, cloudy: 0.4 }, then each season.spells entry
+//   { between: ["13:00", "19:00"], chance, kinds: { rain: 0.5, storm: 0.3 }, durationMin: [45, 180],
+//     intensity?: [min, max], wind?: [min, max] } rolls once: start + length inside its window, same day only
+// - Spells that overlap an earlier spell of the day are dropped (config order = priority)
+// - at(now) returns the same { kind, intensity?, wind? } object for a whole spell (cheap to compare per tick)
+// Rolls happen in a fixed order, so editing one season never reshuffles the others.
+
+import { mulberry32, hashStringToSeed, pickWeighted } from "../util/random.js";
+
+const DAY_MIN = 24 * 60;
+
+function isPlainObject(v){
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function parseHHMM(s){
+  const m = String(s || "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if(!m) return null;
+  return Math.min(23, Number(m[1])) * 60 + Math.min(59, Number(m[2]));
+}
+
+// [min, max] (or a single number) -> value in range; undefined when not configured
+function rollRange(rand, range){
+  if(typeof range === "number") return range;
+  if(!Array.isArray(range) || range.length !== 2) return undefined;
+  const lo = Number(range[0]);
+  const hi = Number(range[1]);
+  if(!Number.isFinite(lo) || !Number.isFinite(hi)) return undefined;
+  return lo + (hi - lo) * rand();
+}
+
+function round2(v){
+  return v === undefined ? undefined : Math.round(v * 100) / 100;
+}
+
+function dateKeyOf(now){
+  const m = String(now.getMonth()+1).padStart(2, "0");
+  const d = String(now.getDate()).padStart(2, "0");
+  return `${now.getFullYear()}-${m}-${d}`;
+}
+
+export class WeatherGenerator {
+  constructor(config = {}){
+    this.load(config);
+  }
+
+  // (re)apply a config; the day is rebuilt on the next at()
+  load(config = {}){
+    this.config = isPlainObject(config) ? config : {};
+    this.enabled = this.config.enabled !== false;
+    this.seed = String(this.config.seed ?? "weather");
+    this.seasons = Array.isArray(this.config.seasons) ? this.config.seasons.filter(isPlainObject) : [];
+    this._day = null;
+  }
+
+  // wall Date (story time zone) -> { kind, intensity?, wind? } or null when disabled
+  at(now){
+    if(!this.enabled) return null;
+
+    const key = dateKeyOf(now);
+    if(this._day?.key !== key) this._day = this._buildDay(now, key);
+
+    const min = now.getHours() * 60 + now.getMinutes() + now.getSeconds() / 60;
+    for(const s of this._day.spells){
+      if(min >= s.startMin && min < s.endMin) return s.weather;
+    }
+    return this._day.base;
+  }
+
+  // the whole day, e.g. for a debug overlay: { key, season, base, spells: [{ startMin, endMin, weather }] }
+  dayOf(now){
+    this.at(now);
+    return this._day;
+  }
+
+  _seasonFor(month){
+    return this.seasons.find(s => !Array.isArray(s.months) || s.months.map(Number).includes(month)) || null;
+  }
+
+  _buildDay(now, key){
+    const rand = mulberry32(hashStringToSeed(`${this.seed}::${key}`));
+    const season = this._seasonFor(now.getMonth() + 1);
+
+    const base = Object.freeze({ kind: pickWeighted(rand, season?.base) || "clear" });
+    const spells = [];
+
+    for(const sp of Array.isArray(season?.spells) ? season.spells : []){
+      // always draw the same number of values per spell so later spells keep their rolls
+      const hit = rand();
+      const kind = pickWeighted(rand, sp.kinds);
+      const startRoll = rand();
+      const lenRoll = rand();
+      const intensity = rollRange(rand, sp.intensity);
+      const wind = rollRange(rand, sp.wind);
+
+      if(!kind || !(hit < Number(sp.chance ?? 1))) continue;
+
+      const from = parseHHMM(sp.between?.[0]) ?? 0;
+      const to = parseHHMM(sp.between?.[1]) ?? DAY_MIN;
+      if(to <= from) continue;
+
+      const [minLen, maxLen] = Array.isArray(sp.durationMin) ? sp.durationMin.map(Number) : [60, 120];
+      const len = Math.min(to - from, Math.max(1, minLen + (Math.max(minLen, maxLen) - minLen) * lenRoll));
+      const startMin = from + (to - from - len) * startRoll;
+      const endMin = startMin + len;
+
+      if(spells.some(s => startMin < s.endMin && endMin > s.startMin)) continue;
+
+      spells.push({
+        startMin,
+        endMin,
+        weather: Object.freeze({ kind, intensity: round2(intensity), wind: round2(wind) })
+      });
+    }
+
+    spells.sort((a, b) => a.startMin - b.startMin);
+    return { key, season: season?.name ?? null, base, spells };
+  }
+}
@@ -0,0 +1,162 @@
+// src/weather/weatherManager.js
+// Single weather state for the whole scene: clouds, rain, lightning, actors, random room fx and audio read it
+// instead of each inferring rain from the story on its own.
+// - Kinds: clear, cloudy, drizzle, rain, storm, fog, snow; each has a default cloud profile, rain and lightning (KINDS)
+// - Story field "weather": "storm" or { kind, intensity (0..1), wind (-1..1, + = to the right), cloudProfile }
+//   (deep-merged like any delta, so { "intensity": 0.4 } alone adjusts the current weather)
+// - No "weather" but legacy cloudProfile / rain set: derived from those, the old rule in one place:
+//   rain: true / cloudProfile "overcast" -> storm (rain + lightning), lightning: false -> rain,
+//   cloudProfile "few" -> cloudy, otherwise clear
+// - Nothing set: the real weather feed (weatherFeed.js) while it has a fresh reading, else the seeded generator
+// - "weather": "live" opts an event into the feed even over legacy fields (generator when the feed is down),
+//   "auto" opts out of it (generator only); both also work as { kind: "live", intensity, ... }
+// - With a kind (set, observed or generated), it owns the clouds; "rain" / "lightning" booleans still override
+// - atmosphere { snow, fog, haze } (0..1, AtmosphereManager): the fog / snow kinds bring their own layer at
+//   their intensity; story field "atmosphere": { "haze": 0.4 } (true = 1, false = 0) sets any of them per event
+// Weather state: { kind, intensity, wind, cloudProfile, rain, lightning, atmosphere }
+// (frozen; same object while unchanged)
+
+export const WEATHER_KINDS = ["clear", "cloudy", "drizzle", "rain", "storm", "fog", "snow"];
+export const ATMOSPHERE_LAYERS = ["snow", "fog", "haze"];
+export const WEATHER_AUTO = "auto";
+export const WEATHER_LIVE = "live";
+
+const KINDS = {
+  clear:   { cloudProfile: "none",     rain: false, lightning: false, intensity: 0,    wind: 0 },
+  cloudy:  { cloudProfile: "few",      rain: false, lightning: false, intensity: 0,    wind: 0 },
+  drizzle: { cloudProfile: "overcast", rain: true,  lightning: false, intensity: 0.3,  wind: 0 },
+  rain:    { cloudProfile: "overcast", rain: true,  lightning: false, intensity: 0.7,  wind: 0.1 },
+  storm:   { cloudProfile: "overcast", rain: true,  lightning: true,  intensity: 1,    wind: 0.4 },
+  fog:     { cloudProfile: "few",      rain: false, lightning: false, intensity: 0.6,  wind: 0,   atmosphere: "fog" },
+  snow:    { cloudProfile: "overcast", rain: false, lightning: false, intensity: 0.6,  wind: 0.1, atmosphere: "snow" }
+};
+
+function isPlainObject(v){
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function clamp(v, lo, hi, fallback){
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : fallback;
+}
+
+function storyField(st, key){
+  if(st?.[key] !== undefined) return st[key];
+  return st?.state?.[key];
+}
+
+// legacy story (cloudProfile / rain / lightning only) -> kind
+function legacyKind(st){
+  const profile = String(storyField(st, "cloudProfile") ?? "none").trim().toLowerCase();
+  const rain = storyField(st, "rain");
+  const lightning = storyField(st, "lightning");
+
+  const raining = rain === true || (rain !== false && profile === "overcast");
+  if(raining) return lightning === false ? "rain" : "storm";
+  return profile === "none" ? "clear" : "cloudy";
+}
+
+// kind's own layer at the weather intensity, story "atmosphere" per layer on top
+function resolveAtmosphere(st, kind, intensity){
+  const story = storyField(st, "atmosphere");
+  const out = {};
+  for(const layer of ATMOSPHERE_LAYERS){
+    const v = isPlainObject(story) ? story[layer] : undefined;
+    const own = KINDS[kind].atmosphere === layer ? Math.max(0.2, intensity) : 0;
+    out[layer] = v === true ? 1 : (v === false ? 0 : clamp(v, 0, 1, own));
+  }
+  return Object.freeze(out);
+}
+
+function hasLegacyFields(st){
+  return storyField(st, "cloudProfile") !== undefined || typeof storyField(st, "rain") === "boolean";
+}
+
+// story state + { live, generated } (weather at the same time from the feed / generator, each may be null)
+// -> weather state (pure; the WeatherManager caches it)
+export function resolveWeather(storyState, { live = null, generated = null } = {}){
+  const w = storyField(storyState, "weather");
+  const spec = typeof w === "string" ? { kind: w } : (isPlainObject(w) ? w : null);
+
+  const open = !spec?.kind && !hasLegacyFields(storyState);
+  const useLive = spec?.kind === WEATHER_LIVE || open;
+  const useGenerated = useLive || spec?.kind === WEATHER_AUTO;
+  const src = (useLive && KINDS[live?.kind] ? live : null) || (useGenerated && KINDS[generated?.kind] ? generated : null);
+
+  const explicit = spec && KINDS[spec.kind] ? spec.kind : (src ? src.kind : null);
+  const kind = explicit || legacyKind(storyState);
+  const base = KINDS[kind];
+
+  // kind set, observed or generated -> it owns the clouds; legacy -> the story's cloudProfile as before
+  const cloudProfile = explicit
+    ? String(spec?.cloudProfile ?? src?.cloudProfile ?? base.cloudProfile)
+    : String(storyField(storyState, "cloudProfile") ?? "none").trim() || "none";
+
+  const rain = storyField(storyState, "rain");
+  const lightning = storyField(storyState, "lightning");
+  const rainOn = typeof rain === "boolean" && explicit ? rain : base.rain;
+
+  const intensity = clamp(spec?.intensity, 0, 1, clamp(src?.intensity, 0, 1, base.intensity));
+
+  return Object.freeze({
+    kind,
+    intensity,
+    wind: clamp(spec?.wind, -1, 1, clamp(src?.wind, -1, 1, base.wind)),
+    cloudProfile,
+    rain: rainOn,
+    // lightning needs rain; legacy rain defaulted lightning to on, so only an explicit false turns it off
+    lightning: rainOn && (typeof lightning === "boolean" ? lightning : base.lightning),
+    atmosphere: resolveAtmosphere(storyState, kind, intensity)
+  });
+}
+
+export function sameWeather(a, b){
+  if(a === b) return true;
+  if(!a || !b) return false;
+  return a.kind === b.kind && a.intensity === b.intensity && a.wind === b.wind &&
+    a.cloudProfile === b.cloudProfile && a.rain === b.rain && a.lightning === b.lightning &&
+    ATMOSPHERE_LAYERS.every(k => a.atmosphere?.[k] === b.atmosphere?.[k]);
+}
+
+export class WeatherManager {
+  // feed: WeatherFeed, generator: WeatherGenerator (anything with at(now)) for the hours the story leaves open
+  constructor({ feed = null, generator = null } = {}){
+    this.feed = feed;
+    this.generator = generator;
+    this.current = resolveWeather({});
+    this._lastStory = undefined;
+    this._lastLive = undefined;
+    this._lastGenerated = undefined;
+    this._listeners = new Set();
+  }
+
+  // fn(weather, prev) whenever the weather changes; returns an unsubscribe function
+  on(fn){
+    this._listeners.add(fn);
+    return () => this._listeners.delete(fn);
+  }
+
+  // per tick; cheap while the story state object, the feed reading and the generated spell are unchanged
+  update(now, storyState){
+    const live = this.feed?.at(now) ?? null;
+    const generated = this.generator?.at(now) ?? null;
+    if(storyState === this._lastStory && live === this._lastLive && generated === this._lastGenerated){
+      return this.current;
+    }
+    this._lastStory = storyState;
+    this._lastLive = live;
+    this._lastGenerated = generated;
+    return this._set(resolveWeather(storyState, { live, generated }));
+  }
+
+  _set(next){
+    if(sameWeather(next, this.current)) return this.current;
+
+    const prev = this.current;
+    this.current = next;
+    for(const fn of [...this._listeners]){
+      try{ fn(next, prev); }catch(err){ console.warn("[weather] listener failed:", err); }
+    }
+    return next;
+  }
+}
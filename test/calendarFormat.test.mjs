@@ -0,0 +1,81 @@
+// test/calendarFormat.test.mjs
+// Holiday lookup (data/holidays.json rules) and the calendar box year / era
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { holidayOn, formatCalendar } from "../src/hud/calendarFormat.js";
+
+const day = (y, m, d) => new Date(y, m - 1, d, 12, 0);
+const idOn = (holidays, date) => holidayOn(holidays, date)?.id ?? null;
+
+test("MM-DD repeats every year, YYYY-MM-DD only on that day", () => {
+  const holidays = [
+    { id: "new_year", date: "01-01" },
+    { id: "opening", date: "2026-02-14" }
+  ];
+  assert.equal(idOn(holidays, day(2026, 1, 1)), "new_year");
+  assert.equal(idOn(holidays, day(2031, 1, 1)), "new_year");
+  assert.equal(idOn(holidays, day(2026, 2, 14)), "opening");
+  assert.equal(idOn(holidays, day(2027, 2, 14)), null);
+});
+
+test("until makes an inclusive range, wrapping the new year for MM-DD", () => {
+  const holidays = [
+    { id: "songkran", date: "04-13", until: "04-15" },
+    { id: "break", date: "12-30", until: "01-02" },
+    { id: "trip", date: "2026-07-30", until: "2026-08-02" }
+  ];
+  assert.equal(idOn(holidays, day(2026, 4, 12)), null);
+  assert.equal(idOn(holidays, day(2026, 4, 13)), "songkran");
+  assert.equal(idOn(holidays, day(2026, 4, 15)), "songkran");
+  assert.equal(idOn(holidays, day(2026, 4, 16)), null);
+
+  assert.equal(idOn(holidays, day(2026, 12, 31)), "break");
+  assert.equal(idOn(holidays, day(2027, 1, 2)), "break");
+  assert.equal(idOn(holidays, day(2027, 1, 3)), null);
+
+  assert.equal(idOn(holidays, day(2026, 8, 1)), "trip");
+  assert.equal(idOn(holidays, day(2027, 8, 1)), null);
+});
+
+test("a list of dates (lunar holidays) and the first match wins", () => {
+  const holidays = [
+    { id: "loy_krathong", date: ["2025-11-05", "2026-11-24"] },
+    { id: "other", date: "11-24" }
+  ];
+  assert.equal(idOn(holidays, day(2025, 11, 5)), "loy_krathong");
+  assert.equal(idOn(holidays, day(2026, 11, 24)), "loy_krathong");
+  assert.equal(idOn(holidays, day(2027, 11, 24)), "other");
+});
+
+test("missing or malformed input", () => {
+  assert.equal(holidayOn(null, day(2026, 1, 1)), null);
+  assert.equal(holidayOn([], day(2026, 1, 1)), null);
+  assert.equal(idOn([null, { id: "bad", date: "1/1" }, { id: "none" }], day(2026, 1, 1)), null);
+});
+
+test("shipped data/holidays.json", () => {
+  const { holidays } = JSON.parse(readFileSync(new URL("../data/holidays.json", import.meta.url), "utf8"));
+  assert.equal(idOn(holidays, day(2026, 4, 14)), "songkran");
+  assert.equal(idOn(holidays, day(2026, 11, 24)), "loy_krathong");
+  assert.equal(idOn(holidays, day(2026, 2, 14)), null);
+});
+
+test("formatCalendar: Buddhist Era year for Thai, CE otherwise", () => {
+  const i18n = {
+    lang: "th",
+    monthName: (m, style, lang) => `${lang}:${style}:${m}`,
+    weekdayName: (d, style, lang) => `${lang}:${style}:${d}`,
+    t: (key) => key
+  };
+  const now = day(2026, 2, 14);
+
+  assert.deepEqual(formatCalendar(now, {}, i18n), { lang: "th", month: "th:short:1", day: "14", year: "", weekday: "" });
+  assert.equal(formatCalendar(now, { year: "numeric" }, i18n).year, "2569");
+  assert.equal(formatCalendar(now, { year: "2-digit", eraLabel: true }, i18n).year, "eraBE 69");
+  assert.equal(formatCalendar(now, { year: "numeric", locale: "en" }, i18n).year, "2026");
+  assert.equal(formatCalendar(now, { year: "numeric", locale: "en", era: "be" }, i18n).year, "2569");
+  assert.equal(formatCalendar(now, { month: "numeric", weekday: "long" }, i18n).weekday, "th:long:6");
+});
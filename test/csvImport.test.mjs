@@ -0,0 +1,95 @@
+// test/csvImport.test.mjs
+// CSV reader and spreadsheet -> story importer (tools/import_story_csv.mjs, dev/csv_import.html)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseCsv, importStoryCsv, issuesToCsvLines, formatCsvIssue } from "../src/story/csvImport.js";
+
+test("parseCsv: quotes, escaped quotes, commas and newlines inside quotes", () => {
+  assert.deepEqual(parseCsv('a,"b,""c"""\n"x\ny",z\n'), [
+    { line: 1, cells: ["a", 'b,"c"'] },
+    { line: 2, cells: ["x\ny", "z"] }
+  ]);
+});
+
+test("parseCsv: CRLF, lone CR, BOM, empty cells and no final newline", () => {
+  assert.deepEqual(parseCsv("﻿time,,en\r\n08:00,,hi\r09:00,x,"), [
+    { line: 1, cells: ["time", "", "en"] },
+    { line: 2, cells: ["08:00", "", "hi"] },
+    { line: 3, cells: ["09:00", "x", ""] }
+  ]);
+});
+
+test("parseCsv: a row after a quoted newline keeps its own line number", () => {
+  const rows = parseCsv('time,en\n08:00,"two\nlines"\n09:00,next\n');
+  assert.deepEqual(rows.map(r => r.line), [1, 2, 4]);
+});
+
+test("importStoryCsv: loose headers map to the story fields", () => {
+  const csv = [
+    "Time,Status,Mood,Who's in the room,Room light,Cloud profile,FX2,Dialogue TH,EN",
+    "19:00,EVENING,RELAXED,\"army, fai\",on,overcast,-,ทุกคนมาแล้ว,Everyone's here.",
+    "# a note",
+    ",,,,,,,,",
+    "22:41,NIGHT,,army,,,neon_blink,,"
+  ].join("\n");
+
+  const { story, issues, eventLines } = importStoryCsv(csv, {}, { date: "2026-03-21", timezone: "Asia/Bangkok" });
+
+  assert.deepEqual(issues, []);
+  assert.equal(story.date, "2026-03-21");
+  assert.equal(story.timezone, "Asia/Bangkok");
+  assert.deepEqual(eventLines, [2, 5]);
+  assert.deepEqual(story.events[0], {
+    time: "19:00",
+    state: {
+      status: "STATUS : EVENING",
+      mood: "MOOD : RELAXED",
+      inRoom: ["army", "fai"],
+      roomLight: "on",
+      cloudProfile: "overcast",
+      roomFx: { fx2: null },
+      dialogue: { th: "ทุกคนมาแล้ว", en: "Everyone's here." }
+    }
+  });
+  assert.deepEqual(story.events[1].state.roomFx, { fx2: { clip: "neon_blink", play: true } });
+});
+
+test("importStoryCsv: default preset fills the first row only", () => {
+  const { story } = importStoryCsv("time,status\n04:28,DAWN\n08:00,MORNING\n", {}, { preset: "dawnBase" });
+  assert.equal(story.events[0].preset, "dawnBase");
+  assert.equal(story.events[1].preset, undefined);
+});
+
+test("importStoryCsv: header and row issues point at CSV lines", () => {
+  const csv = [
+    "time,status,colour",
+    "19:00,EVENING,red",
+    "18:00,AFTERNOON,blue,extra"
+  ].join("\n");
+
+  const { issues } = importStoryCsv(csv);
+  assert.deepEqual(issues.map(i => [i.line, i.column, i.level]), [
+    [1, "colour", "warn"],
+    [3, null, "warn"],
+    [3, "time", "warn"]
+  ]);
+});
+
+test("importStoryCsv: no time column, empty input, bad date", () => {
+  assert.match(importStoryCsv("status,mood\nA,B\n").issues[0].message, /no "time" column/);
+  assert.deepEqual(importStoryCsv("\n,,\n").issues.map(i => i.message), ["empty CSV"]);
+  assert.match(importStoryCsv("time\n08:00\n", {}, { date: "21/03/2026" }).issues[0].message, /date must be YYYY-MM-DD/);
+});
+
+test("issuesToCsvLines / formatCsvIssue", () => {
+  const mapped = issuesToCsvLines(
+    [{ eventIndex: 1, field: "inRoom", message: "unknown character", level: "warn" }, { eventIndex: null, message: "no events", level: "error" }],
+    [2, 5]
+  );
+  assert.deepEqual(mapped.map(i => formatCsvIssue(i, "day.csv")), [
+    "WARN  day.csv:5 (inRoom): unknown character",
+    "ERROR day.csv: no events"
+  ]);
+});
@@ -0,0 +1,89 @@
+// test/rainManager.test.mjs
+// Lightning config, pattern selection and the safe mode caps (pure helpers; RainManager itself needs PIXI)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { normalizeLightning, pickPattern, safeGlowPeak, safeGlowAlpha } from "../src/scene/rainManager.js";
+
+test("defaults: both built-in patterns, near..far distance, bolts on", () => {
+  const L = normalizeLightning({});
+  assert.deepEqual(Object.keys(L.patterns), ["double", "triple"]);
+  assert.deepEqual(L.distance, [0.1, 1]);
+  assert.equal(L.farFlashScale, 0.35);
+  assert.equal(L.bolts.enabled, true);
+  assert.equal(L.bolts.maxDistance, 0.5);
+  assert.deepEqual(L.bolts.widthPx, [3, 1.5]);
+});
+
+test("config patterns replace the built-in ones, steps are clamped", () => {
+  const L = normalizeLightning({
+    patterns: {
+      single: [{ a: 2, d: 0 }, { a: -1 }],
+      empty: [],
+      broken: "flash"
+    }
+  });
+  assert.deepEqual(L.patterns, { single: [{ a: 1, d: 0.005 }, { a: 0, d: 0.05 }] });
+});
+
+test("no usable pattern falls back to the built-in ones", () => {
+  assert.deepEqual(Object.keys(normalizeLightning({ patterns: { empty: [] } }).patterns), ["double", "triple"]);
+  assert.deepEqual(Object.keys(normalizeLightning({ patterns: [[{ a: 1, d: 1 }]] }).patterns), ["double", "triple"]);
+});
+
+test("distance range is ordered and clamped, one number pins it", () => {
+  assert.deepEqual(normalizeLightning({ distance: [0.9, -3] }).distance, [0, 0.9]);
+  assert.deepEqual(normalizeLightning({ distance: 0.4 }).distance, [0.4, 0.4]);
+  assert.equal(normalizeLightning({ farFlashScale: 5 }).farFlashScale, 1);
+  assert.equal(normalizeLightning({ bolts: { enabled: false } }).bolts.enabled, false);
+});
+
+test("pickPattern keeps a known name and rolls any other", () => {
+  const { patterns } = normalizeLightning({});
+  assert.equal(pickPattern(patterns, "triple", () => 0), "triple");
+  assert.equal(pickPattern(patterns, undefined, () => 0), "double");
+  assert.equal(pickPattern(patterns, "nope", () => 0.99), "triple");
+  // inherited keys are not patterns
+  assert.equal(pickPattern(patterns, "constructor", () => 0), "double");
+});
+
+test("random picks cover every pattern", () => {
+  const { patterns } = normalizeLightning({ patterns: { a: [{ a: 1, d: 1 }], b: [{ a: 1, d: 1 }], c: [{ a: 1, d: 1 }] } });
+  const seen = new Set([0, 0.34, 0.67, 0.999].map(r => pickPattern(patterns, undefined, () => r)));
+  assert.deepEqual([...seen], ["a", "b", "c"]);
+});
+
+test("safe limits: defaults and clamping", () => {
+  assert.deepEqual(normalizeLightning({}).safe, { maxAlpha: 0.2, glowSec: 1.6, minIntervalSec: 30, color: "#cfd8ff" });
+  assert.deepEqual(normalizeLightning({ safe: { maxAlpha: 3, glowSec: 0.1, minIntervalSec: -5 } }).safe,
+    { maxAlpha: 1, glowSec: 0.5, minIntervalSec: 0, color: "#cfd8ff" });
+});
+
+test("safe mode: at most one glow per minIntervalSec", () => {
+  const { safe } = normalizeLightning({ safe: { maxAlpha: 0.2, minIntervalSec: 30 } });
+  assert.equal(safeGlowPeak(safe, Infinity), 0.2);
+  assert.equal(safeGlowPeak(safe, 30), 0.2);
+  assert.equal(safeGlowPeak(safe, 29.9), null);
+  assert.equal(safeGlowPeak(safe, 0), null);
+});
+
+test("safe mode: a glow never goes above maxAlpha and dims with distance", () => {
+  const { safe } = normalizeLightning({ safe: { maxAlpha: 0.25 } });
+  assert.equal(safeGlowPeak(safe, 60, 1), 0.25);
+  assert.equal(safeGlowPeak(safe, 60, 4), 0.25);
+  assert.equal(safeGlowPeak(safe, 60, 0.4), 0.1);
+});
+
+test("safe mode: one smooth rise and fall over glowSec", () => {
+  const { safe } = normalizeLightning({ safe: { glowSec: 2 } });
+  const peak = 0.2;
+  const alphas = [0, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75].map(t => safeGlowAlpha(safe, peak, t));
+
+  assert.equal(alphas[0], 0);
+  assert.ok(Math.abs(alphas[4] - peak) < 1e-9);
+  assert.ok(alphas.every(a => a >= 0 && a <= peak + 1e-9));
+  for(let i = 1; i <= 4; i++) assert.ok(alphas[i] > alphas[i - 1]);
+  for(let i = 5; i < alphas.length; i++) assert.ok(alphas[i] < alphas[i - 1]);
+  assert.equal(safeGlowAlpha(safe, peak, 2), null);
+});
@@ -0,0 +1,199 @@
+// test/storyEngine.test.mjs
+// Story timeline resolution (no DOM / PIXI needed)
+// Run: node --test from the repo root (Node 20.19+ or 22.7+, see tools/validate_stories.mjs)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { StoryEngine } from "../src/story/storyEngine.js";
+
+const at = (hh, mm, ss = 0) => new Date(2026, 1, 14, hh, mm, ss);
+
+// fixed-file engine (storyUrl) over a stubbed fetch
+async function engineWith(events, extra = {}){
+  globalThis.fetch = async () => ({ ok: true, json: async () => ({ version: 1, events, ...extra }) });
+  const engine = new StoryEngine({ storyUrl: "./data/story/test.json" });
+  await engine.init(at(0, 0));
+  return engine;
+}
+
+test("events are deltas over the state built so far", async () => {
+  const engine = await engineWith([
+    { time: "08:00", state: { status: "MORNING", inRoom: ["army", "fai"], roomFx: { fx1: "ac_fan", fx2: "neon_blink" } } },
+    { time: "12:00", state: { status: "NOON", inRoom: ["army"], roomFx: { fx2: null } } },
+    { time: "18:00", state: { roomFx: { fx1: "$unset" } } }
+  ]);
+
+  assert.deepEqual(engine.computeStateAt(at(12, 30)), {
+    status: "NOON",
+    inRoom: ["army"],
+    roomFx: { fx1: "ac_fan", fx2: null }
+  });
+  assert.deepEqual(engine.computeStateAt(at(18, 0)).roomFx, { fx2: null });
+});
+
+test("before the first event the first event's state applies", async () => {
+  const engine = await engineWith([{ time: "08:00", state: { status: "MORNING" } }]);
+  assert.equal(engine.computeStateAt(at(3, 0)).status, "MORNING");
+});
+
+test("replace: true starts again from an empty state", async () => {
+  const engine = await engineWith([
+    { time: "08:00", state: { status: "MORNING", roomLight: "on" } },
+    { time: "22:00", replace: true, state: { status: "NIGHT" } }
+  ]);
+  assert.deepEqual(engine.computeStateAt(at(23, 0)), { status: "NIGHT" });
+});
+
+test("events sort by time, seconds included", async () => {
+  const engine = await engineWith([
+    { time: "10:00:30", state: { status: "B" } },
+    { time: "10:00", state: { status: "A" } }
+  ]);
+  assert.equal(engine.computeStateAt(at(10, 0, 29)).status, "A");
+  assert.equal(engine.computeStateAt(at(10, 0, 30)).status, "B");
+});
+
+test("a transient overlays the base only while active", async () => {
+  const engine = await engineWith([
+    { time: "19:00", state: { status: "EVENING", roomFx: { fx2: null } } },
+    { time: "19:00:30", durationSec: 20, state: { roomFx: { fx4: { clip: "knock_once", play: true } } } }
+  ]);
+
+  assert.deepEqual(engine.computeStateAt(at(19, 0, 10)).roomFx, { fx2: null });
+  assert.deepEqual(engine.computeStateAt(at(19, 0, 40)), {
+    status: "EVENING",
+    roomFx: { fx2: null, fx4: { clip: "knock_once", play: true } }
+  });
+  // end is exclusive, then the base state comes back
+  assert.deepEqual(engine.computeStateAt(at(19, 0, 50)).roomFx, { fx2: null });
+});
+
+test("a transient does not end a later base event or carry into it", async () => {
+  const engine = await engineWith([
+    { time: "19:00", state: { status: "EVENING" } },
+    { time: "19:10", until: "19:30", state: { dialogue: { en: "knock knock" } } },
+    { time: "19:20", state: { status: "DINNER" } }
+  ]);
+
+  assert.deepEqual(engine.computeStateAt(at(19, 25)), { status: "DINNER", dialogue: { en: "knock knock" } });
+  assert.deepEqual(engine.computeStateAt(at(19, 30)), { status: "DINNER" });
+});
+
+test("overlapping transients stack in start order", async () => {
+  const engine = await engineWith([
+    { time: "19:00", state: { mood: "CALM" } },
+    { time: "19:01", durationSec: 120, state: { mood: "SURPRISED", roomLight: "on" } },
+    { time: "19:02", durationSec: 30, state: { mood: "LAUGHING" } }
+  ]);
+
+  assert.deepEqual(engine.computeStateAt(at(19, 2, 10)), { mood: "LAUGHING", roomLight: "on" });
+  assert.deepEqual(engine.computeStateAt(at(19, 2, 40)), { mood: "SURPRISED", roomLight: "on" });
+});
+
+test("zero-length or backwards transients are never active", async () => {
+  const engine = await engineWith([
+    { time: "19:00", state: { mood: "CALM" } },
+    { time: "19:05", durationSec: 0, state: { mood: "A" } },
+    { time: "19:10", until: "19:00", state: { mood: "B" } }
+  ]);
+
+  assert.equal(engine.computeStateAt(at(19, 5)).mood, "CALM");
+  assert.equal(engine.computeStateAt(at(19, 10)).mood, "CALM");
+});
+
+test("the same moment resolves to the same object", async () => {
+  const engine = await engineWith([
+    { time: "19:00", state: { mood: "CALM" } },
+    { time: "19:01", durationSec: 60, state: { mood: "SURPRISED" } }
+  ]);
+
+  assert.equal(engine.computeStateAt(at(19, 0, 10)), engine.computeStateAt(at(19, 0, 50)));
+  assert.equal(engine.computeStateAt(at(19, 1, 10)), engine.computeStateAt(at(19, 1, 50)));
+});
+
+test("getNextEvent sees base and transient events", async () => {
+  const engine = await engineWith([
+    { time: "19:00", state: { mood: "CALM" } },
+    { time: "19:00:30", durationSec: 20, state: { mood: "SURPRISED" } },
+    { time: "21:00", state: { mood: "SLEEPY" } }
+  ]);
+
+  const next = engine.getNextEvent(at(19, 0, 0));
+  assert.equal(next.time, "19:00:30");
+  assert.equal(next.transient, true);
+  assert.equal(next.endSec, 19 * 3600 + 50);
+
+  assert.equal(engine.getNextEvent(at(19, 0, 30)).time, "21:00");
+  assert.equal(engine.getNextEvent(at(21, 0)), null);
+});
+
+test("update() emits an event for an entered transient", async () => {
+  const engine = await engineWith([
+    { time: "19:00", state: { mood: "CALM" } },
+    { time: "19:00:30", durationSec: 20, state: { mood: "SURPRISED" } }
+  ]);
+
+  const seen = [];
+  engine.on("event", (e) => seen.push([e.time, e.transient]));
+  engine.update(at(19, 0, 10));
+  engine.update(at(19, 0, 31));
+  engine.update(at(19, 0, 40));
+
+  assert.deepEqual(seen, [["19:00", false], ["19:00:30", true]]);
+});
+
+test("presets resolve under the event's own state", async () => {
+  const engine = await engineWith(
+    [{ time: "06:00", preset: ["dawnBase", "studying"], state: { mood: "SLEEPY" } }],
+    { presets: { dawnBase: { roomLight: "off", mood: "CALM" }, studying: { preset: "dawnBase", status: "STUDYING" } } }
+  );
+
+  assert.deepEqual(engine.computeStateAt(at(6, 30)), { roomLight: "off", mood: "SLEEPY", status: "STUDYING" });
+});
+
+test("lightningStrike belongs to its own event", async () => {
+  const engine = await engineWith([
+    { time: "20:00", state: { weather: "storm", lightningStrike: { distance: 0.2 } } },
+    { time: "20:05", state: { mood: "SCARED" } }
+  ]);
+
+  assert.deepEqual(engine.computeStateAt(at(20, 1)).lightningStrike, { distance: 0.2 });
+  assert.deepEqual(engine.computeStateAt(at(20, 6)), { weather: "storm", mood: "SCARED" });
+});
+
+test("a failed day rollover is retried with a backoff, not every update", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 0 });
+  t.mock.method(console, "warn", () => {});
+
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    if(!url.endsWith("2026-02-14.json")) return { ok: false };
+    return { ok: true, json: async () => ({ version: 1, events: [{ time: "08:00", state: { status: "DAY" } }] }) };
+  };
+  const engine = new StoryEngine({ manifest: { basePath: "./data/story/" } });
+  await engine.init(at(23, 59));
+
+  const nextDay = new Date(2026, 1, 15, 0, 1);
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+  const fetchesAfter = async (fn) => {
+    const before = urls.length;
+    fn();
+    await settle();
+    return urls.length - before;
+  };
+
+  assert.ok(await fetchesAfter(() => engine.update(nextDay)) > 0);
+  assert.equal(await fetchesAfter(() => engine.update(nextDay)), 0);
+  assert.equal(engine.dateKey, "2026-02-14");
+
+  t.mock.timers.tick(5000);
+  assert.ok(await fetchesAfter(() => engine.update(nextDay)) > 0);
+
+  // second failure of the same day: the wait doubles
+  t.mock.timers.tick(5000);
+  assert.equal(await fetchesAfter(() => engine.update(nextDay)), 0);
+  t.mock.timers.tick(5000);
+  assert.ok(await fetchesAfter(() => engine.update(nextDay)) > 0);
+});
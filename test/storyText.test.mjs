@@ -0,0 +1,115 @@
+// test/storyText.test.mjs
+// Plain-text story parser (*.story), including the shipped 2026-03-21.story through the engine
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { isStoryTextUrl, parseStoryText } from "../src/story/storyText.js";
+import { StoryEngine } from "../src/story/storyEngine.js";
+
+const messages = (issues) => issues.map(i => `${i.line}:${i.column}:${i.message}`);
+
+test("isStoryTextUrl ignores query and hash", () => {
+  assert.equal(isStoryTextUrl("./data/story/2026-03-21.story?v=2#x"), true);
+  assert.equal(isStoryTextUrl("./data/story/2026-03-21.STORY"), true);
+  assert.equal(isStoryTextUrl("./data/story/2026-02-14.json"), false);
+});
+
+test("header line: time, bare status / mood, keyed fields, dialogue", () => {
+  const { story, issues, eventLines } = parseStoryText([
+    "@date 2026-03-21",
+    "@timezone Asia/Bangkok",
+    "# comment",
+    "",
+    "19:00 | EVENING | RELAXED | light:on | room:army,fai,poon | fx2:-",
+    "  th: ทุกคนมาแล้ว",
+    "  en: Everyone's here."
+  ].join("\n"));
+
+  assert.deepEqual(issues, []);
+  assert.equal(story.date, "2026-03-21");
+  assert.equal(story.timezone, "Asia/Bangkok");
+  assert.deepEqual(eventLines, [5]);
+  assert.deepEqual(story.events, [{
+    time: "19:00",
+    state: {
+      status: "STATUS : EVENING",
+      mood: "MOOD : RELAXED",
+      inRoom: ["army", "fai", "poon"],
+      roomLight: "on",
+      roomFx: { fx2: null },
+      dialogue: { th: "ทุกคนมาแล้ว", en: "Everyone's here." }
+    }
+  }]);
+});
+
+test("for / until / replace become event fields, not state", () => {
+  const { story, issues } = parseStoryText([
+    "04:28 | DAWN | replace | room:army",
+    "19:00:30 | for:20 | fx4:knock_once",
+    "21:00 | until:21:15 | light:off"
+  ].join("\n"));
+
+  assert.deepEqual(issues, []);
+  assert.equal(story.events[0].replace, true);
+  assert.deepEqual(story.events[1], {
+    time: "19:00:30",
+    durationSec: 20,
+    state: { roomFx: { fx4: { clip: "knock_once", play: true } } }
+  });
+  assert.equal(story.events[2].until, "21:15");
+  assert.equal(story.events[2].durationSec, undefined);
+});
+
+test("issues carry the line and column", () => {
+  const { issues } = parseStoryText([
+    "@date 2026-3-21",
+    "  en: orphan",
+    "08:00 | ligth:on",
+    "09:00 | for:soon",
+    "10:00 | A | B | C",
+    "@colour red"
+  ].join("\n"));
+
+  const m = messages(issues);
+  assert.match(m[0], /^1:@date:expected YYYY-MM-DD/);
+  assert.equal(m[1], "2:en:dialogue line before any event");
+  assert.match(m[2], /^3:ligth:unknown key.*light/);
+  assert.match(m[3], /^4:for:expected a positive number of seconds/);
+  assert.match(m[4], /^5:null:too many plain segments/);
+  assert.match(m[5], /^6:@colour:unknown directive/);
+});
+
+test("CRLF and a BOM parse like LF", () => {
+  const lf = parseStoryText("08:00 | MORNING\n  en: hi\n");
+  const crlf = parseStoryText("﻿08:00 | MORNING\r\n  en: hi\r\n");
+  assert.deepEqual(crlf, lf);
+});
+
+test("an empty file is an issue", () => {
+  assert.deepEqual(messages(parseStoryText("# nothing yet\n").issues), ["null:null:no events"]);
+});
+
+// the knock at 19:00:30 is a moment on top of 19:00, not a new base state that empties the room
+test("2026-03-21.story: the knock overlays the evening, then the evening comes back", () => {
+  const text = readFileSync(new URL("../data/story/2026-03-21.story", import.meta.url), "utf8");
+  const { story, issues } = parseStoryText(text);
+  assert.deepEqual(issues, []);
+
+  const engine = new StoryEngine();
+  engine.sharedPresets = JSON.parse(readFileSync(new URL("../data/story/presets.json", import.meta.url), "utf8")).presets;
+  engine.setStory({ ...story, timezone: undefined }, { dateKey: story.date });
+
+  const at = (hh, mm, ss = 0) => new Date(2026, 2, 21, hh, mm, ss);
+
+  const before = engine.computeStateAt(at(19, 0, 10));
+  const during = engine.computeStateAt(at(19, 0, 40));
+  const after = engine.computeStateAt(at(19, 0, 50));
+
+  assert.deepEqual(during.inRoom, ["army", "fai", "poon"]);
+  assert.equal(during.status, "STATUS : EVENING");
+  assert.deepEqual(during.roomFx.fx4, { clip: "knock_once", play: true });
+  assert.notDeepEqual(before.roomFx.fx4, during.roomFx.fx4);
+  assert.deepEqual(after, before);
+});
@@ -0,0 +1,69 @@
+// test/weatherFeed.test.mjs
+// Observation -> WeatherManager weather (feed readings from data/weather_fixture.json or an HTTP endpoint)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { observationToWeather, readObservation, OPEN_METEO_FIELDS } from "../src/weather/weatherFeed.js";
+
+test("nothing usable -> null", () => {
+  assert.equal(observationToWeather(null), null);
+  assert.equal(observationToWeather({}), null);
+  assert.equal(observationToWeather({ condition: "volcano" }), null);
+  assert.equal(observationToWeather({ condition: 9 }), null); // WMO 9 (dust) is not mapped
+});
+
+test("WMO codes and condition names", () => {
+  assert.equal(observationToWeather({ condition: 0 }).kind, "clear");
+  assert.equal(observationToWeather({ condition: 3 }).cloudProfile, "overcast");
+  assert.equal(observationToWeather({ condition: "45" }).kind, "fog");
+  assert.equal(observationToWeather({ condition: 53 }).kind, "drizzle");
+  assert.equal(observationToWeather({ condition: 63 }).kind, "rain");
+  assert.equal(observationToWeather({ condition: 95 }).kind, "storm");
+  assert.equal(observationToWeather({ condition: "Partly-Cloudy-Night" }).kind, "cloudy");
+  assert.equal(observationToWeather({ condition: "heavy rain" }).kind, "rain");
+});
+
+test("precipitation beats a dry condition and stands in for a missing one", () => {
+  assert.equal(observationToWeather({ condition: "cloudy", precipitation: 0.2 }).kind, "drizzle");
+  assert.equal(observationToWeather({ condition: "clear", precipitation: 3 }).kind, "rain");
+  assert.equal(observationToWeather({ precipitation: "1.5" }).kind, "rain");
+  // wet conditions keep their own kind
+  assert.equal(observationToWeather({ condition: "thunderstorm", precipitation: 0.1 }).kind, "storm");
+});
+
+test("cloud cover picks the clouds of a dry sky", () => {
+  assert.deepEqual(observationToWeather({ cloudCover: 10 }), { kind: "clear", intensity: undefined, wind: undefined, cloudProfile: "none" });
+  assert.equal(observationToWeather({ cloudCover: 40 }).cloudProfile, "few");
+  assert.equal(observationToWeather({ condition: "clear", cloudCover: 85 }).cloudProfile, "overcast");
+  // not for rain
+  assert.equal(observationToWeather({ condition: "rain", cloudCover: 5 }).cloudProfile, "overcast");
+});
+
+test("intensity and wind are clamped 0..1", () => {
+  const w = observationToWeather({ condition: "rain", precipitation: 4, windKph: 25 });
+  assert.equal(w.intensity, 0.6);
+  assert.equal(w.wind, 0.5);
+
+  const storm = observationToWeather({ condition: 95, precipitation: 40, windKph: 120 });
+  assert.equal(storm.intensity, 1);
+  assert.equal(storm.wind, 1);
+
+  assert.equal(observationToWeather({ condition: "cloudy", windKph: 10 }).intensity, undefined);
+  assert.ok(Object.isFrozen(w));
+});
+
+test("readObservation follows the Open-Meteo field paths", () => {
+  const json = { current: { weather_code: 61, cloud_cover: 100, precipitation: 0.4, is_day: 0, wind_speed_10m: 12 } };
+  assert.deepEqual(readObservation(json, OPEN_METEO_FIELDS), {
+    condition: 61, cloudCover: 100, precipitation: 0.4, isDay: false, windKph: 12
+  });
+  assert.deepEqual(readObservation({ condition: "rain", isDay: "1" }), { condition: "rain", isDay: true });
+});
+
+test("snow and sleet bring the snow kind", () => {
+  assert.deepEqual(observationToWeather({ condition: 73 }), { kind: "snow", intensity: undefined, wind: undefined, cloudProfile: "overcast" });
+  assert.equal(observationToWeather({ condition: "sleet" }).kind, "snow");
+  // precipitation does not turn snow into rain
+  assert.equal(observationToWeather({ condition: 71, precipitation: 2 }).kind, "snow");
+});
@@ -0,0 +1,96 @@
+// test/weatherGenerator.test.mjs
+// Seeded daily weather: same seed + date -> same day for every viewer
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { WeatherGenerator } from "../src/weather/weatherGenerator.js";
+
+const CONFIG = {
+  seed: "test",
+  seasons: [
+    {
+      name: "rainy",
+      months: [6, 7, 8, 9, 10],
+      base: { clear: 0.3, cloudy: 0.7 },
+      spells: [
+        { between: ["13:00", "19:30"], chance: 0.65, kinds: { rain: 0.6, storm: 0.4 }, durationMin: [45, 180], intensity: [0.4, 1] },
+        { between: ["01:00", "06:00"], chance: 0.5, kinds: { drizzle: 1 }, durationMin: [30, 120], wind: 0.2 }
+      ]
+    },
+    { name: "rest", base: { clear: 1 } }
+  ]
+};
+
+const day = (y, m, d, hh = 12, mm = 0) => new Date(y, m - 1, d, hh, mm);
+
+// JSON-safe summary of a generated day
+function plan(gen, date){
+  const { key, season, base, spells } = gen.dayOf(date);
+  return JSON.stringify({ key, season, base, spells });
+}
+
+test("same seed and date give the same day, whichever generator or hour asks", () => {
+  const a = new WeatherGenerator(CONFIG);
+  const b = new WeatherGenerator(structuredClone(CONFIG));
+  for(let d = 1; d <= 20; d++){
+    assert.equal(plan(a, day(2026, 7, d, 3)), plan(b, day(2026, 7, d, 21, 59)));
+  }
+});
+
+test("another seed gives other days", () => {
+  const a = new WeatherGenerator(CONFIG);
+  const b = new WeatherGenerator({ ...CONFIG, seed: "other" });
+  const days = Array.from({ length: 20 }, (_, i) => day(2026, 7, i + 1));
+  assert.notDeepEqual(days.map(d => plan(a, d)), days.map(d => plan(b, d)));
+});
+
+test("spells stay inside their window, never overlap and carry rolled values", () => {
+  const gen = new WeatherGenerator(CONFIG);
+  let seen = 0;
+
+  for(let d = 1; d <= 31; d++){
+    const { spells } = gen.dayOf(day(2026, 8, d));
+    spells.forEach((s, i) => {
+      seen++;
+      assert.ok(s.endMin > s.startMin);
+      if(s.weather.kind === "drizzle"){
+        assert.ok(s.startMin >= 60 && s.endMin <= 360);
+        assert.equal(s.weather.wind, 0.2);
+      }else{
+        assert.ok(s.startMin >= 13 * 60 && s.endMin <= 19.5 * 60);
+        assert.ok(s.weather.intensity >= 0.4 && s.weather.intensity <= 1);
+        assert.ok(s.endMin - s.startMin >= 45 && s.endMin - s.startMin <= 180);
+      }
+      if(i) assert.ok(s.startMin >= spells[i - 1].endMin);
+    });
+  }
+  assert.ok(seen > 0);
+});
+
+test("at() returns the spell's object while it lasts, the base kind around it", () => {
+  const gen = new WeatherGenerator(CONFIG);
+  let date = null;
+  for(let d = 1; d <= 31 && !date; d++){
+    if(gen.dayOf(day(2026, 8, d)).spells.length) date = day(2026, 8, d);
+  }
+  const { base, spells: [s] } = gen.dayOf(date);
+
+  const minute = (m) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, Math.ceil(m));
+  assert.equal(gen.at(minute(s.startMin)), s.weather);
+  assert.equal(gen.at(minute(s.endMin - 1)), s.weather);
+  assert.equal(gen.at(minute(s.startMin - 1)), base);
+  assert.ok(["clear", "cloudy"].includes(base.kind));
+});
+
+test("season by month, a season without months matches the rest", () => {
+  const gen = new WeatherGenerator(CONFIG);
+  assert.equal(gen.dayOf(day(2026, 7, 1)).season, "rainy");
+  assert.equal(gen.dayOf(day(2026, 1, 1)).season, "rest");
+  assert.equal(gen.at(day(2026, 1, 1)).kind, "clear");
+  assert.equal(new WeatherGenerator({}).at(day(2026, 7, 1)).kind, "clear");
+});
+
+test("disabled -> null", () => {
+  assert.equal(new WeatherGenerator({ ...CONFIG, enabled: false }).at(day(2026, 7, 1)), null);
+});
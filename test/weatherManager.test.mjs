@@ -0,0 +1,115 @@
+// test/weatherManager.test.mjs
+// Story state -> weather state (resolveWeather is pure; WeatherManager only caches it)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveWeather, sameWeather } from "../src/weather/weatherManager.js";
+
+const FIELDS = ["kind", "intensity", "wind", "cloudProfile", "rain", "lightning"];
+const pick = (w, keys = FIELDS) => Object.fromEntries(keys.map(k => [k, w[k]]));
+
+test("legacy fields keep the old rain / cloud rule", () => {
+  assert.deepEqual(pick(resolveWeather({ cloudProfile: "overcast" }), ["kind", "rain", "lightning", "cloudProfile"]),
+    { kind: "storm", rain: true, lightning: true, cloudProfile: "overcast" });
+  assert.equal(resolveWeather({ cloudProfile: "overcast", lightning: false }).kind, "rain");
+  assert.equal(resolveWeather({ cloudProfile: "overcast", rain: false }).kind, "cloudy");
+  assert.equal(resolveWeather({ cloudProfile: "few" }).kind, "cloudy");
+  assert.equal(resolveWeather({ cloudProfile: "none", rain: true }).kind, "storm");
+  assert.equal(resolveWeather({ cloudProfile: "none" }).kind, "clear");
+});
+
+test("legacy fields are also read from a wrapped { state }", () => {
+  assert.equal(resolveWeather({ state: { cloudProfile: "overcast", lightning: false } }).kind, "rain");
+});
+
+test("a weather kind owns the clouds, rain / lightning booleans still override", () => {
+  assert.deepEqual(pick(resolveWeather({ weather: "storm", cloudProfile: "none" })), {
+    kind: "storm", intensity: 1, wind: 0.4, cloudProfile: "overcast", rain: true, lightning: true
+  });
+  assert.equal(resolveWeather({ weather: { kind: "rain", cloudProfile: "few" } }).cloudProfile, "few");
+  assert.equal(resolveWeather({ weather: "storm", lightning: false }).lightning, false);
+  assert.equal(resolveWeather({ weather: "storm", rain: false }).lightning, false);
+  assert.equal(resolveWeather({ weather: "cloudy", rain: true }).rain, true);
+});
+
+test("intensity and wind are clamped, unknown kinds fall back to the legacy rule", () => {
+  const w = resolveWeather({ weather: { kind: "rain", intensity: 3, wind: -7 } });
+  assert.equal(w.intensity, 1);
+  assert.equal(w.wind, -1);
+  assert.equal(resolveWeather({ weather: { kind: "rain", intensity: "lots" } }).intensity, 0.7);
+  assert.equal(resolveWeather({ weather: "hail", cloudProfile: "overcast", lightning: false }).kind, "rain");
+});
+
+test("weather states are frozen and compare by value", () => {
+  const a = resolveWeather({ weather: "rain" });
+  const b = resolveWeather({ weather: { kind: "rain" } });
+  assert.ok(Object.isFrozen(a));
+  assert.notEqual(a, b);
+  assert.ok(sameWeather(a, b));
+  assert.ok(!sameWeather(a, resolveWeather({ weather: { kind: "rain", intensity: 0.2 } })));
+  assert.ok(!sameWeather(a, null));
+});
+
+const GENERATED = Object.freeze({ kind: "drizzle", intensity: 0.45, wind: 0.2 });
+const withGenerated = (st, generated) => resolveWeather(st, { generated });
+
+test("hours the story leaves open take the generated weather", () => {
+  const w = withGenerated({ mood: "CALM" }, GENERATED);
+  assert.deepEqual(pick(w), { kind: "drizzle", intensity: 0.45, wind: 0.2, cloudProfile: "overcast", rain: true, lightning: false });
+  assert.equal(withGenerated({}, null).kind, "clear");
+});
+
+test("legacy fields and a set kind beat the generator, \"auto\" opts back in", () => {
+  assert.equal(withGenerated({ cloudProfile: "few" }, GENERATED).kind, "cloudy");
+  assert.equal(withGenerated({ rain: false }, GENERATED).kind, "clear");
+  assert.equal(withGenerated({ weather: "storm" }, GENERATED).kind, "storm");
+
+  const auto = withGenerated({ weather: { kind: "auto", intensity: 0.9 }, cloudProfile: "none" }, GENERATED);
+  assert.deepEqual(pick(auto, ["kind", "intensity", "wind", "cloudProfile"]),
+    { kind: "drizzle", intensity: 0.9, wind: 0.2, cloudProfile: "overcast" });
+  // nothing generated (generator off): "auto" falls back to the legacy rule
+  assert.equal(withGenerated({ weather: "auto", cloudProfile: "few" }, null).kind, "cloudy");
+});
+
+const LIVE = Object.freeze({ kind: "rain", intensity: 0.8, cloudProfile: "overcast" });
+
+test("a fresh feed reading beats the generator in open hours", () => {
+  assert.equal(resolveWeather({}, { live: LIVE, generated: GENERATED }).kind, "rain");
+  assert.equal(resolveWeather({}, { live: LIVE, generated: GENERATED }).intensity, 0.8);
+  // feed down -> generator
+  assert.equal(resolveWeather({}, { live: null, generated: GENERATED }).kind, "drizzle");
+});
+
+test("\"live\" opts in over legacy fields, \"auto\" and legacy fields opt out", () => {
+  const live = resolveWeather({ weather: "live", cloudProfile: "none" }, { live: LIVE, generated: GENERATED });
+  assert.deepEqual(pick(live, ["kind", "cloudProfile", "rain"]), { kind: "rain", cloudProfile: "overcast", rain: true });
+  assert.equal(resolveWeather({ weather: "live" }, { live: null, generated: GENERATED }).kind, "drizzle");
+
+  assert.equal(resolveWeather({ weather: "auto" }, { live: LIVE, generated: GENERATED }).kind, "drizzle");
+  assert.equal(resolveWeather({ cloudProfile: "few" }, { live: LIVE, generated: GENERATED }).kind, "cloudy");
+  assert.equal(resolveWeather({ weather: "clear" }, { live: LIVE }).kind, "clear");
+});
+
+test("a feed reading with an unknown kind is ignored", () => {
+  assert.equal(resolveWeather({}, { live: { kind: "volcano" }, generated: GENERATED }).kind, "drizzle");
+});
+
+test("fog and snow bring their own atmosphere layer", () => {
+  assert.deepEqual({ ...resolveWeather({ weather: "fog" }).atmosphere }, { snow: 0, fog: 0.6, haze: 0 });
+  assert.deepEqual({ ...resolveWeather({ weather: { kind: "snow", intensity: 0.05 } }).atmosphere }, { snow: 0.2, fog: 0, haze: 0 });
+  assert.deepEqual({ ...resolveWeather({ weather: "rain" }).atmosphere }, { snow: 0, fog: 0, haze: 0 });
+});
+
+test("story \"atmosphere\" sets any layer per event", () => {
+  const w = resolveWeather({ weather: "fog", atmosphere: { fog: false, haze: true, snow: 0.3 } });
+  assert.deepEqual({ ...w.atmosphere }, { snow: 0.3, fog: 0, haze: 1 });
+  assert.ok(Object.isFrozen(w.atmosphere));
+  assert.equal(resolveWeather({ atmosphere: { haze: 7 } }).atmosphere.haze, 1);
+});
+
+test("sameWeather compares the atmosphere too", () => {
+  const a = resolveWeather({ weather: "clear" });
+  assert.ok(sameWeather(a, resolveWeather({ weather: "clear", atmosphere: { haze: 0 } })));
+  assert.ok(!sameWeather(a, resolveWeather({ weather: "clear", atmosphere: { haze: 0.4 } })));
+});
@@ -0,0 +1,124 @@
+// tools/dev_server.mjs
+// Static server for the repo root with config change notifications for ?dev=1 (src/dev/hotReload.js).
+//
+//   node tools/dev_server.mjs [--port 8080] [--host 127.0.0.1]
+//   open http://127.0.0.1:8080/?dev=1
+//   open http://127.0.0.1:8080/dev/story_editor.html   (timeline editor + preview)
+//
+// GET /__dev/events is an SSE stream: { "file": "data/cloud_config.json" } whenever a file under data/ changes.
+// Without this server ?dev=1 still works by polling. Ctrl+C stops it.
+// Listens on 127.0.0.1 only: it serves every file under the repo root without authentication.
+// --host 0.0.0.0 (e.g. to test on a phone) opens it to the whole network.
+
+import { createServer } from "node:http";
+import { createReadStream, watch } from "node:fs";
+import { stat } from "node:fs/promises";
+import { join, dirname, resolve, extname, relative, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const args = process.argv.slice(2);
+const PORT = Number(args[args.indexOf("--port") + 1]) || 8080;
+const HOST = args.includes("--host") ? (args[args.indexOf("--host") + 1] || "127.0.0.1") : "127.0.0.1";
+
+const WATCH_DIR = join(ROOT, "data");
+const DEBOUNCE_MS = 120;
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".story": "text/plain; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".ogg": "audio/ogg",
+  ".wav": "audio/wav"
+};
+
+const clients = new Set();
+
+function notify(file){
+  const data = `data: ${JSON.stringify({ file })}\n\n`;
+  for(const res of clients) res.write(data);
+  console.log(`changed ${file} (${clients.size} page(s))`);
+}
+
+// editors write files in several steps: one notification per file per burst
+const pending = new Map();
+watch(WATCH_DIR, { recursive: true }, (_type, name) => {
+  if(!name) return;
+  const file = relative(ROOT, join(WATCH_DIR, String(name))).split(sep).join("/");
+  clearTimeout(pending.get(file));
+  pending.set(file, setTimeout(() => {
+    pending.delete(file);
+    notify(file);
+  }, DEBOUNCE_MS));
+});
+
+async function serveFile(req, res){
+  const urlPath = decodeURIComponent(new URL(req.url, "http://x").pathname);
+  let path = resolve(ROOT, "." + urlPath);
+  if(path !== ROOT && !path.startsWith(ROOT + sep)){
+    res.writeHead(403).end();
+    return;
+  }
+
+  let info;
+  try{
+    info = await stat(path);
+    if(info.isDirectory()){
+      path = join(path, "index.html");
+      info = await stat(path);
+    }
+  }catch(_){
+    res.writeHead(404).end("not found\n");
+    return;
+  }
+
+  res.writeHead(200, {
+    "Content-Type": MIME[extname(path).toLowerCase()] || "application/octet-stream",
+    "Content-Length": info.size,
+    "Last-Modified": info.mtime.toUTCString(),
+    "Cache-Control": "no-store"
+  });
+  if(req.method === "HEAD"){
+    res.end();
+    return;
+  }
+  createReadStream(path).pipe(res);
+}
+
+const server = createServer((req, res) => {
+  if(req.url === "/__dev/events"){
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    res.write(": watching data/\n\n");
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+    return;
+  }
+
+  if(req.method !== "GET" && req.method !== "HEAD"){
+    res.writeHead(405).end();
+    return;
+  }
+  serveFile(req, res).catch(err => {
+    console.error(err);
+    if(!res.headersSent) res.writeHead(500);
+    res.end();
+  });
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`dev server on http://${HOST}:${PORT}/?dev=1  (watching data/)`);
+});
@@ -0,0 +1,99 @@
+// tools/import_story_csv.mjs
+// Convert a spreadsheet export (CSV) into data/story/YYYY-MM-DD.json.
+//
+//   node tools/import_story_csv.mjs schedule.csv [--date YYYY-MM-DD] [--out path] [--preset name] [--dry-run]
+//
+// --date defaults to a YYYY-MM-DD found in the CSV file name; --out defaults to data/story/<date>.json.
+// --preset fills the first row's preset when it has none (e.g. dawnBase from data/story/presets.json).
+// Clip names, fx layers, cloud profiles, presets and character ids (assets/characters/*.png) are checked;
+// nothing is written when there is an error (exit code 1). Column reference: src/story/csvImport.js.
+// Node 20.19+ or 22.7+ (same as tools/validate_stories.mjs).
+
+import { readFile, readdir, writeFile } from "node:fs/promises";
+import { join, dirname, basename, resolve, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { importStoryCsv, formatCsvIssue } from "../src/story/csvImport.js";
+import { storyRefsFromConfigs } from "../src/story/storyValidator.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const STORY_DIR = join(ROOT, "data", "story");
+
+async function readJSON(path){
+  return JSON.parse(await readFile(path, "utf8"));
+}
+
+function parseArgs(argv){
+  const opts = { file: null, date: null, out: null, preset: null, dryRun: false };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if(a === "--date") opts.date = argv[++i];
+    else if(a === "--out") opts.out = argv[++i];
+    else if(a === "--preset") opts.preset = argv[++i];
+    else if(a === "--dry-run") opts.dryRun = true;
+    else if(!opts.file) opts.file = a;
+    else throw new Error(`unexpected argument ${a}`);
+  }
+  return opts;
+}
+
+async function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  if(!opts.file){
+    console.log("usage: node tools/import_story_csv.mjs schedule.csv [--date YYYY-MM-DD] [--out path] [--preset name] [--dry-run]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const file = basename(opts.file);
+  const date = opts.date ?? /\d{4}-\d{2}-\d{2}/.exec(file)?.[0] ?? null;
+  if(!date){
+    console.log(`ERROR ${file}: no date in the file name, pass --date YYYY-MM-DD`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const manifest = await readJSON(join(STORY_DIR, "manifest.json"));
+  const sharedPresets = manifest.presets ? (await readJSON(join(STORY_DIR, manifest.presets))).presets || {} : {};
+
+  const refs = {
+    ...storyRefsFromConfigs({
+      roomFxCfg: await readJSON(join(ROOT, "data", "roomfx_config.json")),
+      cloudCfg: await readJSON(join(ROOT, "data", "cloud_config.json")),
+      sharedPresets
+    }),
+    characters: (await readdir(join(ROOT, "assets", "characters")))
+      .filter(n => n.endsWith(".png"))
+      .map(n => n.slice(0, -4))
+  };
+
+  const { story, issues } = importStoryCsv(await readFile(opts.file, "utf8"), refs, {
+    date,
+    timezone: manifest.timezone ?? null,
+    preset: opts.preset
+  });
+
+  for(const i of issues) console.log(formatCsvIssue(i, file));
+
+  const errors = issues.filter(i => i.level !== "warn").length;
+  if(errors){
+    console.log(`${errors} error(s), nothing written`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const json = JSON.stringify(story, null, 2) + "\n";
+  if(opts.dryRun){
+    process.stdout.write(json);
+    return;
+  }
+
+  const out = opts.out ? resolve(opts.out) : join(STORY_DIR, `${date}.json`);
+  await writeFile(out, json);
+  console.log(`${story.events.length} event(s) -> ${relative(process.cwd(), out)}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
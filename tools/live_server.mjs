@@ -0,0 +1,182 @@
+// tools/live_server.mjs
+// Local stand-in for a live story endpoint: pushes state patches to every open page.
+//
+//   node tools/live_server.mjs [--port 8787] [--host 127.0.0.1]
+//   open index.html?live=http://127.0.0.1:8787/events      (Server-Sent Events)
+//     or index.html?live=ws://127.0.0.1:8787/ws            (WebSocket)
+//
+// Push a message (same JSON the pages receive, see src/story/liveSource.js):
+//   curl 127.0.0.1:8787/push -H 'Content-Type: application/json' -d '{"type":"patch","state":{"status":"STATUS : LIVE","dialogue":{"th":"สวัสดี","en":"Hi!"}}}'
+//   curl 127.0.0.1:8787/push -H 'Content-Type: application/json' -d '{"type":"clear"}'
+// or type one message per line on stdin ("clear" alone also works).
+// The current layer is kept and sent as { type: "set" } to pages that connect later. Ctrl+C stops it.
+// Listens on 127.0.0.1 only: /push has no authentication, so anyone who can reach it can change open pages.
+// Only GET /events is open to other origins (CORS); /push needs Content-Type: application/json, which a
+// page on another origin can't send without a preflight this server never answers.
+// --host 0.0.0.0 (e.g. to test on a phone) opens it to the whole network.
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { createInterface } from "node:readline";
+
+const args = process.argv.slice(2);
+const PORT = Number(args[args.indexOf("--port") + 1]) || 8787;
+const HOST = args.includes("--host") ? (args[args.indexOf("--host") + 1] || "127.0.0.1") : "127.0.0.1";
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const HEARTBEAT_MS = 15000;
+
+const sseClients = new Set();
+const wsClients = new Set();
+
+let layer = null; // merged live state (null = not live)
+
+function isPlainObject(v){
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+// same rules as the page: objects merge, everything else replaces, "$unset" deletes
+function merge(base, patch){
+  const out = { ...base };
+  for(const [k, v] of Object.entries(patch)){
+    if(v === "$unset") delete out[k];
+    else if(isPlainObject(v)) out[k] = merge(isPlainObject(out[k]) ? out[k] : {}, v);
+    else out[k] = v;
+  }
+  return out;
+}
+
+function wsFrame(text){
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  let head;
+  if(len < 126){
+    head = Buffer.from([0x81, len]);
+  }else if(len < 65536){
+    head = Buffer.alloc(4);
+    head[0] = 0x81; head[1] = 126; head.writeUInt16BE(len, 2);
+  }else{
+    head = Buffer.alloc(10);
+    head[0] = 0x81; head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+function send(msg){
+  const text = JSON.stringify(msg);
+  for(const res of sseClients) res.write(`data: ${text}\n\n`);
+  for(const sock of wsClients) sock.write(wsFrame(text));
+}
+
+function snapshot(){
+  return layer ? { type: "set", state: layer } : { type: "clear" };
+}
+
+// -> error message or null
+function push(msg){
+  if(!isPlainObject(msg)) return "expected a JSON object";
+
+  if(msg.type === "clear"){
+    layer = null;
+  }else if(msg.type === "patch" || msg.type === "set"){
+    if(!isPlainObject(msg.state)) return "state must be an object";
+    layer = merge(msg.type === "set" ? {} : (layer || {}), msg.state);
+  }else{
+    return `unknown type ${JSON.stringify(msg.type)} (patch, set, clear)`;
+  }
+
+  send(msg);
+  console.log(`-> ${msg.type} (${sseClients.size + wsClients.size} page(s))`);
+  return null;
+}
+
+const server = createServer((req, res) => {
+  if(req.method === "GET" && req.url === "/events"){
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*"
+    });
+    res.write(`data: ${JSON.stringify(snapshot())}\n\n`);
+    sseClients.add(res);
+    req.on("close", () => sseClients.delete(res));
+    return;
+  }
+
+  if(req.method === "POST" && req.url === "/push"){
+    if(!/^application\/json\b/i.test(req.headers["content-type"] || "")){
+      res.writeHead(415, { "Content-Type": "text/plain" }).end("Content-Type must be application/json\n");
+      req.resume();
+      return;
+    }
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      let err;
+      try{
+        err = push(JSON.parse(body));
+      }catch(e){
+        err = `bad JSON: ${e.message}`;
+      }
+      res.writeHead(err ? 400 : 200, { "Content-Type": "text/plain" }).end(err || "ok\n");
+    });
+    return;
+  }
+
+  if(req.method === "GET" && req.url === "/"){
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(snapshot(), null, 2) + "\n");
+    return;
+  }
+
+  res.writeHead(404).end();
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if(req.url !== "/ws" || !key){
+    socket.destroy();
+    return;
+  }
+
+  const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "", ""
+  ].join("\r\n"));
+
+  wsClients.add(socket);
+  socket.write(wsFrame(JSON.stringify(snapshot())));
+
+  // pages never send data; a close frame (opcode 8) or a dropped socket ends it
+  socket.on("data", (buf) => {
+    if((buf[0] & 0x0f) === 0x8) socket.end();
+  });
+  socket.on("close", () => wsClients.delete(socket));
+  socket.on("error", () => wsClients.delete(socket));
+});
+
+// SSE comment lines keep proxies from closing idle streams
+setInterval(() => {
+  for(const res of sseClients) res.write(": ping\n\n");
+}, HEARTBEAT_MS).unref();
+
+createInterface({ input: process.stdin }).on("line", (line) => {
+  const text = line.trim();
+  if(!text) return;
+
+  let err;
+  try{
+    err = push(text === "clear" ? { type: "clear" } : JSON.parse(text));
+  }catch(e){
+    err = `bad JSON: ${e.message}`;
+  }
+  if(err) console.log(`error: ${err}`);
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`live story server on http://${HOST}:${PORT}  (SSE /events, WebSocket /ws, POST /push)`);
+});
@@ -0,0 +1,126 @@
+// tools/validate_stories.mjs
+// Validate every data/story/*.json and *.story, data/story/samples/ (demo stories, open them in
+// dev/story_editor.html?file=data/story/samples/...), plus the manifest and the chapter day templates it points at
+// against the schema, the data/*.json configs and the assets folder.
+//
+//   node tools/validate_stories.mjs [file ...]
+//
+// Node 20.19+ or 22.7+ run it as is (src/ is plain ES modules without a package.json, which these versions
+// detect on their own); older 20.x / 22.x need --experimental-detect-module, Node 18 cannot load src/.
+// Exit code 1 when any error is found (warnings alone pass).
+
+import { readFile, readdir } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { join, dirname, basename, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  validateStory,
+  validateStoryAssets,
+  validateManifest,
+  listChapterFiles,
+  storyRefsFromConfigs,
+  formatIssue
+} from "../src/story/storyValidator.js";
+import { isStoryTextUrl, parseStoryText } from "../src/story/storyText.js";
+import { issuesToCsvLines, formatCsvIssue } from "../src/story/csvImport.js";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+const STORY_DIR = join(ROOT, "data", "story");
+
+// data/story/*.json that are not story files
+const NON_STORY_FILES = new Set(["manifest.json", "presets.json"]);
+
+async function readJSON(path){
+  return JSON.parse(await readFile(path, "utf8"));
+}
+
+async function listStoryFiles(){
+  const list = async (dir) => (existsSync(dir) ? await readdir(dir) : [])
+    .filter(n => (n.endsWith(".json") || isStoryTextUrl(n)) && !NON_STORY_FILES.has(n))
+    .sort()
+    .map(n => join(dir, n));
+  return [...await list(STORY_DIR), ...await list(join(STORY_DIR, "samples"))];
+}
+
+async function main(){
+  const args = process.argv.slice(2);
+  const files = args.length ? args.map(a => resolve(a)) : await listStoryFiles();
+
+  const manifest = await readJSON(join(STORY_DIR, "manifest.json"));
+  const presetsPath = manifest.presets ? join(STORY_DIR, manifest.presets) : null;
+  const sharedPresets = presetsPath ? (await readJSON(presetsPath)).presets || {} : {};
+
+  const refs = storyRefsFromConfigs({
+    roomFxCfg: await readJSON(join(ROOT, "data", "roomfx_config.json")),
+    audioCfg: await readJSON(join(ROOT, "data", "audio_config.json")),
+    cloudCfg: await readJSON(join(ROOT, "data", "cloud_config.json")),
+    sharedPresets,
+    manifest
+  });
+
+  const exists = (p) => existsSync(join(ROOT, p));
+
+  // shared presets are checked like a story with no events
+  const targets = files.map(path => ({ path, file: basename(path) }));
+  if(!args.length){
+    if(presetsPath) targets.unshift({ path: presetsPath, file: basename(presetsPath), presetsOnly: true });
+
+    const seen = new Set(files);
+    for(const { path } of listChapterFiles(manifest)){
+      const full = join(STORY_DIR, path);
+      if(seen.has(full)) continue;
+      seen.add(full);
+      targets.push({ path: full, file: path });
+    }
+  }
+
+  let errors = 0;
+  let warnings = 0;
+
+  const count = (issues, format = formatIssue) => {
+    for(const i of issues){
+      console.log(format(i));
+      if(i.level === "warn") warnings++;
+      else errors++;
+    }
+  };
+
+  if(!args.length) count(validateManifest(manifest));
+
+  for(const { path, file, presetsOnly } of targets){
+    let story;
+    let eventLines = null; // text stories report by line
+    try{
+      if(isStoryTextUrl(path)){
+        const parsed = parseStoryText(await readFile(path, "utf8"));
+        count(parsed.issues, (i) => formatCsvIssue(i, file));
+        story = parsed.story;
+        eventLines = parsed.eventLines;
+      }else{
+        story = await readJSON(path);
+      }
+      if(presetsOnly) story = { presets: story.presets || {}, events: [] };
+    }catch(err){
+      console.log(`ERROR ${file}: ${err.message}`);
+      errors++;
+      continue;
+    }
+
+    const issues = [
+      ...validateStory(story, { file, ...refs }),
+      ...await validateStoryAssets(story, { file, exists })
+    ];
+
+    if(eventLines) count(issuesToCsvLines(issues, eventLines), (i) => formatCsvIssue(i, file));
+    else count(issues);
+  }
+
+  console.log(`${targets.length} file(s), ${errors} error(s), ${warnings} warning(s)`);
+  process.exitCode = errors ? 1 : 0;
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});